@@ -6,11 +6,12 @@
 class NoiseDosimeterApp {
   constructor() {
     this.isMonitoring = false;
-    this.doseCalculationInterval = null;
     this.uiUpdateInterval = null;
     this.pocketDetectionEnabled = true;
     this.pocketCorrection = CONFIG.POCKET.defaultCorrection;
     this.resetTime = '00:00';
+    this.customStandard = {};
+    this.spectrumLogEnabled = false; // Store third-octave band Leq with exposure records
     this.wakeLock = null; // For keeping screen on during monitoring
   }
 
@@ -22,6 +23,14 @@ class NoiseDosimeterApp {
       try {
         await storageEngine.init();
         debugLog('App', 'Storage initialized');
+
+        // Retention job, in the background now and then once a day
+        storageEngine.onRetention = (report) => {
+          this.updateStorageUsage(report);
+          // Old level history may be gone
+          historyRecompute.refreshRange();
+        };
+        storageEngine.scheduleRetention();
       } catch (storageError) {
         console.error('Storage initialization failed:', storageError);
         // Continue without storage
@@ -30,6 +39,13 @@ class NoiseDosimeterApp {
       // Initialize all modules
       try {
         calibration.init();
+        eqCorrection.init();
+        pocketProfiles.onChange = () => this.updatePocketMode();
+        pocketProfiles.init();
+        activityTags.init();
+        taskPlanner.init();
+        historyRecompute.init();
+        historyChart.onPointSelect = (hour) => activityTags.openEditor(hour);
         warnings.init();
         haptics.init();
         privacy.init();
@@ -166,10 +182,134 @@ class NoiseDosimeterApp {
       });
     }
 
+    // Frequency weighting
+    document.querySelectorAll('#weightingButtons .preset-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.setWeighting(e.target.dataset.weighting);
+        storageEngine.saveSetting('frequencyWeighting', audioEngine.weighting);
+        haptics.vibrate('light');
+      });
+    });
+
+    // Time weighting
+    document.querySelectorAll('#timeWeightingButtons .preset-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.setTimeWeighting(e.target.dataset.timeWeighting);
+        storageEngine.saveSetting('timeWeighting', audioEngine.timeWeighting);
+        haptics.vibrate('light');
+      });
+    });
+
+    // Hearing protection
+    hearingProtection.onChange = (state) => this.handleProtectionChange(state);
+
+    const toggleProtection = (worn) => {
+      hearingProtection.setWorn(worn);
+      storageEngine.saveSetting('protectionOverride', hearingProtection.override);
+      haptics.vibrate('light');
+    };
+    document.getElementById('protectionQuickBtn')?.addEventListener('click', () => toggleProtection(!hearingProtection.worn));
+    document.getElementById('protectionToggle')?.addEventListener('change', (e) => toggleProtection(e.target.checked));
+
+    document.getElementById('protectorSelect')?.addEventListener('change', (e) => {
+      hearingProtection.setProtector(e.target.value);
+      storageEngine.saveSetting('protectorId', hearingProtection.protectorId);
+      this.updateProtectionUI();
+    });
+
+    document.getElementById('protectionMethodSelect')?.addEventListener('change', (e) => {
+      hearingProtection.setMethod(e.target.value);
+      storageEngine.saveSetting('protectionMethod', hearingProtection.method);
+      this.updateProtectionUI();
+    });
+
+    ['protectionScheduleToggle', 'protectionScheduleStart', 'protectionScheduleEnd'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => this.applyProtectionSchedule());
+    });
+
+    document.getElementById('protectionAutoToggle')?.addEventListener('change', (e) => {
+      hearingProtection.autoWear = e.target.checked;
+      storageEngine.saveSetting('protectionAutoWear', hearingProtection.autoWear);
+    });
+
+    // Spectrum display
+    document.querySelectorAll('#spectrumResolutionButtons .preset-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        spectrumDisplay.setResolution(e.target.dataset.resolution);
+        storageEngine.saveSetting('spectrumResolution', spectrumAnalyzer.resolution);
+        haptics.vibrate('light');
+      });
+    });
+
+    document.querySelectorAll('#spectrumModeButtons .preset-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        spectrumDisplay.setMode(e.target.dataset.spectrumMode);
+        storageEngine.saveSetting('spectrumMode', spectrumDisplay.mode);
+        haptics.vibrate('light');
+      });
+    });
+
+    // Band-level log
+    const spectrumLogToggle = document.getElementById('spectrumLogToggle');
+    if (spectrumLogToggle) {
+      spectrumLogToggle.addEventListener('change', (e) => {
+        this.spectrumLogEnabled = e.target.checked;
+        storageEngine.saveSetting('spectrumLogEnabled', this.spectrumLogEnabled);
+        // Start the log from now rather than from the session start
+        if (this.spectrumLogEnabled) spectrumAnalyzer.takeLog();
+      });
+    }
+
+    // Exposure standard of the primary dosimeter
+    const standardSelect = document.getElementById('standardSelect');
+    if (standardSelect) {
+      standardSelect.addEventListener('change', async (e) => {
+        if (!await this.setStandard(e.target.value)) return;
+        this.saveDosimeters();
+        haptics.vibrate('light');
+      });
+    }
+
+    // Additional virtual dosimeters
+    document.getElementById('addDosimeterBtn')?.addEventListener('click', () => this.addDosimeter());
+
+    const additionalDosimeters = document.getElementById('additionalDosimeters');
+    if (additionalDosimeters) {
+      additionalDosimeters.addEventListener('change', (e) => {
+        const row = e.target.closest('.dosimeter-setting');
+        if (row) this.updateDosimeter(row.dataset.dosimeter, e.target.value);
+      });
+      additionalDosimeters.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.dosimeter-remove-btn');
+        if (removeBtn) this.removeDosimeter(removeBtn.closest('.dosimeter-setting').dataset.dosimeter);
+      });
+    }
+
+    dosimeterList.onSelect = (id) => {
+      if (id === dosimetryEngine.primaryId) return;
+      this.applyDosimeters(dosimetryEngine.getDosimeterConfigs(), id);
+      this.saveDosimeters();
+      this.showToast(`⚖️ Primary dosimeter: ${dosimetryEngine.profile.name}`);
+      haptics.vibrate('light');
+    };
+
+    ['customCriterionInput', 'customExchangeRateInput', 'customThresholdInput'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', async () => {
+        const custom = {
+          criterionLevel: parseFloat(document.getElementById('customCriterionInput').value),
+          exchangeRate: parseFloat(document.getElementById('customExchangeRateInput').value),
+          threshold: parseFloat(document.getElementById('customThresholdInput').value)
+        };
+        if (await this.changeDosimeters(dosimetryEngine.getDosimeterConfigs(), dosimetryEngine.primaryId, custom)) {
+          storageEngine.saveSetting('customStandard', this.customStandard);
+        }
+      });
+    });
+
     // Preset time buttons
-    document.querySelectorAll('.preset-btn').forEach(btn => {
+    document.querySelectorAll('#resetTimeContent .preset-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
-        document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
+        document.querySelectorAll('#resetTimeContent .preset-btn').forEach(b => b.classList.remove('active'));
         e.target.classList.add('active');
 
         const time = e.target.dataset.time;
@@ -225,9 +365,7 @@ class NoiseDosimeterApp {
     }
 
     // Modal close buttons
-    document.getElementById('closeCalibrationModal')?.addEventListener('click', () => {
-      document.getElementById('calibrationModal').classList.add('hidden');
-    });
+    document.getElementById('closeCalibrationModal')?.addEventListener('click', () => calibration.closeWizard());
   }
 
   async initializeSensors() {
@@ -236,7 +374,7 @@ class NoiseDosimeterApp {
       await proximitySensor.initialize();
       proximitySensor.onChange((isNear) => {
         debugLog('Sensors', 'Proximity:', isNear);
-        this.updatePocketMode();
+        pocketDetector.update();
       });
     } catch (error) {
       debugLog('Sensors', 'Proximity not available');
@@ -247,25 +385,57 @@ class NoiseDosimeterApp {
       await ambientLightSensor.initialize();
       ambientLightSensor.onChange((lux) => {
         debugLog('Sensors', 'Light:', lux, 'lux');
-        this.updatePocketMode();
+        pocketDetector.update();
+        sensorFusion.updateLight(lux);
       });
     } catch (error) {
       debugLog('Sensors', 'Light sensor not available');
     }
+
+    // Debounced decision from all pocket sensors
+    pocketDetector.onChange(() => this.updatePocketMode());
+    pocketDetector.initialize();
+
+    // Activity context (commute, office, vehicle...) booked with each second's dose
+    sensorFusion.onContextChange((context) => this.updateContextDisplay(context));
+    await sensorFusion.initialize();
+    sensorFusion.start();
+    this.updateContextDisplay(sensorFusion.context);
+  }
+
+  /**
+   * Show the current activity context on the home screen
+   */
+  updateContextDisplay(context) {
+    const element = document.getElementById('contextStatus');
+    if (!element) return;
+
+    const type = SensorFusion.getType(context.type);
+    element.textContent = context.type === 'unknown'
+      ? `${type.icon} ${context.description}`
+      : `${type.icon} ${context.description} · ${Math.round(context.confidence * 100)}%`;
   }
 
   updatePocketMode() {
+    // Learning a pocket profile needs uncorrected readings
+    if (pocketProfiles.capture) return;
+
+    const wasInPocket = audioEngine.inPocketMode;
+
     if (!this.pocketDetectionEnabled) {
       audioEngine.setPocketMode(false);
+      sensorFusion.setInPocket(false);
       document.getElementById('pocketModeIndicator')?.classList.add('hidden');
+      if (wasInPocket) this.logPocketChange();
       return;
     }
 
-    const isDark = ambientLightSensor.isDark();
-    const isNear = proximitySensor.isNear;
-    const inPocket = isDark || isNear;
+    const inPocket = pocketDetector.inPocket;
+    sensorFusion.setInPocket(inPocket);
 
-    audioEngine.setPocketMode(inPocket, this.pocketCorrection);
+    // A learned profile replaces the flat correction
+    const profile = pocketProfiles.getActive();
+    audioEngine.setPocketMode(inPocket, this.pocketCorrection, profile ? profile.response : []);
 
     const indicator = document.getElementById('pocketModeIndicator');
     const adjustment = document.getElementById('pocketAdjustment');
@@ -273,11 +443,336 @@ class NoiseDosimeterApp {
     if (indicator) {
       if (inPocket) {
         indicator.classList.remove('hidden');
-        if (adjustment) adjustment.textContent = this.pocketCorrection;
+        if (adjustment) {
+          adjustment.textContent = profile
+            ? `${PocketProfiles.formatCorrection(profile.broadband.A)} (${profile.name})`
+            : this.pocketCorrection;
+        }
       } else {
         indicator.classList.add('hidden');
       }
     }
+
+    if (inPocket !== wasInPocket) this.logPocketChange();
+  }
+
+  /**
+   * Record when the pocket correction starts and stops applying
+   */
+  logPocketChange() {
+    const time = new Date();
+    const profile = audioEngine.pocketResponse.length > 0 ? pocketProfiles.getActive() : null;
+
+    storageEngine.saveEvent({
+      type: 'pocket',
+      timestamp: time.getTime(),
+      date: time.toISOString().split('T')[0],
+      datetime: time.toISOString(),
+      inPocket: audioEngine.inPocketMode,
+      correction: audioEngine.inPocketMode ? this.getPocketCorrection() : 0,
+      profile: profile ? profile.name : null,
+      detection: this.pocketDetectionEnabled ? pocketDetector.getState() : null
+    }).catch(error => console.error('Failed to save pocket event:', error));
+  }
+
+  /**
+   * Pocket correction in use (dB); a learned profile's typical A-weighted one
+   */
+  getPocketCorrection() {
+    const profile = audioEngine.pocketResponse.length > 0 ? pocketProfiles.getActive() : null;
+    return profile ? profile.broadband.A : audioEngine.pocketCorrection;
+  }
+
+  setWeighting(weighting) {
+    audioEngine.setWeighting(weighting);
+
+    document.querySelectorAll('#weightingButtons .preset-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.weighting === audioEngine.weighting);
+    });
+
+    const unitLabel = document.getElementById('liveDbUnit');
+    if (unitLabel) unitLabel.textContent = `dB${audioEngine.weighting}`;
+
+    document.querySelectorAll('.leq-label').forEach(label => {
+      label.textContent = `L${audioEngine.weighting}eq`;
+    });
+  }
+
+  /**
+   * Select the exposure standard of the primary dosimeter; today's dose is
+   * recomputed under it (see changeDosimeters). False when cancelled
+   */
+  setStandard(profileId) {
+    const configs = dosimetryEngine.getDosimeterConfigs().map(config =>
+      config.id === dosimetryEngine.primaryId ? { ...config, profileId } : config
+    );
+    return this.changeDosimeters(configs);
+  }
+
+  /**
+   * Change the virtual dosimeters during the day. Dosimeters that start from
+   * zero (added, or given another standard) are recomputed over today's level
+   * history; where the history misses part of the day, the user is asked before
+   * their dose restarts from now. `custom` holds new criteria for the Custom
+   * standard. Returns false when the change was cancelled
+   */
+  async changeDosimeters(configs, primaryId = dosimetryEngine.primaryId, custom = this.customStandard) {
+    const changed = dosimetryEngine.getChangedDosimeters(configs, custom);
+    if (changed.length === 0 || dosimetryEngine.exposureSeconds === 0) {
+      this.customStandard = custom;
+      this.applyDosimeters(configs, primaryId);
+      return true;
+    }
+
+    const dayStart = this.getLastResetTime();
+    let complete = false;
+    try {
+      await levelHistory.flush();
+      const seconds = await levelHistory.getSeconds(dayStart, Date.now());
+      // Up to a save interval may be lost when the page was closed
+      complete = seconds.length >= dosimetryEngine.exposureSeconds - 10;
+    } catch (error) {
+      console.error('Failed to read level history:', error);
+    }
+
+    if (!complete && !confirm('Level history does not cover all of today, so the changed dosimeters cannot be recomputed. Start their dose from zero now?')) {
+      this.applyDosimeters(dosimetryEngine.getDosimeterConfigs());
+      return false;
+    }
+
+    // Seconds from now on reach the new dosimeters directly
+    const cutoff = levelHistory.lastTime;
+    const expected = dosimetryEngine.exposureSeconds;
+    this.customStandard = custom;
+    const fresh = this.applyDosimeters(configs, primaryId);
+    if (!complete || cutoff === null) return true;
+
+    try {
+      await levelHistory.flush();
+      const seconds = await levelHistory.getSeconds(dayStart, cutoff + 1000);
+      dosimetryEngine.replay(fresh, seconds.slice(-expected));
+      this.refreshDoseDisplay();
+    } catch (error) {
+      console.error('Failed to recompute the dosimeters:', error);
+      this.showToast('❌ Could not recompute today\'s dose');
+    }
+    return true;
+  }
+
+  /**
+   * Start (ms) of the current dose day, at the last daily reset
+   */
+  getLastResetTime() {
+    const [hours, minutes] = this.resetTime.split(':').map(Number);
+    const reset = new Date();
+    reset.setHours(hours || 0, minutes || 0, 0, 0);
+    if (reset.getTime() > Date.now()) reset.setDate(reset.getDate() - 1);
+    return reset.getTime();
+  }
+
+  /**
+   * Configure the virtual dosimeters and refresh the settings, dose circle and labels
+   * Returns the ids of the dosimeters that start from zero
+   */
+  applyDosimeters(configs, primaryId = dosimetryEngine.primaryId) {
+    const changed = dosimetryEngine.configureDosimeters(configs, this.customStandard);
+    if (dosimetryEngine.dosimeters.some(dosimeter => dosimeter.id === primaryId)) {
+      dosimetryEngine.setPrimary(primaryId);
+    }
+    const profile = dosimetryEngine.profile;
+
+    const standardSelect = document.getElementById('standardSelect');
+    if (standardSelect) standardSelect.value = profile.id;
+
+    // Custom criteria are shared by every dosimeter using the Custom profile
+    const customProfile = dosimetryEngine.dosimeters
+      .map(dosimeter => dosimeter.profile)
+      .find(dosimeterProfile => dosimeterProfile.id === 'CUSTOM');
+
+    const customContainer = document.getElementById('customStandardContainer');
+    if (customContainer) customContainer.classList.toggle('hidden', !customProfile);
+
+    if (customProfile) {
+      const customInputs = {
+        customCriterionInput: customProfile.criterionLevel,
+        customExchangeRateInput: customProfile.exchangeRate,
+        customThresholdInput: customProfile.threshold
+      };
+      Object.entries(customInputs).forEach(([inputId, value]) => {
+        const input = document.getElementById(inputId);
+        if (input) input.value = value;
+      });
+    }
+
+    const doseStandardText = document.getElementById('doseStandardText');
+    if (doseStandardText) doseStandardText.textContent = `of ${profile.shortName} limit`;
+
+    const twaLabel = document.getElementById('twaLabel');
+    if (twaLabel) twaLabel.textContent = profile.actionValues ? 'LEX,8h' : '8h TWA';
+
+    this.renderAdditionalDosimeters();
+    this.refreshDoseDisplay();
+
+    // Planned doses follow the primary standard
+    taskPlanner.render();
+    return changed;
+  }
+
+  /**
+   * Dose circle, dosimeter list, Leq metrics and safe time from the current totals
+   */
+  refreshDoseDisplay() {
+    const summary = dosimetryEngine.getSummary();
+    doseCircle.update(summary.dose);
+    dosimeterList.update(summary);
+    this.updateLeqMetrics(summary);
+
+    const safeTimeEl = document.getElementById('safeTimeRemaining');
+    if (safeTimeEl) safeTimeEl.textContent = DosimetryEngine.formatTime(dosimetryEngine.getSafeTimeRemaining());
+  }
+
+  /**
+   * Standard selectors for the non-primary dosimeters
+   */
+  renderAdditionalDosimeters() {
+    const container = document.getElementById('additionalDosimeters');
+    const standardSelect = document.getElementById('standardSelect');
+    if (!container || !standardSelect) return;
+
+    const others = dosimetryEngine.dosimeters.filter(dosimeter => dosimeter.id !== dosimetryEngine.primaryId);
+    container.innerHTML = others.map(dosimeter => `
+      <div class="dosimeter-setting" data-dosimeter="${dosimeter.id}">
+        <select class="settings-select">${standardSelect.innerHTML}</select>
+        <button class="dosimeter-remove-btn" aria-label="Remove dosimeter">✕</button>
+      </div>
+    `).join('');
+
+    others.forEach(dosimeter => {
+      const select = container.querySelector(`[data-dosimeter="${dosimeter.id}"] select`);
+      if (select) select.value = dosimeter.profile.id;
+    });
+
+    const addBtn = document.getElementById('addDosimeterBtn');
+    if (addBtn) addBtn.disabled = dosimetryEngine.dosimeters.length >= CONFIG.STANDARDS.maxDosimeters;
+  }
+
+  /**
+   * Fill the protector and attenuation method selects from CONFIG.PROTECTION
+   */
+  renderProtectionOptions() {
+    const protectorSelect = document.getElementById('protectorSelect');
+    const methodSelect = document.getElementById('protectionMethodSelect');
+
+    if (protectorSelect) {
+      protectorSelect.innerHTML = Object.entries(CONFIG.PROTECTION.protectors)
+        .map(([id, protector]) => `<option value="${id}">${protector.name} · SNR ${protector.snr}</option>`)
+        .join('');
+      protectorSelect.value = hearingProtection.protectorId;
+    }
+    if (methodSelect) {
+      methodSelect.innerHTML = Object.entries(CONFIG.PROTECTION.methods)
+        .map(([id, method]) => `<option value="${id}">${method.name}</option>`)
+        .join('');
+      methodSelect.value = hearingProtection.method;
+    }
+  }
+
+  applyProtectionSchedule() {
+    const enabled = document.getElementById('protectionScheduleToggle')?.checked;
+    const start = document.getElementById('protectionScheduleStart')?.value;
+    const end = document.getElementById('protectionScheduleEnd')?.value;
+    const schedule = enabled && start && end ? [{ start, end }] : [];
+
+    document.getElementById('protectionScheduleContainer')?.classList.toggle('hidden', !enabled);
+    hearingProtection.setSchedule(schedule);
+    storageEngine.saveSetting('protectionSchedule', schedule);
+  }
+
+  /**
+   * Protection put on or taken off: refresh the UI and log the change as an event
+   */
+  handleProtectionChange(state) {
+    this.updateProtectionUI();
+    if (state.source !== 'manual') {
+      this.showToast(state.worn ? `🎧 ${state.protector} on` : '🎧 Hearing protection off');
+    }
+
+    const time = new Date();
+    storageEngine.saveEvent({
+      type: 'protection',
+      timestamp: time.getTime(),
+      date: time.toISOString().split('T')[0],
+      datetime: time.toISOString(),
+      ...state
+    }).catch(error => console.error('Failed to save protection event:', error));
+  }
+
+  updateProtectionUI() {
+    const { worn, protector, method } = hearingProtection.getState();
+
+    const quickBtn = document.getElementById('protectionQuickBtn');
+    if (quickBtn) {
+      quickBtn.textContent = worn ? `🎧 Wearing ${protector}` : '🎧 No hearing protection';
+      quickBtn.classList.toggle('active', worn);
+    }
+
+    const toggle = document.getElementById('protectionToggle');
+    if (toggle) toggle.checked = worn;
+
+    const detail = document.getElementById('protectedDoseDetail');
+    if (detail) detail.textContent = `(${CONFIG.PROTECTION.methods[method].name})`;
+  }
+
+  updateProtectedDose(summary) {
+    const container = document.getElementById('protectedDose');
+    const value = document.getElementById('protectedDoseValue');
+    if (!container) return;
+
+    container.classList.toggle('hidden', summary.protectedSeconds === 0 && !hearingProtection.worn);
+    if (value) value.textContent = `${Math.round(summary.protectedDose)}%`;
+  }
+
+  async addDosimeter() {
+    const configs = dosimetryEngine.getDosimeterConfigs();
+    if (configs.length >= CONFIG.STANDARDS.maxDosimeters) return;
+
+    // First free slot id, starting with a standard not already in use
+    const usedIds = configs.map(config => config.id);
+    const usedProfiles = configs.map(config => config.profileId);
+    const id = ['D1', 'D2', 'D3', 'D4'].find(slot => !usedIds.includes(slot));
+    const profileId = Object.keys(CONFIG.STANDARDS.profiles)
+      .find(candidate => candidate !== 'CUSTOM' && !usedProfiles.includes(candidate)) || 'CUSTOM';
+
+    if (!await this.changeDosimeters([...configs, { id, profileId }])) return;
+    this.saveDosimeters();
+    haptics.vibrate('light');
+  }
+
+  async updateDosimeter(id, profileId) {
+    const configs = dosimetryEngine.getDosimeterConfigs().map(config =>
+      config.id === id ? { ...config, profileId } : config
+    );
+    if (await this.changeDosimeters(configs)) this.saveDosimeters();
+  }
+
+  removeDosimeter(id) {
+    const configs = dosimetryEngine.getDosimeterConfigs().filter(config => config.id !== id);
+    this.applyDosimeters(configs);
+    this.saveDosimeters();
+    haptics.vibrate('light');
+  }
+
+  saveDosimeters() {
+    storageEngine.saveSetting('dosimeters', dosimetryEngine.getDosimeterConfigs());
+    storageEngine.saveSetting('primaryDosimeter', dosimetryEngine.primaryId);
+  }
+
+  setTimeWeighting(timeWeighting) {
+    audioEngine.setTimeWeighting(timeWeighting);
+
+    document.querySelectorAll('#timeWeightingButtons .preset-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.timeWeighting === audioEngine.timeWeighting);
+    });
   }
 
   async requestPermissions() {
@@ -327,70 +822,20 @@ class NoiseDosimeterApp {
             console.error('Invalid data received in onLevelUpdate:', data);
             return;
           }
-          liveMeter.update(data.current);
+          liveMeter.update(data.current, data);
         } catch (err) {
           console.error('Error in onLevelUpdate callback:', err);
         }
       };
 
+      // Dose calculation (1 Hz) - driven by the level meter's per-second Leq
+      audioEngine.onSecondUpdate = (second) => this.processSecond(second);
+
       // Start audio monitoring
+      dosimetryEngine.startSession();
+      spectrumAnalyzer.reset();
       audioEngine.start();
-      console.log('✅ Audio monitoring started, callback set');
-
-      // Start dose calculation (1 Hz) - Updates metrics every second
-      this.doseCalculationInterval = setInterval(() => {
-        try {
-          const currentLevel = audioEngine.currentLevel;
-
-          if (isNaN(currentLevel) || currentLevel < 0) {
-            debugLog('App', 'Invalid audio level detected:', currentLevel);
-            return;
-          }
-
-          // Add exposure data
-          dosimetryEngine.addExposure(currentLevel);
-          const summary = dosimetryEngine.getSummary();
-
-          // Update dose circle
-          doseCircle.update(summary.dose);
-
-          // Update ALL metrics EVERY second
-          const exposureTimeEl = document.getElementById('exposureTime');
-          const peakLevelEl = document.getElementById('peakLevel');
-          const safeTimeEl = document.getElementById('safeTimeRemaining');
-
-          if (exposureTimeEl) {
-            exposureTimeEl.textContent = DosimetryEngine.formatTime(summary.exposureSeconds);
-          }
-
-          if (peakLevelEl) {
-            peakLevelEl.textContent = `${Math.round(summary.peakLevel)} dB`;
-          }
-
-          if (safeTimeEl) {
-            const safeTime = dosimetryEngine.getSafeTimeRemaining();
-            safeTimeEl.textContent = DosimetryEngine.formatTime(safeTime);
-          }
-
-          // Debug log every 5 seconds
-          if (summary.exposureSeconds % 5 === 0) {
-            console.log(`📊 Metrics Update: Exposure=${summary.exposureSeconds}s, Peak=${summary.peakLevel}dB, Dose=${summary.dose.toFixed(2)}%`);
-          }
-
-          // Check warnings
-          warnings.check(currentLevel, summary.dose);
-
-          // Save periodically (every 10 seconds for more responsive updates)
-          if (summary.exposureSeconds % 10 === 0 && summary.exposureSeconds > 0) {
-            this.saveCurrentData().catch(err => {
-              debugLog('App', 'Auto-save failed:', err);
-            });
-          }
-        } catch (calcError) {
-          console.error('Dose calculation error:', calcError);
-        }
-
-      }, CONFIG.SAMPLING.calcInterval);
+      console.log('✅ Audio monitoring started, callbacks set');
 
       // Do initial metric updates immediately
       const exposureTimeEl = document.getElementById('exposureTime');
@@ -400,6 +845,7 @@ class NoiseDosimeterApp {
       if (exposureTimeEl) exposureTimeEl.textContent = '0s';
       if (safeTimeEl) safeTimeEl.textContent = DosimetryEngine.formatTime(dosimetryEngine.getSafeTimeRemaining());
       if (peakLevelEl) peakLevelEl.textContent = '0 dB';
+      this.updateLeqMetrics(dosimetryEngine.getSummary());
 
       // Update state
       this.isMonitoring = true;
@@ -430,6 +876,7 @@ class NoiseDosimeterApp {
 
       haptics.vibrate('medium');
       this.showToast('🎤 Monitoring started');
+      calibration.remindIfDue();
 
       debugLog('App', 'Monitoring started');
 
@@ -439,21 +886,166 @@ class NoiseDosimeterApp {
       this.showToast('❌ ' + (error.message || 'Failed to start monitoring'));
 
       // Cleanup on error
-      if (this.doseCalculationInterval) {
-        clearInterval(this.doseCalculationInterval);
-        this.doseCalculationInterval = null;
+      audioEngine.onSecondUpdate = null;
+    }
+  }
+
+  /**
+   * Per-second update from the audio engine: accumulate dose, refresh metrics, warn and save
+   */
+  processSecond(second) {
+    try {
+      const currentLevel = second.level;
+
+      if (isNaN(currentLevel) || currentLevel < 0) {
+        debugLog('App', 'Invalid audio level detected:', currentLevel);
+        return;
+      }
+
+      // Add exposure data (Leq of the primary weighting over this second),
+      // with the estimated level at the ear when hearing protection is worn
+      const peakLevel = second.peak[CONFIG.PEAK.weighting];
+      const protectionWorn = hearingProtection.update(new Date(second.timestamp));
+      const protectedLevel = hearingProtection.getProtectedLevel(currentLevel, second.leq);
+      dosimetryEngine.addExposure(currentLevel, {
+        maxLevel: second.max[second.weighting],
+        peakLevel,
+        protectionWorn,
+        protectedLevel,
+        categories: { context: sensorFusion.context.type }
+      });
+
+      // Per-second history, with the dBFS and corrections behind the level,
+      // to recompute the day later
+      const pocketProfile = audioEngine.pocketResponse.length > 0 ? pocketProfiles.getActive() : null;
+      levelHistory.add(second.timestamp, {
+        level: currentLevel,
+        peak: peakLevel,
+        protectedLevel: protectionWorn ? protectedLevel : null,
+        dbfs: second.dbfs[second.weighting],
+        peakDbfs: second.peakDbfs[CONFIG.PEAK.weighting],
+        context: sensorFusion.context.type,
+        weighting: second.weighting,
+        timeWeighting: second.timeWeighting,
+        calibrationOffset: audioEngine.calibrationOffset,
+        inputDevice: audioEngine.device ? audioEngine.device.key : null,
+        pocket: audioEngine.inPocketMode
+          ? { correction: audioEngine.pocketCorrection, broadband: pocketProfile ? pocketProfile.broadband : null }
+          : null
+      });
+      const summary = dosimetryEngine.getSummary();
+
+      // Octave bands, scaled to this second's LZeq
+      spectrumAnalyzer.update(audioEngine.getFrequencyData(), audioEngine.audioContext.sampleRate, second.leq.Z);
+      spectrumDisplay.update();
+
+      if (peakLevel >= CONFIG.PEAK.thresholds.warning) {
+        this.recordImpulse(second);
+      }
+
+      // Task sample for the shift planner, when one is being measured
+      taskPlanner.handleSecond(second);
+
+      // Update dose circle (primary dosimeter) and the dosimeter list
+      doseCircle.update(summary.dose);
+      dosimeterList.update(summary);
+
+      // Update ALL metrics EVERY second
+      const exposureTimeEl = document.getElementById('exposureTime');
+      const peakLevelEl = document.getElementById('peakLevel');
+      const safeTimeEl = document.getElementById('safeTimeRemaining');
+
+      if (exposureTimeEl) {
+        exposureTimeEl.textContent = DosimetryEngine.formatTime(summary.exposureSeconds);
+      }
+
+      if (peakLevelEl) {
+        peakLevelEl.textContent = `${Math.round(summary.peakLevel)} dB`;
+      }
+
+      if (safeTimeEl) {
+        const safeTime = dosimetryEngine.getSafeTimeRemaining();
+        safeTimeEl.textContent = DosimetryEngine.formatTime(safeTime);
+      }
+
+      this.updateLeqMetrics(summary);
+
+      // Debug log every 5 seconds
+      if (summary.exposureSeconds % 5 === 0) {
+        debugLog('Dose', `Metrics update: exposure=${summary.exposureSeconds}s, peak=${summary.peakLevel}dB, dose=${summary.dose.toFixed(2)}%`);
+      }
+
+      // Check warnings
+      warnings.check(currentLevel, summary.dose, peakLevel);
+
+      // Save periodically (every 10 seconds for more responsive updates)
+      if (summary.exposureSeconds % 10 === 0 && summary.exposureSeconds > 0) {
+        this.saveCurrentData().catch(err => {
+          debugLog('App', 'Auto-save failed:', err);
+        });
       }
+    } catch (calcError) {
+      console.error('Dose calculation error:', calcError);
     }
   }
 
-  stopMonitoring() {
-    audioEngine.stop();
+  /**
+   * Store an impulse event for a second whose peak crossed CONFIG.PEAK thresholds
+   */
+  recordImpulse(second) {
+    const weighting = CONFIG.PEAK.weighting;
+    const peakLevel = second.peak[weighting];
+    const timestamp = second.peakTime[weighting] || second.timestamp;
+    const time = new Date(timestamp);
+
+    const event = {
+      type: 'impulse',
+      timestamp,
+      date: time.toISOString().split('T')[0],
+      datetime: time.toISOString(),
+      peakLevel,
+      weighting,
+      severity: peakLevel >= CONFIG.PEAK.thresholds.danger ? 'danger' : 'warning',
+      leq: second.leq[weighting]
+    };
+
+    debugLog('App', `Impulse event: ${peakLevel.toFixed(1)} dB${weighting} peak`);
+    storageEngine.saveEvent(event)
+      .catch(error => console.error('Failed to save impulse event:', error));
+    hearingProtection.handleEvent(event);
+  }
+
+  /**
+   * Refresh Leq, TWA and projected dose metrics
+   */
+  updateLeqMetrics(summary) {
+    const dayLeqEl = document.getElementById('dayLeq');
+    const twaEl = document.getElementById('twaLevel');
+    const projectedEl = document.getElementById('projectedDose');
+    const rollingEl = document.getElementById('rollingLeq');
+
+    if (dayLeqEl) dayLeqEl.textContent = DosimetryEngine.formatLevel(summary.leq);
+    if (twaEl) {
+      const actionLabels = { below: '', lower: ' · lower action', upper: ' · upper action', limit: ' · limit' };
+      twaEl.textContent = DosimetryEngine.formatLevel(summary.twa) + (actionLabels[summary.actionValue] || '');
+    }
+    if (projectedEl) projectedEl.textContent = `${Math.round(summary.projectedDose)}%`;
 
-    if (this.doseCalculationInterval) {
-      clearInterval(this.doseCalculationInterval);
-      this.doseCalculationInterval = null;
+    if (rollingEl) {
+      const label = `L${audioEngine.weighting}eq`;
+      const windows = Object.entries(summary.rollingLeq)
+        .map(([window, leq]) => `${window} ${DosimetryEngine.formatLevel(leq)}`);
+      rollingEl.textContent = `${label} session ${DosimetryEngine.formatLevel(summary.sessionLeq)} · ${windows.join(' · ')}`;
     }
 
+    this.updateProtectedDose(summary);
+  }
+
+  stopMonitoring() {
+    audioEngine.stop();
+    audioEngine.onSecondUpdate = null;
+    taskPlanner.cancelSample();
+
     this.isMonitoring = false;
 
     // Release wake lock
@@ -475,6 +1067,7 @@ class NoiseDosimeterApp {
 
     haptics.vibrate('medium');
     this.showToast('⏸️ Monitoring stopped');
+    calibration.handleShiftEnd();
 
     debugLog('App', 'Monitoring stopped');
   }
@@ -487,6 +1080,11 @@ class NoiseDosimeterApp {
       const currentHour = `${today} ${String(now.getHours()).padStart(2, '0')}:00`;
       const currentLevel = audioEngine.currentLevel;
       const safeTimeRemaining = dosimetryEngine.getSafeTimeRemaining();
+      // Third-octave band Leq since the previous record, when the band log is on
+      const bandLog = this.spectrumLogEnabled ? spectrumAnalyzer.takeLog('third') : null;
+
+      // Store the level history up to this second
+      await levelHistory.flush();
 
       // Save detailed exposure record (every 10 seconds)
       await storageEngine.saveExposureRecord({
@@ -495,21 +1093,51 @@ class NoiseDosimeterApp {
         datetime: now.toISOString(),
         currentLevel: currentLevel,
         peakLevel: summary.peakLevel,
+        maxLevel: summary.maxLevel,
         dose: summary.dose,
+        protectedDose: summary.protectedDose,
+        protectedTwa: summary.protectedTwa,
+        protection: hearingProtection.getState(),
         exposureSeconds: summary.exposureSeconds,
         safeTimeRemaining: safeTimeRemaining,
         averageLevel: dosimetryEngine.averageLevel,
+        leq: summary.leq,
+        sessionLeq: summary.sessionLeq,
+        rollingLeq: summary.rollingLeq,
+        twa: summary.twa,
+        projectedDose: summary.projectedDose,
+        standard: summary.standard,
+        dosimeters: summary.dosimeters,
+        weighting: audioEngine.weighting,
+        timeWeighting: audioEngine.timeWeighting,
+        levels: { ...audioEngine.levels },
+        bandLevels: bandLog ? bandLog.bands.map(({ nominal, level }) => ({ nominal, level })) : null,
         inPocketMode: audioEngine.inPocketMode,
-        pocketCorrection: audioEngine.inPocketMode ? audioEngine.pocketCorrection : 0,
-        calibrationOffset: audioEngine.calibrationOffset
+        pocketCorrection: audioEngine.inPocketMode ? this.getPocketCorrection() : 0,
+        pocketProfile: audioEngine.inPocketMode && pocketProfiles.getActive() ? pocketProfiles.getActive().name : null,
+        calibrationOffset: audioEngine.calibrationOffset,
+        inputDevice: audioEngine.device ? audioEngine.device.key : null,
+        context: sensorFusion.context.type,
+        tag: activityTags.current
       });
 
       // Save daily summary (cumulative for the day)
       await storageEngine.saveDailySummary({
         date: today,
         dose: summary.dose,
+        protectedDose: summary.protectedDose,
+        protectedTwa: summary.protectedTwa,
+        protectedSeconds: summary.protectedSeconds,
         peakLevel: summary.peakLevel,
+        maxLevel: summary.maxLevel,
         exposureSeconds: summary.exposureSeconds,
+        leq: summary.leq,
+        twa: summary.twa,
+        projectedDose: summary.projectedDose,
+        standard: summary.standard,
+        dosimeters: summary.dosimeters,
+        breakdown: summary.breakdown,
+        weighting: audioEngine.weighting,
         timestamp: now.toISOString()
       });
 
@@ -522,6 +1150,10 @@ class NoiseDosimeterApp {
         dose: summary.dose, // Store cumulative dose
         peakLevel: summary.peakLevel,
         exposureSeconds: summary.exposureSeconds,
+        leq: summary.leq, // Cumulative day Leq
+        twa: summary.twa,
+        standard: summary.standard,
+        breakdown: summary.breakdown, // Cumulative, like the dose
         timestamp: now.toISOString()
       });
 
@@ -545,6 +1177,29 @@ class NoiseDosimeterApp {
       this.pocketDetectionEnabled = await storageEngine.getSetting('pocketDetectionEnabled', true) ?? true;
       this.pocketCorrection = await storageEngine.getSetting('pocketCorrection', CONFIG.POCKET.defaultCorrection) ?? CONFIG.POCKET.defaultCorrection;
       this.resetTime = await storageEngine.getSetting('resetTime', '00:00') ?? '00:00';
+      const weighting = await storageEngine.getSetting('frequencyWeighting', CONFIG.AUDIO.defaultWeighting) ?? CONFIG.AUDIO.defaultWeighting;
+      this.setWeighting(weighting);
+      const timeWeighting = await storageEngine.getSetting('timeWeighting', CONFIG.AUDIO.defaultTimeWeighting) ?? CONFIG.AUDIO.defaultTimeWeighting;
+      this.setTimeWeighting(timeWeighting);
+      const spectrumResolution = await storageEngine.getSetting('spectrumResolution', CONFIG.SPECTRUM.defaultResolution) ?? CONFIG.SPECTRUM.defaultResolution;
+      spectrumDisplay.setResolution(spectrumResolution);
+      const spectrumMode = await storageEngine.getSetting('spectrumMode', CONFIG.SPECTRUM.defaultMode) ?? CONFIG.SPECTRUM.defaultMode;
+      spectrumDisplay.setMode(spectrumMode);
+      this.spectrumLogEnabled = await storageEngine.getSetting('spectrumLogEnabled', false) ?? false;
+      const protectionSchedule = await storageEngine.getSetting('protectionSchedule', []) ?? [];
+      hearingProtection.restore({
+        protectorId: await storageEngine.getSetting('protectorId', CONFIG.PROTECTION.defaultProtector),
+        method: await storageEngine.getSetting('protectionMethod', CONFIG.PROTECTION.defaultMethod),
+        schedule: protectionSchedule,
+        autoWear: await storageEngine.getSetting('protectionAutoWear', false),
+        override: await storageEngine.getSetting('protectionOverride', null)
+      });
+      this.customStandard = await storageEngine.getSetting('customStandard', {}) ?? {};
+      // Single-standard setting from before virtual dosimeters
+      const standard = await storageEngine.getSetting('exposureStandard', CONFIG.STANDARDS.defaultProfile) ?? CONFIG.STANDARDS.defaultProfile;
+      const dosimeters = await storageEngine.getSetting('dosimeters', null) ?? [{ id: 'D1', profileId: standard }];
+      const primaryDosimeter = await storageEngine.getSetting('primaryDosimeter', dosimeters[0].id) ?? dosimeters[0].id;
+      this.applyDosimeters(dosimeters, primaryDosimeter);
 
       // Ensure resetTime is valid
       if (!this.resetTime || typeof this.resetTime !== 'string') {
@@ -561,20 +1216,33 @@ class NoiseDosimeterApp {
       if (pocketSlider) pocketSlider.value = this.pocketCorrection;
       if (pocketValue) pocketValue.textContent = `${this.pocketCorrection} dB`;
       if (resetTimePicker) resetTimePicker.value = this.resetTime;
+      const spectrumLogToggle = document.getElementById('spectrumLogToggle');
+      if (spectrumLogToggle) spectrumLogToggle.checked = this.spectrumLogEnabled;
+
+      this.renderProtectionOptions();
+      const protectionScheduleToggle = document.getElementById('protectionScheduleToggle');
+      if (protectionScheduleToggle) protectionScheduleToggle.checked = protectionSchedule.length > 0;
+      if (protectionSchedule.length > 0) {
+        document.getElementById('protectionScheduleStart').value = protectionSchedule[0].start;
+        document.getElementById('protectionScheduleEnd').value = protectionSchedule[0].end;
+      }
+      document.getElementById('protectionScheduleContainer')?.classList.toggle('hidden', protectionSchedule.length === 0);
+      const protectionAutoToggle = document.getElementById('protectionAutoToggle');
+      if (protectionAutoToggle) protectionAutoToggle.checked = hearingProtection.autoWear;
+      this.updateProtectionUI();
 
       // Load today's data
       const todaySummary = await storageEngine.getTodaySummary();
       if (todaySummary) {
-        dosimetryEngine.dailyDose = todaySummary.dose || 0;
-        dosimetryEngine.peakLevel = todaySummary.peakLevel || 0;
-        dosimetryEngine.exposureSeconds = todaySummary.exposureSeconds || 0;
+        dosimetryEngine.restore(todaySummary);
 
         // Update all UI elements with loaded data
         doseCircle.update(dosimetryEngine.dailyDose);
+        dosimeterList.update(dosimetryEngine.getSummary());
 
         const peakEl = document.getElementById('peakLevel');
         if (peakEl) {
-          peakEl.textContent = `${dosimetryEngine.peakLevel} dB`;
+          peakEl.textContent = `${Math.round(dosimetryEngine.peakLevel)} dB`;
         }
 
         const exposureTimeEl = document.getElementById('exposureTime');
@@ -586,6 +1254,8 @@ class NoiseDosimeterApp {
         if (safeTimeEl) {
           safeTimeEl.textContent = DosimetryEngine.formatTime(dosimetryEngine.getSafeTimeRemaining());
         }
+
+        this.updateLeqMetrics(dosimetryEngine.getSummary());
       }
 
       debugLog('App', 'Settings loaded successfully');
@@ -640,6 +1310,7 @@ class NoiseDosimeterApp {
   resetDailyDose() {
     dosimetryEngine.reset();
     doseCircle.update(0);
+    dosimeterList.update(dosimetryEngine.getSummary());
 
     const exposureTimeEl = document.getElementById('exposureTime');
     const safeTimeEl = document.getElementById('safeTimeRemaining');
@@ -650,6 +1321,7 @@ class NoiseDosimeterApp {
       safeTimeEl.textContent = DosimetryEngine.formatTime(dosimetryEngine.getSafeTimeRemaining());
     }
     if (peakLevelEl) peakLevelEl.textContent = '-- dB';
+    this.updateLeqMetrics(dosimetryEngine.getSummary());
 
     this.saveCurrentData();
     this.showToast('🔄 Daily dose reset');
@@ -664,35 +1336,85 @@ class NoiseDosimeterApp {
     }
   }
 
+  /**
+   * Detailed CSV export. Stores are read a page at a time through their
+   * indexes and each page becomes one part of the file's Blob, so only a
+   * page of rows is loaded at once and the CSV is never one string
+   */
   async exportData() {
     try {
-      const data = await storageEngine.exportData();
+      const parts = [];
+      const csvLevel = (value) => (typeof value === 'number' && isFinite(value) ? value.toFixed(1) : '');
+      const csvStandard = (standard) => (standard ? DosimetryEngine.formatProfile(standard) : '');
+      // Free text without the separators this CSV can't quote
+      const csvText = (text) => (text ? String(text).replace(/[,\r\n]+/g, ' ') : '');
+      const csvProtection = (protection) => (protection && protection.worn ? `${protection.protectorId} ${protection.method}` : '');
+      const writePages = (storeName, options, format) =>
+        storageQuery.eachPage(storeName, options, rows => parts.push(rows.map(format).join('')));
 
       // Create comprehensive CSV with all detailed records
-      let csv = 'Record Type,Date,Date/Time,Current Level (dB),Peak Level (dB),Dose (%),Exposure Time (s),Safe Time Remaining (s),Average Level (dB),In Pocket Mode,Pocket Correction (dB),Calibration Offset (dB),Timestamp\n';
+      parts.push('Record Type,Date,Date/Time,Current Level (dB),Peak Level (dB),Dose (%),Exposure Time (s),Safe Time Remaining (s),Average Level (dB),In Pocket Mode,Pocket Correction (dB),Calibration Offset (dB),Timestamp,Weighting,LA (dB),LC (dB),LZ (dB),Leq (dB),8h TWA (dB),Projected Dose (%),Standard,Dosimeter,Max Level (dB),Band Levels (dB),Protected Dose (%),Hearing Protection,Input Device,Reference Level (dB),Calibration Method,Calibration Drift (dB),Context,Tag\n');
 
-      // Add detailed exposure records (every 10 seconds)
-      if (data.data.exposures && data.data.exposures.length > 0) {
-        data.data.exposures.forEach(record => {
-          csv += `Detailed,${record.date || ''},${record.datetime || ''},${record.currentLevel || 0},${record.peakLevel || 0},${record.dose || 0},${record.exposureSeconds || 0},${record.safeTimeRemaining || 0},${record.averageLevel || 0},${record.inPocketMode ? 'Yes' : 'No'},${record.pocketCorrection || 0},${record.calibrationOffset || 0},${record.datetime || ''}\n`;
-        });
-      }
+      // Add detailed exposure records (every 10 seconds), oldest first
+      const exposureCount = await writePages('exposureRecords', { index: 'timestamp' }, record =>
+        `Detailed,${record.date || ''},${record.datetime || ''},${record.currentLevel || 0},${record.peakLevel || 0},${record.dose || 0},${record.exposureSeconds || 0},${record.safeTimeRemaining || 0},${record.averageLevel || 0},${record.inPocketMode ? 'Yes' : 'No'},${record.pocketCorrection || 0},${record.calibrationOffset || 0},${record.datetime || ''},${record.weighting || ''},${record.levels?.A ?? ''},${record.levels?.C ?? ''},${record.levels?.Z ?? ''},${csvLevel(record.leq)},${csvLevel(record.twa)},${csvLevel(record.projectedDose)},${csvStandard(record.standard)},,${csvLevel(record.maxLevel)},${record.bandLevels ? SpectrumAnalyzer.formatBands(record.bandLevels) : ''},${csvLevel(record.protectedDose)},${csvProtection(record.protection)},${csvText(record.inputDevice)},,,,${csvText(record.context)},${csvText(record.tag)}\n`);
 
       // Add daily summaries
-      if (data.data.daily && data.data.daily.length > 0) {
-        data.data.daily.forEach(record => {
-          csv += `Daily Summary,${record.date},,,,${record.peakLevel || 0},${record.dose || 0},${record.exposureSeconds || 0},,,,,,${record.timestamp}\n`;
+      const dailyCount = await writePages('dailySummaries', {}, record => {
+        let rows = `Daily Summary,${record.date},,,,${record.peakLevel || 0},${record.dose || 0},${record.exposureSeconds || 0},,,,,,${record.timestamp},,,,${csvLevel(record.leq)},${csvLevel(record.twa)},${csvLevel(record.projectedDose)},${csvStandard(record.standard)},,${csvLevel(record.maxLevel)},,${csvLevel(record.protectedDose)}\n`;
+
+        // One row per virtual dosimeter, in the same columns
+        (record.dosimeters || []).forEach(dosimeter => {
+          rows += `Dosimeter Summary,${record.date},,,,${dosimeter.peakLevel || 0},${dosimeter.dose || 0},${dosimeter.exposureSeconds || 0},,,,,,${record.timestamp},,,,,${csvLevel(dosimeter.twa)},${csvLevel(dosimeter.projectedDose)},${csvStandard(dosimeter.standard)},${dosimeter.id},,,${csvLevel(dosimeter.protectedDose)}\n`;
+        });
+
+        // Primary dose per activity context, in the same columns
+        Object.entries(record.breakdown?.context || {}).forEach(([context, entry]) => {
+          rows += `Context Summary,${record.date},,,,,${entry.dose || 0},${entry.seconds || 0},,,,,,${record.timestamp},,,,${csvLevel(entry.leq)},,,${csvStandard(record.standard)},,,,,,,,,,${csvText(context)}\n`;
         });
+        return rows;
+      });
+
+      // Add events through the type and time index, one section per type, oldest first
+      const eventRows = {
+        // Impulses
+        impulse: event => `Impulse Event,${event.date},${event.datetime},,${csvLevel(event.peakLevel)},,,,,,,,${event.datetime},${event.weighting},,,,${csvLevel(event.leq)}\n`,
+        // Hearing protection changes
+        protection: event => `Protection Event,${event.date},${event.datetime},,,,,,,,,,${event.datetime},,,,,,,,,,,,,${event.worn ? `${event.protectorId} ${event.method}` : 'Off'}\n`,
+        // Pocket mode changes
+        pocket: event => `Pocket Event,${event.date},${event.datetime},,,,,,,${event.inPocket ? 'Yes' : 'No'},${event.correction || 0},,${event.datetime}\n`,
+        // The activity diary: tag started (empty: tagging stopped)
+        tag: event => (event.source === 'edit' ? '' : `Tag Event,${event.date},${event.datetime},,,,,,,,,,${event.datetime},,,,,,,,,,,,,,,,,,,${csvText(event.tag)}\n`),
+        // Calibration log: level read against the reference, resulting offset and drift
+        calibration: event => `Calibration Event,${event.date},${event.datetime},${csvLevel(event.measuredLevel)},,,,,,,,${event.offset ?? ''},${event.datetime},,,,,,,,,,,,,,${csvText(event.device && event.device.label)},${event.reference ?? ''},${event.method},${csvLevel(event.drift)}\n`
+      };
+      let eventCount = 0;
+      for (const [type, format] of Object.entries(eventRows)) {
+        eventCount += await writePages('events', { index: 'type_timestamp', from: [type, -Infinity], to: [type, Infinity], includeTo: true }, format);
       }
 
-      // Add hourly summaries
-      if (data.data.hourly && data.data.hourly.length > 0) {
-        data.data.hourly.forEach(record => {
-          csv += `Hourly Summary,${record.hour || record.datetime},,,,${record.peakLevel || 0},${record.dose || 0},${record.exposureSeconds || 0},,,,,,${record.timestamp}\n`;
+      // Add weekly (from Monday) and monthly totals of the daily summaries:
+      // doses and time summed, Leq energy-averaged over the exposure time
+      const localDate = (time) => {
+        const date = new Date(time);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+      };
+      for (const [bucket, type] of [['week', 'Weekly Summary'], ['month', 'Monthly Summary']]) {
+        const periods = await storageQuery.aggregate('dailySummaries', {
+          bucket,
+          time: record => new Date(`${record.date}T00:00:00`).getTime(),
+          fields: { dose: 'sum', exposureSeconds: 'sum', peakLevel: 'max', maxLevel: 'max', leq: 'energy' },
+          weight: record => record.exposureSeconds
         });
+        parts.push(periods.map(period =>
+          `${type},${localDate(period.start)},,,,${period.peakLevel || 0},${period.dose || 0},${period.exposureSeconds || 0},,,,,,,,,,${csvLevel(period.leq)},,,,,${csvLevel(period.maxLevel)}\n`).join(''));
       }
 
-      const blob = new Blob([csv], { type: 'text/csv' });
+      // Add hourly summaries, by hour
+      const hourlyCount = await writePages('hourlySummaries', { index: 'datetime' }, record =>
+        `Hourly Summary,${record.hour || record.datetime},,,,${record.peakLevel || 0},${record.dose || 0},${record.exposureSeconds || 0},,,,,,${record.timestamp},,,,${csvLevel(record.leq)},${csvLevel(record.twa)},,${csvStandard(record.standard)}\n`);
+
+      const blob = new Blob(parts, { type: 'text/csv' });
       const url = URL.createObjectURL(blob);
 
       const link = document.createElement('a');
@@ -702,7 +1424,7 @@ class NoiseDosimeterApp {
 
       URL.revokeObjectURL(url);
 
-      const recordCount = (data.data.exposures?.length || 0) + (data.data.daily?.length || 0) + (data.data.hourly?.length || 0);
+      const recordCount = exposureCount + dailyCount + hourlyCount + eventCount;
       this.showToast(`📥 Exported ${recordCount} records to CSV`);
       haptics.vibrate('medium');
     } catch (error) {
@@ -734,16 +1456,35 @@ class NoiseDosimeterApp {
       // Skip header line
       const dataLines = lines.slice(1).filter(line => line.trim());
 
+      const parseOptional = (value) => {
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+      };
+      // "EARMUFF_30 NIOSH" -> worn protector and method; empty or "Off" -> not worn
+      const parseProtection = (value) => {
+        const [protectorId, method] = (value || '').trim().split(' ');
+        if (!protectorId || protectorId === 'Off') return { worn: false };
+        const protector = CONFIG.PROTECTION.protectors[protectorId];
+        return { worn: true, protectorId, protector: protector ? protector.name : protectorId, method };
+      };
+
+      const dailySummaries = {};
       let importedDetailed = 0;
       let importedDaily = 0;
       let importedHourly = 0;
+      let importedEvents = 0;
 
       for (const line of dataLines) {
         const fields = line.split(',');
         const type = fields[0];
 
         if (type === 'Detailed') {
-          // Format: Record Type,Date,Date/Time,Current Level,Peak Level,Dose,Exposure Time,Safe Time Remaining,Average Level,In Pocket Mode,Pocket Correction,Calibration Offset,Timestamp
+          // Format: Record Type,Date,Date/Time,Current Level,Peak Level,Dose,Exposure Time,Safe Time Remaining,Average Level,In Pocket Mode,Pocket Correction,Calibration Offset,Timestamp,Weighting,LA,LC,LZ,Leq,TWA,Projected Dose,Standard,Dosimeter,Max Level,Band Levels,Protected Dose,Hearing Protection,Input Device,Reference Level,Calibration Method,Calibration Drift,Context,Tag
+          const levels = {};
+          ['A', 'C', 'Z'].forEach((weighting, i) => {
+            const value = parseFloat(fields[14 + i]);
+            if (!isNaN(value)) levels[weighting] = value;
+          });
           await storageEngine.saveExposureRecord({
             timestamp: new Date(fields[2]).getTime(),
             date: fields[1],
@@ -756,18 +1497,121 @@ class NoiseDosimeterApp {
             averageLevel: parseFloat(fields[8]) || 0,
             inPocketMode: fields[9] === 'Yes',
             pocketCorrection: parseFloat(fields[10]) || 0,
-            calibrationOffset: parseFloat(fields[11]) || 0
+            calibrationOffset: parseFloat(fields[11]) || 0,
+            weighting: fields[13] || CONFIG.AUDIO.defaultWeighting,
+            levels,
+            leq: parseOptional(fields[17]),
+            twa: parseOptional(fields[18]),
+            projectedDose: parseOptional(fields[19]),
+            standard: DosimetryEngine.parseProfile(fields[20]),
+            maxLevel: parseOptional(fields[22]),
+            bandLevels: SpectrumAnalyzer.parseBands(fields[23]),
+            protectedDose: parseOptional(fields[24]),
+            protection: parseProtection(fields[25]),
+            inputDevice: fields[26] || null,
+            context: fields[30] || null,
+            tag: fields[31] || null
           });
           importedDetailed++;
         } else if (type === 'Daily Summary') {
-          await storageEngine.saveDailySummary({
+          // Saved after all rows are read, once its dosimeter rows are attached
+          dailySummaries[fields[1]] = {
+            dosimeters: dailySummaries[fields[1]]?.dosimeters,
+            breakdown: dailySummaries[fields[1]]?.breakdown,
             date: fields[1],
             dose: parseFloat(fields[6]) || 0,
             peakLevel: parseFloat(fields[5]) || 0,
             exposureSeconds: parseInt(fields[7]) || 0,
+            leq: parseOptional(fields[17]),
+            twa: parseOptional(fields[18]),
+            projectedDose: parseOptional(fields[19]),
+            standard: DosimetryEngine.parseProfile(fields[20]),
+            maxLevel: parseOptional(fields[22]),
+            protectedDose: parseOptional(fields[24]) ?? undefined,
             timestamp: fields[12] || new Date().toISOString()
-          });
+          };
           importedDaily++;
+        } else if (type === 'Dosimeter Summary') {
+          const daily = dailySummaries[fields[1]] || (dailySummaries[fields[1]] = { date: fields[1] });
+          daily.dosimeters = daily.dosimeters || [];
+          daily.dosimeters.push({
+            id: fields[21],
+            standard: DosimetryEngine.parseProfile(fields[20]),
+            dose: parseFloat(fields[6]) || 0,
+            peakLevel: parseFloat(fields[5]) || 0,
+            exposureSeconds: parseInt(fields[7]) || 0,
+            twa: parseOptional(fields[18]),
+            projectedDose: parseOptional(fields[19]),
+            protectedDose: parseOptional(fields[24]) ?? undefined
+          });
+        } else if (type === 'Context Summary') {
+          const daily = dailySummaries[fields[1]] || (dailySummaries[fields[1]] = { date: fields[1] });
+          daily.breakdown = daily.breakdown || { context: {} };
+          daily.breakdown.context[fields[30] || 'unknown'] = {
+            dose: parseFloat(fields[6]) || 0,
+            seconds: parseInt(fields[7]) || 0,
+            leq: parseOptional(fields[17])
+          };
+        } else if (type === 'Impulse Event') {
+          await storageEngine.saveEvent({
+            type: 'impulse',
+            timestamp: new Date(fields[2]).getTime(),
+            date: fields[1],
+            datetime: fields[2],
+            peakLevel: parseFloat(fields[4]) || 0,
+            weighting: fields[13] || CONFIG.PEAK.weighting,
+            severity: parseFloat(fields[4]) >= CONFIG.PEAK.thresholds.danger ? 'danger' : 'warning',
+            leq: parseOptional(fields[17])
+          });
+          importedEvents++;
+        } else if (type === 'Protection Event') {
+          await storageEngine.saveEvent({
+            type: 'protection',
+            timestamp: new Date(fields[2]).getTime(),
+            date: fields[1],
+            datetime: fields[2],
+            source: 'import',
+            ...parseProtection(fields[25])
+          });
+          importedEvents++;
+        } else if (type === 'Pocket Event') {
+          await storageEngine.saveEvent({
+            type: 'pocket',
+            timestamp: new Date(fields[2]).getTime(),
+            date: fields[1],
+            datetime: fields[2],
+            inPocket: fields[9] === 'Yes',
+            correction: parseFloat(fields[10]) || 0,
+            profile: null,
+            detection: null
+          });
+          importedEvents++;
+        } else if (type === 'Tag Event') {
+          await storageEngine.saveEvent({
+            type: 'tag',
+            timestamp: new Date(fields[2]).getTime(),
+            date: fields[1],
+            datetime: fields[2],
+            tag: fields[31] || null,
+            source: 'import'
+          });
+          importedEvents++;
+        } else if (type === 'Calibration Event') {
+          const drift = parseOptional(fields[29]) ?? 0;
+          await storageEngine.saveEvent({
+            type: 'calibration',
+            timestamp: new Date(fields[2]).getTime(),
+            date: fields[1],
+            datetime: fields[2],
+            device: fields[26] ? { key: AudioEngine.getDeviceKey({ label: fields[26] }), label: fields[26] } : null,
+            method: fields[28] || 'manual',
+            reference: parseOptional(fields[27]),
+            measuredLevel: parseOptional(fields[3]),
+            offset: parseFloat(fields[11]) || 0,
+            drift,
+            flagged: Math.abs(drift) > CONFIG.CALIBRATION.history.jumpThreshold
+          });
+          importedEvents++;
         } else if (type === 'Hourly Summary') {
           await storageEngine.saveHourlySummary({
             id: fields[1],
@@ -776,19 +1620,28 @@ class NoiseDosimeterApp {
             dose: parseFloat(fields[6]) || 0,
             peakLevel: parseFloat(fields[5]) || 0,
             exposureSeconds: parseInt(fields[7]) || 0,
+            leq: parseOptional(fields[17]),
+            twa: parseOptional(fields[18]),
+            standard: DosimetryEngine.parseProfile(fields[20]),
             timestamp: fields[12] || new Date().toISOString()
           });
           importedHourly++;
         }
       }
 
+      for (const summary of Object.values(dailySummaries)) {
+        if (summary.dose === undefined) continue; // Dosimeter or context rows without their day
+        await storageEngine.saveDailySummary(summary);
+      }
+
       // Refresh the chart
       historyChart.update('day');
 
       // Reload today's data
       await this.loadSettings();
+      await calibration.loadHistory();
 
-      this.showToast(`📤 Imported ${importedDetailed} detailed + ${importedDaily} daily + ${importedHourly} hourly records`);
+      this.showToast(`📤 Imported ${importedDetailed} detailed + ${importedDaily} daily + ${importedHourly} hourly records + ${importedEvents} events`);
       haptics.vibrate('medium');
 
       // Clear the file input
@@ -816,6 +1669,20 @@ class NoiseDosimeterApp {
     }
   }
 
+  /**
+   * Storage usage and retention, from a StorageEngine retention report
+   */
+  updateStorageUsage(report) {
+    const usageEl = document.getElementById('storageUsage');
+    if (!usageEl) return;
+
+    const formatBytes = bytes => bytes >= 1e9 ? `${(bytes / 1e9).toFixed(1)} GB` : `${(bytes / 1e6).toFixed(1)} MB`;
+    const usage = report.usage ? `${formatBytes(report.usage.usage)} used of ${formatBytes(report.usage.quota)} · ` : '';
+    const compacted = report.compactedRecords > 0 ? ` · ${report.compactedRecords} old records rolled up` : '';
+    const { detailedDataDays, levelHistoryDays, hourlyDataDays, dataRetentionDays } = CONFIG.STORAGE;
+    usageEl.textContent = `💾 ${usage}kept: records ${detailedDataDays} days, per-second history ${levelHistoryDays}, hourly ${hourlyDataDays}, daily ${dataRetentionDays}${compacted}`;
+  }
+
   showToast(message, duration = 3000) {
     const toast = document.getElementById('toast');
     const toastMessage = document.getElementById('toastMessage');
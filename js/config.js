@@ -14,9 +14,8 @@ const CONFIG = {
   // Sampling Rates (optimized for performance and battery)
   SAMPLING: {
     displayHz: 10,      // 10 Hz for smooth visual updates
-    calculationHz: 1,   // 1 Hz for dose calculation (NIOSH standard)
-    displayInterval: 100, // ms (1000 / 10)
-    calcInterval: 1000    // ms (1000 / 1)
+    calculationHz: 1,   // 1 Hz for dose calculation (per-second Leq from the level meter)
+    displayInterval: 100 // ms (1000 / 10)
   },
 
   // NIOSH Dosimetry Standards
@@ -29,12 +28,115 @@ const CONFIG = {
     dangerLevel: 100           // dB - immediate warning threshold
   },
 
-  // Alternative: OSHA Standards (not default)
-  OSHA: {
-    criterionLevel: 90,
-    criterionDuration: 28800,
-    exchangeRate: 5,
-    threshold: 80
+  // Exposure standard profiles used for dose and TWA
+  STANDARDS: {
+    defaultProfile: 'NIOSH',
+    maxDosimeters: 4,            // Virtual dosimeters running in parallel
+    profiles: {
+      NIOSH: {
+        name: 'NIOSH REL',
+        shortName: 'NIOSH',
+        criterionLevel: 85,
+        criterionDuration: 28800,
+        exchangeRate: 3,
+        threshold: 80
+      },
+      OSHA_PEL: {
+        name: 'OSHA PEL',            // 29 CFR 1910.95(b)
+        shortName: 'OSHA PEL',
+        criterionLevel: 90,
+        criterionDuration: 28800,
+        exchangeRate: 5,
+        threshold: 90
+      },
+      OSHA_HCA: {
+        name: 'OSHA Hearing Conservation',  // 29 CFR 1910.95(c), 85 dBA action level
+        shortName: 'OSHA HC',
+        criterionLevel: 85,
+        criterionDuration: 28800,
+        exchangeRate: 5,
+        threshold: 80
+      },
+      EU: {
+        name: 'EU 2003/10/EC',
+        shortName: 'EU',
+        criterionLevel: 85,          // Upper exposure action value (LEX,8h)
+        criterionDuration: 28800,
+        exchangeRate: 3,
+        threshold: 0,                // LEX,8h integrates all levels
+        actionValues: {
+          lower: 80,
+          upper: 85,
+          limit: 87
+        }
+      },
+      ACGIH: {
+        name: 'ACGIH TLV',
+        shortName: 'ACGIH',
+        criterionLevel: 85,
+        criterionDuration: 28800,
+        exchangeRate: 3,
+        threshold: 80
+      },
+      CUSTOM: {
+        name: 'Custom',
+        shortName: 'Custom',
+        criterionLevel: 85,
+        criterionDuration: 28800,
+        exchangeRate: 3,
+        threshold: 80
+      }
+    }
+  },
+
+  // Equivalent continuous level (Leq) windows
+  LEQ: {
+    rollingWindows: {    // seconds
+      '1m': 60,
+      '15m': 900,
+      '1h': 3600
+    }
+  },
+
+  // Octave band spectrum (IEC 61260 base-10 bands)
+  SPECTRUM: {
+    fftSize: 32768,              // ~1.5 Hz bins at 48 kHz, enough to resolve the 31.5 Hz band
+    minFrequency: 31.5,          // Hz - lowest band centre
+    maxFrequency: 16000,         // Hz - highest band centre
+    resolutions: ['octave', 'third'],
+    defaultResolution: 'octave',
+    modes: ['live', 'leq'],      // latest second, or band Leq since monitoring started
+    defaultMode: 'live',
+    displayRange: { min: 20, max: 120 },  // dB - bar scale
+    octaveBands: [31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000],
+    thirdOctaveBands: [
+      31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630,
+      800, 1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000,
+      10000, 12500, 16000
+    ]
+  },
+
+  // Hearing protector attenuation at the ear
+  PROTECTION: {
+    defaultProtector: 'EARMUFF_30',
+    defaultMethod: 'NIOSH',
+    // NRR derating: OSHA (NRR - 7) × 50%; NIOSH keeps 75% / 50% / 30% of the NRR
+    // by protector type. SNR and HML: 4 dB real-world deduction (EN 458)
+    methods: {
+      NIOSH: { name: 'NIOSH derated NRR', derating: { earmuff: 0.25, formable: 0.5, plug: 0.7 } },
+      OSHA: { name: 'OSHA (NRR − 7) × 50%', derating: 0.5 },
+      SNR: { name: 'SNR (EN 458)', deduction: 4 },
+      HML: { name: 'HML (EN 458)', deduction: 4 }
+    },
+    // type: earmuff, formable (foam) plug or other (premolded/banded) plug
+    protectors: {
+      EARMUFF_30: { name: 'Earmuff (NRR 30)', type: 'earmuff', nrr: 30, snr: 33, hml: { H: 35, M: 31, L: 23 } },
+      EARMUFF_22: { name: 'Low-profile earmuff (NRR 22)', type: 'earmuff', nrr: 22, snr: 27, hml: { H: 31, M: 24, L: 16 } },
+      FOAM_PLUG_33: { name: 'Foam earplug (NRR 33)', type: 'formable', nrr: 33, snr: 37, hml: { H: 36, M: 34, L: 31 } },
+      PREMOLDED_PLUG_25: { name: 'Premolded earplug (NRR 25)', type: 'plug', nrr: 25, snr: 30, hml: { H: 32, M: 27, L: 24 } },
+      BANDED_PLUG_20: { name: 'Banded earplug (NRR 20)', type: 'plug', nrr: 20, snr: 24, hml: { H: 28, M: 20, L: 17 } }
+    },
+    autoWearEvents: ['impulse']   // event types that can switch protection on, when enabled
   },
 
   // Pocket Detection
@@ -43,7 +145,63 @@ const CONFIG = {
     minCorrection: -20,        // dB
     maxCorrection: -5,         // dB
     lightThreshold: 5,         // lux - below this = likely in pocket
-    proximityThreshold: 1      // cm - below this = near object
+    proximityThreshold: 1,     // cm - below this = near object
+    // Pocket detection state machine: weighted sensor evidence with hysteresis
+    detector: {
+      weights: { proximity: 0.45, light: 0.35, orientation: 0.2 },  // of the sensors available
+      dimThreshold: 50,        // lux - light evidence fades from lightThreshold up to this
+      enterThreshold: 0.7,     // confidence to go into pocket mode
+      enterEvidence: 0.5,      // proximity or light evidence also needed to go in; orientation alone never does
+      exitThreshold: 0.4,      // confidence to leave it
+      enterDelay: 3000,        // ms - confidence must hold this long (debounce)
+      exitDelay: 2000,         // ms
+      minDwell: { in: 10000, out: 5000 },  // ms - shortest stay in a state
+      gravitySmoothing: 0.1    // low-pass factor per motion event for orientation
+    },
+    // Learned spectral correction: the same steady noise read in hand, then in the pocket
+    learn: {
+      seconds: 30,             // s - per position
+      settleSeconds: 10,       // s - to put the phone away before the pocket reading
+      minLevel: 60,            // dB(A) - in-hand reading needed to see the attenuation
+      maxLouder: 3,            // dB(A) - pocket reading this much louder = the noise changed
+      suggestions: ['Jeans', 'Jacket', 'Bag']
+    }
+  },
+
+  // Activity context from motion and ambient light (sensor fusion)
+  CONTEXT: {
+    settleTime: 10000,         // ms - an inferred context must hold this long to take over
+    // commute: counted as commute in the history breakdown
+    types: {
+      'outdoor-commute': { label: 'Outdoor commute', icon: '🚶', color: '#f59e0b', commute: true },
+      'indoor-commute': { label: 'Indoor commute', icon: '🚇', color: '#fb923c', commute: true },
+      vehicle: { label: 'Vehicle', icon: '🚗', color: '#ef4444', commute: true },
+      office: { label: 'Indoor workspace', icon: '🏢', color: '#3b82f6' },
+      'quiet-space': { label: 'Quiet space', icon: '🛋️', color: '#10b981' },
+      'dark-space': { label: 'Dark space', icon: '🌙', color: '#8b5cf6' },
+      'outdoor-stationary': { label: 'Outdoors', icon: '🌳', color: '#14b8a6' },
+      unknown: { label: 'Unknown', icon: '❔', color: '#6b7280' }
+    }
+  },
+
+  // Manual activity tags (exposure diary)
+  TAGS: {
+    suggestions: ['Grinding', 'Concert', 'Subway', 'Lawn mowing'],
+    maxTags: 12,               // Quick buttons kept, most recently used first
+    maxLength: 30              // characters
+  },
+
+  // Task-based shift planner (ISO 9612 strategy 1)
+  PLANNER: {
+    referenceHours: 8,           // T0 for LEX,8h
+    minSamples: 3,               // per task
+    maxSpread: 3,                // dB - samples further apart call for three more
+    singleSampleUncertainty: 3,  // dB - u1a with a single sample
+    instrumentUncertainty: 1.5,  // dB - u2, class 2 meter (ISO 9612 Table C.5)
+    positionUncertainty: 1.0,    // dB - u3, microphone position
+    coverageFactor: 1.65,        // one-sided 95% expanded uncertainty
+    sampleSeconds: 300,          // in-app sample length
+    minSampleSeconds: 30         // shortest sample kept when stopped early
   },
 
   // Calibration
@@ -51,26 +209,78 @@ const CONFIG = {
     minOffset: -20,      // dB
     maxOffset: 20,       // dB
     defaultOffset: 0,    // dB
-    step: 0.5            // dB
+    step: 0.5,           // dB
+    // Multi-point curve replacing the default dBFS → SPL line
+    curve: {
+      referenceLevels: [50, 70, 94, 104],  // dB SPL - suggested reference points
+      defaultFit: 'piecewise',   // 'piecewise' or 'polynomial'
+      polynomialDegree: 2,
+      minSpacing: 3,             // dB - closer readings replace each other
+      maxPoints: 8
+    },
+    // Guided capture with an acoustic calibrator (IEC 60942)
+    calibrator: {
+      referenceLevels: [94, 114],  // dB SPL
+      toneFrequency: 1000,       // Hz
+      frequencyTolerance: 20,    // Hz
+      minToneRatio: 0.9,         // share of spectrum power in the tone's 1/3 octave
+      stabilityTolerance: 0.5,   // dB - allowed change from one second to the next
+      averageSeconds: 10,
+      timeout: 20,               // s - give up when no steady tone by then
+      clipDbfs: -1               // dBFS - waveform peaks this high mean the input clipped
+    },
+    // Microphone EQ correction, per input device
+    frequencyResponse: {
+      filterLength: 4096,        // FIR taps (~12 Hz resolution at 48 kHz)
+      maxGain: 20,               // dB - largest boost or cut applied
+      referenceFrequency: 1000,  // Hz - derived corrections are 0 dB here
+      captureSeconds: 30         // pink-noise average per microphone
+    },
+    // Calibration log and field-check reminders
+    history: {
+      jumpThreshold: 2,          // dB - flag entries that read this far off
+      displayCount: 10           // entries listed in settings
+    },
+    reminders: {
+      defaultInterval: 'shift',
+      intervals: {               // ms since the last check; 'shift' = before and after each shift
+        off: null,
+        shift: 0,
+        daily: 24 * 60 * 60 * 1000,
+        weekly: 7 * 24 * 60 * 60 * 1000
+      }
+    }
   },
 
   // Audio Processing
   AUDIO: {
-    fftSize: 2048,
     smoothingTimeConstant: 0.0,  // Disable built-in smoothing, we'll do our own
     // Balanced dBFS to dB SPL mapping for accurate readings
     minDBFS: -55,    // Adjusted for better sensitivity
     maxDBFS: -5,     // Higher upper limit for louder sounds
     minSPL: 35,      // Realistic quiet baseline
     maxSPL: 110,     // Allow readings up to 110dB
-    // Time-weighting (SLOW mode = 1 second averaging per NIOSH standards)
-    slowTimeConstant: 1000,  // 1000ms = 1 second SLOW response
-    fastTimeConstant: 125,   // 125ms FAST response (for future use)
-    // A-weighting approximation
-    aWeightingEnabled: true,
-    // Outlier rejection
-    outlierRejection: true,
-    outlierThreshold: 2.5  // Less aggressive outlier rejection
+    // IEC 61672 exponential time weighting (seconds)
+    timeWeightings: ['F', 'S', 'I'],
+    defaultTimeWeighting: 'S',  // SLOW per NIOSH practice
+    timeConstants: {
+      F: 0.125,
+      S: 1.0,
+      I: { rise: 0.035, decay: 1.5 }
+    },
+    // IEC 61672 frequency weightings, all measured simultaneously
+    weightings: ['A', 'C', 'Z'],
+    defaultWeighting: 'A'  // Weighting used for live level and dose
+  },
+
+  // Peak (impulse) detection on the raw waveform
+  PEAK: {
+    weighting: 'C',            // LCpeak, per NIOSH/OSHA impulse limits
+    thresholds: {
+      warning: 135,            // dB - flag as impulse event
+      danger: 140              // dB - never-exceed peak limit
+    },
+    cooldownPeriod: 5000       // ms - impulse warnings repeat quickly
   },
 
   // Warning Thresholds
@@ -102,9 +312,13 @@ const CONFIG = {
   // Storage
   STORAGE: {
     dbName: 'NoiseDosimeterDB',
-    dbVersion: 2,
-    dataRetentionDays: 365,    // Keep data for 1 year
-    hourlyDataDays: 30         // Keep hourly breakdown for 30 days
+    dbVersion: 6,              // Schema version: StorageMigrations steps
+    dataRetentionDays: 365,    // Keep daily summaries and events for 1 year
+    hourlyDataDays: 30,        // Keep hourly breakdown for 30 days
+    detailedDataDays: 7,       // Keep 10-second records for 7 days, then only their summaries
+    levelHistoryDays: 90,      // Keep per-second history (for recomputing) for 90 days
+    retentionInterval: 86400000, // ms - retention job runs at startup and then daily
+    pageSize: 500              // Rows per StorageQuery page
   },
 
   // Reset Time
@@ -1,73 +1,164 @@
 /**
  * Audio Engine - Microphone access and dB measurement
- * Optimized with dual sampling rates (10Hz display, 1Hz calculation)
+ * Microphone EQ correction and weighting filters run on the Web Audio graph;
+ * exponential time weighting and per-second Leq/max/peak integration run per
+ * sample in an AudioWorklet
  */
 
+const LEVEL_METER_WORKLET_URL = 'js/core/level-meter-worklet.js';
+
 class AudioEngine {
   constructor() {
     this.audioContext = null;
-    this.analyser = null;
+    this.analyser = null; // Unweighted (Z) analyser, used for spectrum data
     this.microphone = null;
-    this.dataArray = null;
-    this.frequencyData = null;
+    this.equalizer = null; // Microphone EQ correction, ahead of everything else
+    this.levelMeter = null; // AudioWorkletNode, one input per weighting
     this.isActive = false;
 
+    // One filter chain per frequency weighting (A/C/Z)
+    this.channels = {};
+    this.weighting = CONFIG.AUDIO.defaultWeighting;
+    this.timeWeighting = CONFIG.AUDIO.defaultTimeWeighting;
+
     // Calibration
     this.calibrationOffset = 0;
-    this.pocketCorrection = 0;
+    this.calibrationCurve = new CalibrationCurve(); // Replaces the linear map once it has points
+    this.frequencyResponse = []; // EQ correction: [{ frequency, gain }], empty = flat
+    this.equalizerBuffers = {};  // FIR per state: 'device', and 'pocket' with the pocket response added
+    this.pocketCorrection = 0;   // Flat pocket correction (dB)
+    this.pocketResponse = [];    // Learned spectral pocket correction; replaces the flat one
     this.inPocketMode = false;
 
     // Current readings
     this.currentLevel = 0;
-    this.smoothedLevel = 50;
     this.peakLevel = 0;
+    this.levels = {}; // Latest time-weighted level per weighting
+    this.lastSecond = null; // Latest per-second Leq/max/peak
 
     // Callbacks
     this.onLevelUpdate = null;
+    this.onSecondUpdate = null; // 1 Hz, sample-accurate per-second levels
     this.onError = null;
+    this.onDeviceChange = null; // Active input device changed: { deviceId, label, key }
 
-    // NIOSH SLOW mode time-weighting (1 second averaging)
-    this.sampleBuffer = [];
-    this.maxBufferSize = 5; // 5 samples at 10Hz = 0.5 second (more responsive)
+    // Input device; null deviceId uses the browser default
+    this.deviceId = null;
+    this.device = null;
+    this.stream = null;
+  }
 
-    // Exponential moving average for display smoothing
-    this.displaySmoothing = 0.5; // Increased for faster response (0-1, higher = faster)
+  /**
+   * Audio inputs: [{ deviceId, label, key }]. Labels are empty until
+   * microphone permission has been granted
+   */
+  static async getInputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'audioinput')
+      .map(({ deviceId, label }) => ({ deviceId, label, key: AudioEngine.getDeviceKey({ deviceId, label }) }));
   }
 
-  async initialize() {
-    try {
-      console.log('🎤 Requesting microphone access...');
+  /**
+   * Stable key for per-device settings. Browser aliases such as "default"
+   * follow whichever device is the system default, so the label is preferred
+   */
+  static getDeviceKey({ deviceId, label }) {
+    const name = (label || '').replace(/^(Default|Communications) - /, '').trim();
+    return name || deviceId || 'default';
+  }
+
+  async getStream(deviceId) {
+    return navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false
+      }
+    });
+  }
 
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false
+  /**
+   * Remember the device behind a new stream and report it
+   */
+  setStream(stream) {
+    this.stream = stream;
+    const track = stream.getAudioTracks()[0];
+    const settings = track && track.getSettings ? track.getSettings() : {};
+    const device = { deviceId: settings.deviceId || this.deviceId || 'default', label: track ? track.label : '' };
+    this.device = { ...device, key: AudioEngine.getDeviceKey(device) };
+
+    // Unplugged device: fall back to the default input
+    if (track) {
+      track.addEventListener('ended', () => {
+        if (this.stream === stream) {
+          console.warn('Input device disconnected:', this.device.label);
+          this.switchDevice(null).catch(err => console.error('Fallback to default input failed:', err));
         }
       });
+    }
+
+    debugLog('Audio', 'Input device:', this.device.label || this.device.deviceId);
+    if (this.onDeviceChange) this.onDeviceChange(this.device);
+  }
+
+  async initialize(deviceId = this.deviceId) {
+    try {
+      console.log('🎤 Requesting microphone access...');
+
+      this.deviceId = deviceId || null;
+      let stream;
+      try {
+        stream = await this.getStream(this.deviceId);
+      } catch (deviceError) {
+        if (!this.deviceId || deviceError.name !== 'OverconstrainedError') throw deviceError;
+        console.warn('Selected input not available, using default:', deviceError);
+        this.deviceId = null;
+        stream = await this.getStream(null);
+      }
 
       console.log('✅ Microphone permission granted');
 
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
       console.log('AudioContext created, state:', this.audioContext.state);
 
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = CONFIG.AUDIO.fftSize;
-      this.analyser.smoothingTimeConstant = CONFIG.AUDIO.smoothingTimeConstant;
+      if (!this.audioContext.audioWorklet) {
+        throw new Error('AudioWorklet is not supported in this browser');
+      }
+      await this.audioContext.audioWorklet.addModule(LEVEL_METER_WORKLET_URL);
+
+      this.levelMeter = new AudioWorkletNode(this.audioContext, 'level-meter-processor', {
+        numberOfInputs: CONFIG.AUDIO.weightings.length,
+        numberOfOutputs: 0,
+        processorOptions: {
+          weightings: CONFIG.AUDIO.weightings,
+          timeConstants: CONFIG.AUDIO.timeConstants,
+          reportInterval: CONFIG.SAMPLING.displayInterval / 1000
+        }
+      });
+      this.levelMeter.port.onmessage = (event) => this.handleMeterMessage(event.data);
 
-      this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
-      this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
-      console.log('Data arrays created, length:', this.dataArray.length);
+      // IEC 61672 weighting filter → level meter input, for each weighting
+      this.channels = {};
 
-      this.microphone = this.audioContext.createMediaStreamSource(stream);
-      this.microphone.connect(this.analyser);
+      CONFIG.AUDIO.weightings.forEach((weighting, input) => {
+        const filter = FrequencyWeighting.createFilterChain(this.audioContext, weighting);
+        filter.output.connect(this.levelMeter, 0, input);
+        this.channels[weighting] = { weighting, filter };
+      });
+      debugLog('Audio', 'Weighting channels created:', Object.keys(this.channels).join(', '));
+
+      // Unweighted analyser for spectrum data
+      this.analyser = this.audioContext.createAnalyser();
+      this.analyser.fftSize = CONFIG.SPECTRUM.fftSize;
+      this.analyser.smoothingTimeConstant = CONFIG.AUDIO.smoothingTimeConstant;
 
-      console.log('✅ Audio engine initialized successfully');
-      console.log('  - FFT Size:', this.analyser.fftSize);
-      console.log('  - Frequency Bin Count:', this.analyser.frequencyBinCount);
-      console.log('  - Data Array Length:', this.dataArray.length);
+      this.connectMicrophone(stream);
 
-      debugLog('Audio', 'Audio engine initialized successfully');
+      debugLog('Audio', 'Audio engine initialized successfully, FFT size', this.analyser.fftSize,
+        `(${this.analyser.frequencyBinCount} bins)`);
       return true;
     } catch (error) {
       console.error('❌ Audio initialization failed:', error);
@@ -76,23 +167,77 @@ class AudioEngine {
     }
   }
 
+  /**
+   * Microphone → EQ correction → weighting filters and analyser
+   */
+  connectMicrophone(stream) {
+    this.microphone = this.audioContext.createMediaStreamSource(stream);
+    this.connectEqualizer();
+    this.setStream(stream);
+  }
+
+  /**
+   * (Re)build the EQ stage; a flat response is a plain gain node
+   */
+  connectEqualizer() {
+    this.microphone.disconnect();
+    if (this.equalizer) this.equalizer.disconnect();
+
+    const pocket = this.inPocketMode && this.pocketResponse.length > 0;
+    const response = pocket ? FrequencyResponse.combine(this.frequencyResponse, this.pocketResponse) : this.frequencyResponse;
+    const state = pocket ? 'pocket' : 'device';
+
+    if (response.length > 0) {
+      if (!this.equalizerBuffers[state]) {
+        const { sampleRate } = this.audioContext;
+        const impulse = FrequencyResponse.designFilter(response, sampleRate);
+        this.equalizerBuffers[state] = this.audioContext.createBuffer(1, impulse.length, sampleRate);
+        this.equalizerBuffers[state].copyToChannel(impulse, 0);
+      }
+      this.equalizer = this.audioContext.createConvolver();
+      this.equalizer.normalize = false;
+      this.equalizer.buffer = this.equalizerBuffers[state];
+    } else {
+      this.equalizer = this.audioContext.createGain();
+    }
+
+    this.microphone.connect(this.equalizer);
+    Object.values(this.channels).forEach(({ filter }) => this.equalizer.connect(filter.input));
+    this.equalizer.connect(this.analyser);
+  }
+
+  /**
+   * Change the input device; before initialize() this only selects it
+   */
+  async switchDevice(deviceId) {
+    this.deviceId = deviceId || null;
+    if (!this.audioContext) return;
+
+    const stream = await this.getStream(this.deviceId);
+    const previous = this.stream;
+
+    if (this.microphone) this.microphone.disconnect();
+    this.connectMicrophone(stream);
+    if (previous) previous.getTracks().forEach(track => track.stop());
+
+    // Don't mix two devices in one second
+    this.levelMeter.port.postMessage({ type: 'reset' });
+    debugLog('Audio', 'Switched input device:', this.device.label || this.device.deviceId);
+  }
+
   start() {
-    if (!this.analyser) {
+    if (!this.levelMeter) {
       console.error('Cannot start: Audio engine not initialized');
       throw new Error('Audio engine not initialized');
     }
 
     console.log('Starting audio monitoring...');
+    this.levelMeter.port.postMessage({ type: 'reset' });
     this.isActive = true;
     this.peakLevel = 0;
     this.currentLevel = 50;
-    this.smoothedLevel = 50;
-    this.sampleBuffer = []; // Clear sample buffer for fresh start
-
-    // Display update loop (10 Hz)
-    this.displayInterval = setInterval(() => {
-      this.measureLevel();
-    }, CONFIG.SAMPLING.displayInterval);
+    this.levels = {};
+    this.lastSecond = null;
 
     console.log('✅ Audio monitoring started at', CONFIG.SAMPLING.displayHz, 'Hz');
     debugLog('Audio', 'Started monitoring at', CONFIG.SAMPLING.displayHz, 'Hz');
@@ -100,85 +245,82 @@ class AudioEngine {
 
   stop() {
     this.isActive = false;
-    if (this.displayInterval) {
-      clearInterval(this.displayInterval);
-      this.displayInterval = null;
-    }
     debugLog('Audio', 'Stopped monitoring');
   }
 
-  measureLevel() {
-    if (!this.analyser || !this.isActive) {
-      console.warn('measureLevel() called but analyser or isActive is false');
-      return;
+  handleMeterMessage(message) {
+    if (!this.isActive) return;
+
+    if (message.type === 'levels') {
+      this.updateLevels(message.levels);
+    } else if (message.type === 'second') {
+      this.updateSecond(message);
     }
+  }
 
+  /**
+   * Convert one second of Leq, max time-weighted and peak levels (dBFS) to SPL
+   * Peak goes through the same map without its end stops or the level clamp
+   * (see toPeakSPL). peakTime holds each peak's wall-clock time (ms);
+   * dbfs and peakDbfs keep the uncalibrated Leq and peak, for calibration
+   */
+  updateSecond({ leq, max, peak, peakTime }) {
     try {
-      // Get both time domain and frequency domain data
-      this.analyser.getByteTimeDomainData(this.dataArray);
-      this.analyser.getByteFrequencyData(this.frequencyData);
-
-      // Calculate RMS from time domain
-      let sumSquares = 0;
-      for (let i = 0; i < this.dataArray.length; i++) {
-        const normalized = (this.dataArray[i] - 128) / 128;
-        sumSquares += normalized * normalized;
-      }
-      let rms = Math.sqrt(sumSquares / this.dataArray.length);
-
-      // Apply A-weighting approximation using frequency data
-      if (CONFIG.AUDIO.aWeightingEnabled) {
-        rms = this.applyAWeighting(rms, this.frequencyData);
-      }
-
-      // Convert to dBFS (reference = 1.0)
-      let dbfs = rms > 0.0001 ? 20 * Math.log10(rms) : -100;
-      dbfs = Math.max(-100, Math.min(0, dbfs));
-
-      // Convert to dB SPL using calibrated mapping
-      let rawSPL = this.convertToSPL(dbfs);
+      const endTime = Date.now();
+      const second = { leq: {}, max: {}, peak: {}, peakTime: {}, dbfs: { ...leq }, peakDbfs: { ...peak }, timestamp: endTime };
+
+      Object.keys(leq).forEach(weighting => {
+        const leqSPL = this.toCorrectedSPL(leq[weighting]).level;
+        second.leq[weighting] = leqSPL;
+        second.max[weighting] = this.toCorrectedSPL(max[weighting][this.timeWeighting]).level;
+        second.peak[weighting] = Math.max(leqSPL, this.toPeakSPL(peak[weighting]) ?? leqSPL);
+        second.peakTime[weighting] = Math.round(endTime - (1 - (peakTime ? peakTime[weighting] : 1)) * 1000);
+      });
 
-      // Add sample to buffer for SLOW time-weighting
-      this.sampleBuffer.push(rawSPL);
-      if (this.sampleBuffer.length > this.maxBufferSize) {
-        this.sampleBuffer.shift(); // Remove oldest sample
+      if (second.leq[this.weighting] === undefined) {
+        console.error('No channel for selected weighting:', this.weighting);
+        return;
       }
 
-      // Calculate time-weighted average (SLOW mode = 1 second)
-      let timeWeightedSPL = this.calculateTimeWeightedAverage();
+      second.weighting = this.weighting;
+      second.timeWeighting = this.timeWeighting;
+      second.level = second.leq[this.weighting];
+      this.lastSecond = second;
 
-      // Apply calibration corrections
-      timeWeightedSPL += this.calibrationOffset;
-      if (this.inPocketMode) {
-        timeWeightedSPL += this.pocketCorrection;
+      if (this.onSecondUpdate) {
+        this.onSecondUpdate(second);
       }
+    } catch (error) {
+      console.error('❌ Error in updateSecond():', error);
+    }
+  }
 
-      // Clamp to valid range
-      timeWeightedSPL = Math.max(30, Math.min(120, timeWeightedSPL));
+  /**
+   * Convert the worklet's time-weighted dBFS levels to corrected SPL
+   */
+  updateLevels(meterLevels) {
+    try {
+      let primary = null;
 
-      // Validate
-      if (!isFinite(timeWeightedSPL) || isNaN(timeWeightedSPL)) {
-        console.error('Invalid timeWeightedSPL:', timeWeightedSPL);
-        timeWeightedSPL = 50;
-      }
+      Object.entries(meterLevels).forEach(([weighting, timeWeighted]) => {
+        const dbfs = timeWeighted[this.timeWeighting];
+        const reading = this.toCorrectedSPL(dbfs);
+        this.levels[weighting] = Math.round(reading.level);
+        if (weighting === this.weighting) primary = { ...reading, dbfs };
+      });
 
-      // Apply exponential smoothing for display (reduces visual jitter)
-      if (!isFinite(this.smoothedLevel) || isNaN(this.smoothedLevel)) {
-        this.smoothedLevel = timeWeightedSPL;
-      } else {
-        this.smoothedLevel = (1 - this.displaySmoothing) * this.smoothedLevel +
-                            this.displaySmoothing * timeWeightedSPL;
+      if (!primary) {
+        console.error('No channel for selected weighting:', this.weighting);
+        return;
       }
 
-      // Clamp smoothed level
-      this.smoothedLevel = Math.max(30, Math.min(120, this.smoothedLevel));
+      const { rawSPL, level, dbfs } = primary;
 
-      // Round for display
-      this.currentLevel = Math.round(this.smoothedLevel);
+      this.currentLevel = Math.round(level);
 
-      // Track peak (use time-weighted, not instantaneous)
-      if (timeWeightedSPL > this.peakLevel) {
-        this.peakLevel = Math.round(timeWeightedSPL);
+      // Track maximum time-weighted level
+      if (level > this.peakLevel) {
+        this.peakLevel = Math.round(level);
       }
 
       // Callback
@@ -186,132 +328,104 @@ class AudioEngine {
         this.onLevelUpdate({
           current: this.currentLevel,
           peak: this.peakLevel,
+          weighting: this.weighting,
+          timeWeighting: this.timeWeighting,
+          levels: { ...this.levels },
           raw: rawSPL,
-          timeWeighted: timeWeightedSPL,
-          dbfs: dbfs,
-          rms: rms
+          timeWeighted: level,
+          dbfs: dbfs
         });
       }
 
       // Log first few measurements
       if (!this._logCount) this._logCount = 0;
       if (this._logCount < 5) {
-        console.log(`📊 Measurement ${this._logCount + 1}: ${this.currentLevel} dB (Time-weighted: ${timeWeightedSPL.toFixed(1)}, Raw: ${rawSPL.toFixed(1)}, dBFS: ${dbfs.toFixed(1)})`);
+        debugLog('Audio', `Measurement ${this._logCount + 1}: ${this.currentLevel} dB${this.weighting} ${this.timeWeighting} (Raw: ${rawSPL.toFixed(1)}, dBFS: ${dbfs.toFixed(1)})`);
         this._logCount++;
       }
 
     } catch (error) {
-      console.error('❌ Error in measureLevel():', error);
+      console.error('❌ Error in updateLevels():', error);
       this.currentLevel = 50;
     }
   }
 
   /**
-   * Calculate time-weighted average (SLOW mode per NIOSH standards)
-   * Uses exponential averaging over 1 second window
+   * dBFS → SPL with calibration and pocket corrections applied
    */
-  calculateTimeWeightedAverage() {
-    if (this.sampleBuffer.length === 0) return 50;
-
-    // Reject outliers if enabled
-    let samples = this.sampleBuffer;
-    if (CONFIG.AUDIO.outlierRejection && samples.length >= 3) {
-      samples = this.rejectOutliers(samples);
+  toCorrectedSPL(dbfs) {
+    const rawSPL = this.convertToSPL(dbfs);
+    let level = rawSPL + this.calibrationOffset;
+    if (this.inPocketMode) {
+      level += this.pocketCorrection;
     }
 
-    // Calculate linear average of dB values (energy averaging)
-    // Convert dB to linear, average, convert back to dB
-    const linearSum = samples.reduce((sum, db) => sum + Math.pow(10, db / 10), 0);
-    const linearAvg = linearSum / samples.length;
-    const dbAvg = 10 * Math.log10(linearAvg);
+    level = AudioEngine.clampLevel(level);
 
-    return dbAvg;
+    if (!isFinite(level)) {
+      console.error('Invalid corrected level:', { dbfs, level });
+      level = 50;
+    }
+
+    return { rawSPL, level };
   }
 
   /**
-   * Reject statistical outliers (spikes) from sample buffer
+   * Clamp a corrected level to the valid range
    */
-  rejectOutliers(samples) {
-    if (samples.length < 3) return samples;
-
-    const mean = samples.reduce((sum, val) => sum + val, 0) / samples.length;
-    const variance = samples.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / samples.length;
-    const stdDev = Math.sqrt(variance);
-
-    const threshold = CONFIG.AUDIO.outlierThreshold || 2.0;
-
-    // Keep values within threshold standard deviations
-    const filtered = samples.filter(val => Math.abs(val - mean) <= threshold * stdDev);
-
-    // If we rejected too many, just use original (might be legitimate loud noise)
-    return filtered.length >= samples.length * 0.5 ? filtered : samples;
+  static clampLevel(level) {
+    return Math.max(30, Math.min(120, level));
   }
 
   /**
-   * Apply A-weighting approximation
-   * A-weighting emphasizes frequencies humans hear best (1-4kHz)
-   * and de-emphasizes low and very high frequencies
+   * Waveform peak dBFS → peak SPL with the calibration and pocket corrections.
+   * Neither the default map's end stops nor the 30-120 dB clamp of
+   * toCorrectedSPL apply, as they would hold LCpeak below the 135/140 dBC
+   * alarms; null for an invalid result
    */
-  applyAWeighting(rms, frequencyData) {
-    if (!frequencyData || frequencyData.length === 0) return rms;
-
-    // Simple A-weighting approximation
-    // Emphasize mid-frequencies (1-4 kHz) where human hearing is most sensitive
-    // De-emphasize bass (<500 Hz) and treble (>8 kHz)
-
-    const sampleRate = this.audioContext.sampleRate;
-    const binCount = frequencyData.length;
-    const nyquist = sampleRate / 2;
-
-    let weightedSum = 0;
-    let totalWeight = 0;
-
-    for (let i = 0; i < binCount; i++) {
-      const frequency = (i / binCount) * nyquist;
-      const magnitude = frequencyData[i] / 255.0;
-
-      // A-weighting approximation (simplified)
-      let weight = 1.0;
-      if (frequency < 500) {
-        // Attenuate bass
-        weight = 0.3 + 0.7 * (frequency / 500);
-      } else if (frequency >= 500 && frequency <= 4000) {
-        // Emphasize mid-range (human hearing peak)
-        weight = 1.0;
-      } else if (frequency > 4000 && frequency <= 8000) {
-        // Slight de-emphasis of upper mids
-        weight = 1.0 - 0.3 * ((frequency - 4000) / 4000);
-      } else {
-        // Attenuate high frequencies
-        weight = 0.4;
-      }
-
-      weightedSum += magnitude * weight;
-      totalWeight += weight;
+  toPeakSPL(dbfs) {
+    let level = this.convertToSPL(dbfs, false) + this.calibrationOffset;
+    if (this.inPocketMode) {
+      level += this.pocketCorrection;
     }
+    return isFinite(level) ? level : null;
+  }
 
-    const weightedMagnitude = totalWeight > 0 ? weightedSum / totalWeight : 0;
+  /**
+   * dBFS → SPL: the multi-point calibration curve when one is set,
+   * otherwise the default linear map, held within its range unless `clamp` is false
+   */
+  convertToSPL(dbfs, clamp = true) {
+    // Debug log on first call
+    if (!this._configLogged) {
+      const { minDBFS, maxDBFS, minSPL, maxSPL } = CONFIG.AUDIO;
+      debugLog('Audio', 'dBFS→SPL mapping:', { minDBFS, maxDBFS, minSPL, maxSPL });
+      this._configLogged = true;
+    }
 
-    // Blend weighted result with original RMS (70% weighted, 30% original)
-    return 0.7 * (rms * weightedMagnitude * 2) + 0.3 * rms;
+    return AudioEngine.mapToSPL(dbfs, this.calibrationCurve, clamp);
   }
 
-  convertToSPL(dbfs) {
+  /**
+   * convertToSPL for a given curve, so stored dBFS can be mapped again
+   * (see DoseRecompute)
+   */
+  static mapToSPL(dbfs, curve, clamp = true) {
+    if (curve && curve.isFitted()) {
+      const spl = curve.toSPL(dbfs);
+      if (isFinite(spl)) return spl;
+      console.error('❌ Invalid calibration curve result:', { dbfs, spl });
+    }
+
     // Use NIOSH-calibrated conservative mapping
     const minDBFS = CONFIG.AUDIO.minDBFS;
     const maxDBFS = CONFIG.AUDIO.maxDBFS;
     const minSPL = CONFIG.AUDIO.minSPL;
     const maxSPL = CONFIG.AUDIO.maxSPL;
 
-    // Debug log on first call
-    if (!this._configLogged) {
-      console.log('🔧 dBFS→SPL Mapping:', { minDBFS, maxDBFS, minSPL, maxSPL });
-      this._configLogged = true;
-    }
-
     // Linear interpolation with clamping
     const normalized = (dbfs - minDBFS) / (maxDBFS - minDBFS);
-    const clamped = Math.max(0, Math.min(1, normalized));
+    const clamped = clamp ? Math.max(0, Math.min(1, normalized)) : normalized;
     const spl = minSPL + clamped * (maxSPL - minSPL);
 
     // Validate result
@@ -323,6 +437,28 @@ class AudioEngine {
     return spl;
   }
 
+  setCalibrationCurve(points, fit) {
+    this.calibrationCurve = new CalibrationCurve(points, fit);
+    debugLog('Audio', 'Calibration curve set:', this.calibrationCurve.points.length, 'points');
+  }
+
+  /**
+   * Microphone EQ correction: [{ frequency, gain }] in dB to add; empty for flat
+   */
+  setFrequencyResponse(points) {
+    this.frequencyResponse = FrequencyResponse.normalizePoints(points);
+    this.equalizerBuffers = {};
+    this.reconnectEqualizer();
+    debugLog('Audio', 'Frequency response correction:', this.frequencyResponse.length, 'points');
+  }
+
+  reconnectEqualizer() {
+    if (!this.microphone) return;
+    this.connectEqualizer();
+    // Don't mix corrected and uncorrected audio in one second
+    this.levelMeter.port.postMessage({ type: 'reset' });
+  }
+
   setCalibration(offset) {
     // Ensure offset is a valid number
     if (typeof offset !== 'number' || !isFinite(offset) || isNaN(offset)) {
@@ -334,29 +470,73 @@ class AudioEngine {
     debugLog('Audio', 'Calibration set to', this.calibrationOffset, 'dB');
   }
 
-  setPocketMode(enabled, correction = CONFIG.POCKET.defaultCorrection) {
+  /**
+   * Select the frequency weighting used for the live level and dose
+   */
+  setWeighting(weighting) {
+    if (!CONFIG.AUDIO.weightings.includes(weighting)) {
+      console.warn('Unknown frequency weighting:', weighting);
+      return;
+    }
+    this.weighting = weighting;
+    if (this.levels[weighting] !== undefined) {
+      this.currentLevel = this.levels[weighting];
+    }
+    debugLog('Audio', 'Frequency weighting set to', weighting);
+  }
+
+  /**
+   * Select the exponential time weighting: F (125 ms), S (1 s) or I (impulse)
+   */
+  setTimeWeighting(timeWeighting) {
+    if (!CONFIG.AUDIO.timeWeightings.includes(timeWeighting)) {
+      console.warn('Unknown time weighting:', timeWeighting);
+      return;
+    }
+    this.timeWeighting = timeWeighting;
+    debugLog('Audio', 'Time weighting set to', timeWeighting);
+  }
+
+  /**
+   * Pocket mode with a flat correction (dB), or a learned spectral correction
+   * ([{ frequency, gain }]) applied on the EQ stage instead
+   */
+  setPocketMode(enabled, correction = CONFIG.POCKET.defaultCorrection, response = []) {
+    const responseChanged = response !== this.pocketResponse && (response.length > 0 || this.pocketResponse.length > 0);
+    const equalizerChanged = responseChanged ? enabled || this.inPocketMode : enabled !== this.inPocketMode && response.length > 0;
+
     this.inPocketMode = enabled;
-    this.pocketCorrection = correction;
-    debugLog('Audio', 'Pocket mode:', enabled, 'correction:', correction);
+    this.pocketCorrection = response.length > 0 ? 0 : correction;
+    this.pocketResponse = response;
+
+    if (responseChanged) delete this.equalizerBuffers.pocket;
+    if (equalizerChanged) this.reconnectEqualizer();
+    debugLog('Audio', 'Pocket mode:', enabled, response.length > 0 ? `spectral (${response.length} bands)` : `correction: ${correction}`);
   }
 
   getFrequencyData() {
     if (!this.analyser) return null;
-    const frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
-    this.analyser.getByteFrequencyData(frequencyData);
+    const frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+    this.analyser.getFloatFrequencyData(frequencyData);
     return frequencyData;
   }
 
   destroy() {
     this.stop();
     if (this.microphone) this.microphone.disconnect();
+    if (this.equalizer) this.equalizer.disconnect();
+    Object.values(this.channels).forEach(channel => {
+      channel.filter.nodes.forEach(node => node.disconnect());
+    });
+    if (this.levelMeter) this.levelMeter.disconnect();
     if (this.analyser) this.analyser.disconnect();
+    if (this.stream) this.stream.getTracks().forEach(track => track.stop());
     if (this.audioContext) this.audioContext.close();
     debugLog('Audio', 'Engine destroyed');
   }
 
   static isSupported() {
-    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.AudioWorkletNode);
   }
 }
 
@@ -0,0 +1,150 @@
+/**
+ * Calibration Curve - Multi-point dBFS → SPL mapping
+ * Built from readings taken against a reference (e.g. 50/70/94/104 dB), so
+ * microphone compression at high levels is corrected instead of averaged out.
+ * Fits either straight segments between points or a least-squares polynomial
+ */
+
+class CalibrationCurve {
+  constructor(points = [], fit = CONFIG.CALIBRATION.curve.defaultFit) {
+    this.points = [];
+    this.fit = fit;
+    this.coefficients = null;
+    this.setPoints(points);
+  }
+
+  /**
+   * Replace the calibration points: [{ dbfs, spl }]
+   */
+  setPoints(points) {
+    this.points = points
+      .filter(point => isFinite(point.dbfs) && isFinite(point.spl))
+      .map(({ dbfs, spl, timestamp }) => ({ dbfs, spl, timestamp }))
+      .sort((a, b) => a.dbfs - b.dbfs);
+    this.refit();
+  }
+
+  /**
+   * Add a point; a reading within CONFIG.CALIBRATION.curve.minSpacing dB of an
+   * existing one replaces it
+   */
+  addPoint(dbfs, spl) {
+    const { minSpacing, maxPoints } = CONFIG.CALIBRATION.curve;
+    const others = this.points.filter(point => Math.abs(point.dbfs - dbfs) >= minSpacing);
+    if (others.length >= maxPoints) {
+      console.warn('Calibration curve is full:', maxPoints, 'points');
+      return false;
+    }
+
+    this.setPoints([...others, { dbfs, spl, timestamp: Date.now() }]);
+    return true;
+  }
+
+  removePoint(index) {
+    this.points.splice(index, 1);
+    this.refit();
+  }
+
+  setFit(fit) {
+    if (!['piecewise', 'polynomial'].includes(fit)) {
+      console.warn('Unknown calibration fit:', fit);
+      return false;
+    }
+    this.fit = fit;
+    this.refit();
+    return true;
+  }
+
+  /**
+   * Whether the curve can replace the default linear map
+   */
+  isFitted() {
+    return this.points.length > 0;
+  }
+
+  refit() {
+    this.coefficients = null;
+    if (this.fit === 'polynomial' && this.points.length >= 3) {
+      const degree = Math.min(CONFIG.CALIBRATION.curve.polynomialDegree, this.points.length - 1);
+      this.coefficients = CalibrationCurve.fitPolynomial(this.points, degree);
+    }
+    debugLog('Calibration', `Curve: ${this.points.length} points, ${this.coefficients ? 'polynomial' : 'piecewise'}`);
+  }
+
+  /**
+   * SPL for a dBFS reading
+   * One point is a plain offset. Beyond the outermost points the curve
+   * continues with the slope at the nearest end
+   */
+  toSPL(dbfs) {
+    const points = this.points;
+    if (points.length === 0) return null;
+    if (points.length === 1) return dbfs + points[0].spl - points[0].dbfs;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    if (this.coefficients) {
+      const evaluate = (x) => this.coefficients.reduce((sum, c, power) => sum + c * Math.pow(x, power), 0);
+      const slope = (x) => this.coefficients.reduce((sum, c, power) => sum + (power > 0 ? power * c * Math.pow(x, power - 1) : 0), 0);
+      if (dbfs < first.dbfs) return evaluate(first.dbfs) + slope(first.dbfs) * (dbfs - first.dbfs);
+      if (dbfs > last.dbfs) return evaluate(last.dbfs) + slope(last.dbfs) * (dbfs - last.dbfs);
+      return evaluate(dbfs);
+    }
+
+    // Straight segments; the end segments are extended outwards
+    let i = 1;
+    while (i < points.length - 1 && dbfs > points[i].dbfs) i++;
+    const a = points[i - 1];
+    const b = points[i];
+    return a.spl + (b.spl - a.spl) * (dbfs - a.dbfs) / (b.dbfs - a.dbfs);
+  }
+
+  /**
+   * Least-squares polynomial through the points; coefficients from x^0 upwards
+   * (normal equations, solved by Gaussian elimination)
+   */
+  static fitPolynomial(points, degree) {
+    const size = degree + 1;
+    const matrix = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+
+    points.forEach(({ dbfs, spl }) => {
+      for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+          matrix[row][col] += Math.pow(dbfs, row + col);
+        }
+        matrix[row][size] += spl * Math.pow(dbfs, row);
+      }
+    });
+
+    for (let col = 0; col < size; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < size; row++) {
+        if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+      }
+      [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+      if (Math.abs(matrix[col][col]) < 1e-12) return null;
+
+      for (let row = 0; row < size; row++) {
+        if (row === col) continue;
+        const factor = matrix[row][col] / matrix[col][col];
+        for (let k = col; k <= size; k++) {
+          matrix[row][k] -= factor * matrix[col][k];
+        }
+      }
+    }
+
+    return matrix.map((row, i) => row[size] / row[i]);
+  }
+
+  /**
+   * Largest difference between the curve and its points (dB); 0 for piecewise
+   */
+  getResidual() {
+    return this.points.reduce((max, point) => Math.max(max, Math.abs(this.toSPL(point.dbfs) - point.spl)), 0);
+  }
+
+  toJSON() {
+    return { fit: this.fit, points: this.points };
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Dose Recompute - Rerun the dosimeters over stored level history
+ * Past days are recomputed second by second with a fresh DosimetryEngine,
+ * under other standards, another threshold or a corrected calibration.
+ * Seconds with stored dBFS are mapped again through their device's calibration
+ * curve and offset, with the pocket correction they were recorded with or a
+ * replacement; older seconds can only be shifted by the offset change.
+ * Days follow the dailySummaries keys; hours are cumulative, like the saved ones
+ */
+
+class DoseRecompute {
+  static getDate(time) {
+    return new Date(time).toISOString().split('T')[0];
+  }
+
+  static getHourId(time) {
+    return `${DoseRecompute.getDate(time)} ${String(new Date(time).getHours()).padStart(2, '0')}:00`;
+  }
+
+  /**
+   * Recompute each day of `seconds` (LevelHistory.expand() entries, oldest first)
+   * options: { dosimeters: [{ id, profileId }], primaryId, custom,
+   *   threshold (dB, null: each standard's own),
+   *   calibrations ({ [device key]: { offset, curve: { points, fit } } }, as Calibration saves them),
+   *   calibrationOffset (dB, null: the device's own),
+   *   pocketCorrection (dB, null: as recorded) }
+   * Returns [{ date, seconds, uncalibrated, summary, hourly: [{ id, summary, lastTime }], offsetChange, weighting, lastTime }]
+   * where `uncalibrated` counts seconds stored without dBFS
+   */
+  static run(seconds, options) {
+    const engine = new DosimetryEngine();
+    engine.quiet = true;
+    engine.configureDosimeters(options.dosimeters, options.custom || {});
+    if (options.primaryId) engine.setPrimary(options.primaryId);
+    if (typeof options.threshold === 'number') {
+      engine.dosimeters.forEach(dosimeter => {
+        dosimeter.profile = { ...dosimeter.profile, threshold: options.threshold };
+      });
+    }
+
+    const days = [];
+    const curves = new Map();
+    let day = null;
+    let hourId = null;
+
+    const closeHour = () => {
+      if (day && hourId) day.hourly.push({ id: hourId, summary: engine.getSummary(), lastTime: day.lastTime });
+    };
+    const closeDay = () => {
+      closeHour();
+      if (day) day.summary = engine.getSummary();
+    };
+
+    seconds.forEach(second => {
+      const date = DoseRecompute.getDate(second.time);
+      if (!day || day.date !== date) {
+        closeDay();
+        engine.reset();
+        day = { date, seconds: 0, uncalibrated: 0, hourly: [], offsetChange: 0, loudest: -Infinity, weighting: null, lastTime: null };
+        days.push(day);
+        hourId = null;
+      }
+
+      const secondHour = DoseRecompute.getHourId(second.time);
+      if (secondHour !== hourId) {
+        closeHour();
+        hourId = secondHour;
+      }
+
+      const { level, peak } = DoseRecompute.calibrate(second, options, curves);
+      const shift = level - second.level;
+      if (second.dbfs === null) day.uncalibrated += 1;
+      // The stored time-weighted maximum moves as its loudest second did
+      if (second.level > day.loudest) {
+        day.loudest = second.level;
+        day.offsetChange = shift;
+      }
+
+      engine.addExposure(level, {
+        peakLevel: peak,
+        protectionWorn: second.protectedLevel !== null,
+        protectedLevel: second.protectedLevel === null ? level : second.protectedLevel + shift,
+        categories: { context: second.context }
+      });
+      day.seconds += 1;
+      day.weighting = second.state.weighting;
+      day.lastTime = second.time;
+    });
+    closeDay();
+
+    return days;
+  }
+
+  /**
+   * Level and peak of a stored second under the recompute's calibration, as
+   * AudioEngine.toCorrectedSPL and toPeakSPL would have read them
+   */
+  static calibrate(second, options, curves) {
+    const { state } = second;
+    const recordedOffset = state.calibrationOffset || 0;
+
+    // No dBFS stored: all that can change is the offset
+    if (second.dbfs === null) {
+      const shift = typeof options.calibrationOffset === 'number' ? options.calibrationOffset - recordedOffset : 0;
+      return {
+        level: second.level + shift,
+        peak: second.peak === null ? second.level + shift : second.peak + shift
+      };
+    }
+
+    const key = state.inputDevice || 'default';
+    const profile = (options.calibrations || {})[key] || null;
+    if (!curves.has(key)) {
+      const curve = profile && profile.curve;
+      curves.set(key, new CalibrationCurve(curve && Array.isArray(curve.points) ? curve.points : [], curve ? curve.fit : undefined));
+    }
+    const curve = curves.get(key);
+
+    const offset = typeof options.calibrationOffset === 'number' ? options.calibrationOffset
+      : profile && typeof profile.offset === 'number' ? profile.offset
+      : recordedOffset;
+    const pocket = DoseRecompute.getPocketCorrection(state, options.pocketCorrection);
+
+    const level = AudioEngine.clampLevel(AudioEngine.mapToSPL(second.dbfs, curve) + offset + pocket.level);
+    const peak = second.peakDbfs === null ? NaN : AudioEngine.mapToSPL(second.peakDbfs, curve, false) + offset + pocket.peak;
+    return { level, peak: isFinite(peak) ? Math.max(level, peak) : level };
+  }
+
+  /**
+   * dB to add for the pocket: the recorded flat correction, or `replacement`
+   * instead of whatever correction was applied. A learned profile's gain is
+   * in the dBFS already, so replacing it takes its broadband gain back out
+   */
+  static getPocketCorrection({ pocket, weighting }, replacement) {
+    if (!pocket) return { level: 0, peak: 0 };
+    if (typeof replacement !== 'number') return { level: pocket.correction || 0, peak: pocket.correction || 0 };
+
+    const broadband = pocket.broadband || {};
+    return {
+      level: replacement - (broadband[weighting] ?? 0),
+      peak: replacement - (broadband[CONFIG.PEAK.weighting] ?? 0)
+    };
+  }
+
+  /**
+   * Daily summary to store for a recomputed day. Per-second history holds
+   * no time-weighted maximum, so the stored one is kept, moved by the offset change
+   */
+  static toDailySummary(day, before, recomputed) {
+    const { summary } = day;
+    return {
+      date: day.date,
+      dose: summary.dose,
+      protectedDose: summary.protectedDose,
+      protectedTwa: summary.protectedTwa,
+      protectedSeconds: summary.protectedSeconds,
+      peakLevel: summary.peakLevel,
+      maxLevel: before && before.maxLevel ? before.maxLevel + day.offsetChange : summary.maxLevel,
+      exposureSeconds: summary.exposureSeconds,
+      leq: summary.leq,
+      twa: summary.twa,
+      projectedDose: summary.projectedDose,
+      standard: summary.standard,
+      dosimeters: summary.dosimeters,
+      breakdown: summary.breakdown,
+      weighting: day.weighting || (before && before.weighting),
+      timestamp: new Date(day.lastTime + 1000).toISOString(),
+      recomputed
+    };
+  }
+
+  static toHourlySummary(hour, recomputed) {
+    const { summary } = hour;
+    return {
+      id: hour.id,
+      hour: hour.id,
+      datetime: hour.id,
+      dose: summary.dose,
+      peakLevel: summary.peakLevel,
+      exposureSeconds: summary.exposureSeconds,
+      leq: summary.leq,
+      twa: summary.twa,
+      standard: summary.standard,
+      breakdown: summary.breakdown,
+      timestamp: new Date(hour.lastTime + 1000).toISOString(),
+      recomputed
+    };
+  }
+}
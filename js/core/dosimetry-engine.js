@@ -1,18 +1,19 @@
 /**
- * Dosimetry Engine - NIOSH dose calculation
- * Implements time-weighted averaging with 3 dB exchange rate
+ * Dosimetry Engine - Noise dose calculation
+ * Feeds the per-second level stream to up to four virtual dosimeters, each
+ * with its own exposure standard, and keeps energy-averaged Leq (session,
+ * day, rolling windows). Dose, TWA and safe time follow the primary dosimeter
  */
 
 class DosimetryEngine {
   constructor() {
-    this.criterionLevel = CONFIG.NIOSH.criterionLevel;
-    this.criterionDuration = CONFIG.NIOSH.criterionDuration;
-    this.exchangeRate = CONFIG.NIOSH.exchangeRate;
-    this.threshold = CONFIG.NIOSH.threshold;
+    this.dosimeters = [new VirtualDosimeter('D1', CONFIG.STANDARDS.defaultProfile)];
+    this.primaryId = 'D1';
 
-    this.dailyDose = 0; // percentage
     this.exposureSeconds = 0;
-    this.peakLevel = 0;
+    this.protectedSeconds = 0; // Seconds with hearing protection worn
+    this.peakLevel = 0; // Highest waveform peak (LCpeak)
+    this.maxLevel = 0;  // Highest time-weighted level
     this.startTime = null;
     this.lastSampleTime = null;
 
@@ -22,22 +23,163 @@ class DosimetryEngine {
     this.maxRecentSamples = 120; // Grow to 2 minutes (120 seconds)
     this.averageLevel = 70; // Start with reasonable default
     this.monitoringStartTime = null; // Track when monitoring started
+
+    // Leq accumulators: sum of 10^(L/10) over one-second samples
+    this.dayEnergy = 0;
+    this.sessionEnergy = 0;
+    this.sessionSeconds = 0;
+
+    // Ring buffer of per-second energies for the rolling Leq windows
+    this.rollingWindows = CONFIG.LEQ.rollingWindows;
+    this.rollingEnergies = new Float64Array(Math.max(...Object.values(this.rollingWindows)));
+    this.rollingCount = 0;
+    this.rollingIndex = 0;
+
+    // Primary dose, seconds and energy per category value, e.g.
+    // { context: { vehicle: { dose, seconds, energy } } }
+    this.breakdown = {};
+
+    this.quiet = false; // No per-second log, for batch recomputation
+  }
+
+  /**
+   * Energy of a level relative to 0 dB: 10^(L/10)
+   */
+  static toEnergy(decibelLevel) {
+    return Math.pow(10, decibelLevel / 10);
+  }
+
+  /**
+   * Leq from summed energy over a number of seconds; null when there is no data
+   */
+  static toLeq(energy, seconds) {
+    if (!seconds || energy <= 0) return null;
+    return 10 * Math.log10(energy / seconds);
   }
 
   /**
-   * Calculate allowable time for given noise level
-   * NIOSH formula: T = 8 × 2^((85-L)/3)
+   * Dosimeter shown on the dose circle and used for safe time and warnings
    */
+  get primary() {
+    return this.dosimeters.find(dosimeter => dosimeter.id === this.primaryId) || this.dosimeters[0];
+  }
+
+  get profile() {
+    return this.primary.profile;
+  }
+
+  get dailyDose() {
+    return this.primary.dose;
+  }
+
+  get protectedDose() {
+    return this.primary.protectedDose;
+  }
+
+  get criterionLevel() {
+    return this.primary.profile.criterionLevel;
+  }
+
+  get criterionDuration() {
+    return this.primary.profile.criterionDuration;
+  }
+
+  getProfile() {
+    return this.primary.getProfile();
+  }
+
+  /**
+   * Configure the virtual dosimeters from [{ id, profileId }]
+   * Only dosimeters that keep their id and standard keep their accumulated
+   * dose; the others start from zero (see replay). Returns their ids
+   */
+  configureDosimeters(configs, custom = {}) {
+    const limited = configs.slice(0, CONFIG.STANDARDS.maxDosimeters);
+    if (limited.length === 0) return [];
+
+    const changed = this.getChangedDosimeters(limited, custom);
+    this.dosimeters = limited.map(({ id, profileId }) => {
+      const existing = this.dosimeters.find(dosimeter => dosimeter.id === id);
+      return changed.includes(id) ? new VirtualDosimeter(id, profileId, custom) : existing;
+    });
+
+    if (!this.dosimeters.some(dosimeter => dosimeter.id === this.primaryId)) {
+      this.primaryId = this.dosimeters[0].id;
+    }
+    // The breakdown holds primary doses
+    if (changed.includes(this.primaryId)) this.breakdown = {};
+
+    debugLog('Dose', 'Virtual dosimeters:', this.dosimeters.map(d => DosimetryEngine.formatProfile(d.profile)).join(', '));
+    return changed;
+  }
+
+  /**
+   * Ids of `configs` that would start from zero: new dosimeters and ones given another standard
+   */
+  getChangedDosimeters(configs, custom = {}) {
+    return configs.slice(0, CONFIG.STANDARDS.maxDosimeters)
+      .filter(({ id, profileId }) => {
+        const existing = this.dosimeters.find(dosimeter => dosimeter.id === id);
+        const profile = VirtualDosimeter.resolveProfile(profileId, custom)
+          || VirtualDosimeter.resolveProfile(CONFIG.STANDARDS.defaultProfile);
+        return !existing || !existing.hasProfile(profile);
+      })
+      .map(({ id }) => id);
+  }
+
+  /**
+   * Feed stored seconds (LevelHistory.expand() entries, oldest first) to the
+   * dosimeters `ids` only, so ones configured during the day cover all of it.
+   * The breakdown is rebuilt along when the primary is one of them
+   */
+  replay(ids, seconds) {
+    const dosimeters = this.dosimeters.filter(dosimeter => ids.includes(dosimeter.id));
+    const primary = ids.includes(this.primaryId) ? this.primary : null;
+
+    seconds.forEach(second => {
+      const previousDose = primary ? primary.dose : 0;
+      dosimeters.forEach(dosimeter => dosimeter.addExposure(
+        second.level,
+        second.peak ?? second.level,
+        second.protectedLevel ?? second.level
+      ));
+      if (primary) {
+        this.addToBreakdown({ context: second.context }, primary.dose - previousDose, DosimetryEngine.toEnergy(second.level));
+      }
+    });
+    debugLog('Dose', `Replayed ${seconds.length} s of level history into`, ids.join(', '));
+  }
+
+  getDosimeterConfigs() {
+    return this.dosimeters.map(dosimeter => ({ id: dosimeter.id, profileId: dosimeter.profile.id }));
+  }
+
+  setPrimary(id) {
+    if (!this.dosimeters.some(dosimeter => dosimeter.id === id)) {
+      console.warn('Unknown dosimeter:', id);
+      return false;
+    }
+    this.primaryId = id;
+    return true;
+  }
+
   getAllowableTime(decibelLevel) {
-    if (decibelLevel < this.threshold) return Infinity;
-    const exponent = (this.criterionLevel - decibelLevel) / this.exchangeRate;
-    return 8 * Math.pow(2, exponent) * 3600; // Convert hours to seconds
+    return this.primary.getAllowableTime(decibelLevel);
   }
 
   /**
    * Add exposure measurement (called every second)
+   * `details.maxLevel` is the second's maximum time-weighted level and
+   * `details.peakLevel` its waveform peak; both default to the level itself.
+   * `details.protectedLevel` is the estimated level at the ear while
+   * `details.protectionWorn` is set. `details.categories` ({ context: 'vehicle' })
+   * books the second to a value per category in the dose breakdown
    */
-  addExposure(decibelLevel) {
+  addExposure(decibelLevel, details = {}) {
+    const maxLevel = details.maxLevel ?? decibelLevel;
+    const peakLevel = details.peakLevel ?? decibelLevel;
+    const protectedLevel = details.protectedLevel ?? decibelLevel;
+
     // Set monitoring start time on first call
     if (!this.monitoringStartTime) {
       this.monitoringStartTime = Date.now();
@@ -55,34 +197,117 @@ class DosimetryEngine {
     if (this.recentLevels.length > currentMaxSamples) {
       this.recentLevels.shift(); // Remove oldest
     }
-    // Calculate average of recent levels
-    const sum = this.recentLevels.reduce((a, b) => a + b, 0);
-    this.averageLevel = sum / this.recentLevels.length;
+    // Energy average of recent levels
+    const recentEnergy = this.recentLevels.reduce((sum, level) => sum + DosimetryEngine.toEnergy(level), 0);
+    this.averageLevel = DosimetryEngine.toLeq(recentEnergy, this.recentLevels.length);
 
     // ALWAYS increment exposure time (regardless of threshold)
     this.exposureSeconds += 1;
+    if (details.protectionWorn) this.protectedSeconds += 1;
+
+    // Leq accumulators (all levels, regardless of threshold)
+    const energy = DosimetryEngine.toEnergy(decibelLevel);
+    this.dayEnergy += energy;
+    this.sessionEnergy += energy;
+    this.sessionSeconds += 1;
+    this.rollingEnergies[this.rollingIndex] = energy;
+    this.rollingIndex = (this.rollingIndex + 1) % this.rollingEnergies.length;
+    this.rollingCount = Math.min(this.rollingCount + 1, this.rollingEnergies.length);
 
-    // ALWAYS update peak level (regardless of threshold)
-    if (decibelLevel > this.peakLevel) {
-      this.peakLevel = decibelLevel;
+    // ALWAYS update peak and max levels (regardless of threshold)
+    if (peakLevel > this.peakLevel) {
+      this.peakLevel = peakLevel;
+    }
+    if (maxLevel > this.maxLevel) {
+      this.maxLevel = maxLevel;
     }
 
     // ALWAYS update last sample time
     this.lastSampleTime = Date.now();
 
-    // Only add dose contribution if above threshold
-    if (decibelLevel >= this.threshold) {
-      const allowableTime = this.getAllowableTime(decibelLevel);
-      const doseContribution = (1 / allowableTime) * 100; // 1 second exposure
-      this.dailyDose += doseContribution;
+    // Every virtual dosimeter applies its own threshold and exchange rate
+    const previousDose = this.dailyDose;
+    this.dosimeters.forEach(dosimeter => dosimeter.addExposure(decibelLevel, peakLevel, protectedLevel));
+    this.addToBreakdown(details.categories, this.dailyDose - previousDose, energy);
+
+    if (!this.quiet) debugLog('Dose', `Level: ${decibelLevel}dB, Avg: ${this.averageLevel.toFixed(1)}dB, Dose: ${this.dailyDose.toFixed(2)}%, Exposure: ${this.exposureSeconds}s`);
+  }
+
+  /**
+   * Book one second of dose and energy to each category's value
+   */
+  addToBreakdown(categories = {}, dose, energy) {
+    Object.entries(categories).forEach(([category, value]) => {
+      if (value === null || value === undefined) return;
+      const values = this.breakdown[category] || (this.breakdown[category] = {});
+      const entry = values[value] || (values[value] = { dose: 0, seconds: 0, energy: 0 });
+      entry.dose += dose;
+      entry.seconds += 1;
+      entry.energy += energy;
+    });
+  }
+
+  /**
+   * Dose breakdown as stored with summaries: { [category]: { [value]: { dose, seconds, leq } } }
+   */
+  getBreakdown() {
+    return Object.fromEntries(Object.entries(this.breakdown).map(([category, values]) => [
+      category,
+      Object.fromEntries(Object.entries(values).map(([value, entry]) => [value, {
+        dose: entry.dose,
+        seconds: entry.seconds,
+        leq: DosimetryEngine.toLeq(entry.energy, entry.seconds)
+      }]))
+    ]));
+  }
+
+  /**
+   * Start a new monitoring session; the day totals carry on
+   */
+  startSession() {
+    this.sessionEnergy = 0;
+    this.sessionSeconds = 0;
+    this.rollingEnergies.fill(0);
+    this.rollingCount = 0;
+    this.rollingIndex = 0;
+  }
+
+  getDayLeq() {
+    return DosimetryEngine.toLeq(this.dayEnergy, this.exposureSeconds);
+  }
+
+  getSessionLeq() {
+    return DosimetryEngine.toLeq(this.sessionEnergy, this.sessionSeconds);
+  }
+
+  /**
+   * Leq over the last `seconds` of this session (or fewer, if not yet available)
+   */
+  getRollingLeq(seconds) {
+    const count = Math.min(seconds, this.rollingCount);
+    const size = this.rollingEnergies.length;
+    let energy = 0;
+    for (let i = 1; i <= count; i++) {
+      energy += this.rollingEnergies[(this.rollingIndex - i + size) % size];
     }
+    return DosimetryEngine.toLeq(energy, count);
+  }
 
-    debugLog('Dose', `Level: ${decibelLevel}dB, Avg: ${this.averageLevel.toFixed(1)}dB, Dose: ${this.dailyDose.toFixed(2)}%, Exposure: ${this.exposureSeconds}s`);
+  getTWA() {
+    return this.primary.getTWA();
+  }
+
+  getActionValueStatus() {
+    return this.primary.getActionValueStatus();
+  }
+
+  getProjectedDose() {
+    return this.primary.getProjectedDose();
   }
 
   /**
    * Get safe time remaining based on recent average noise level
-   * Uses NIOSH formula: T = 8 × 2^((85-L)/3)
+   * Uses the active standard's allowable time, e.g. NIOSH: T = 8 × 2^((85-L)/3)
    * Max 8 hours, decreases based on noise exposure
    */
   getSafeTimeRemaining() {
@@ -93,11 +318,10 @@ class DosimetryEngine {
       return 0;
     }
 
-    // Use rolling average for calculation, or default to 85dB if no data yet
-    const effectiveLevel = this.recentLevels.length > 0 ? this.averageLevel : 85;
+    // Use rolling average for calculation, or default to the criterion level if no data yet
+    const effectiveLevel = this.recentLevels.length > 0 ? this.averageLevel : this.criterionLevel;
 
-    // Calculate allowable time at current average noise level using NIOSH formula
-    // T = 8 × 2^((85-L)/3)
+    // Calculate allowable time at current average noise level
     const allowableTime = this.getAllowableTime(effectiveLevel);
 
     // Calculate remaining time based on remaining dose percentage
@@ -105,7 +329,7 @@ class DosimetryEngine {
     const remainingTime = (remainingDose / 100) * allowableTime;
 
     // Cap at 8 hours maximum
-    const cappedTime = Math.min(remainingTime, 8 * 3600);
+    const cappedTime = Math.min(remainingTime, this.criterionDuration);
 
     return Math.max(0, cappedTime);
   }
@@ -140,17 +364,60 @@ class DosimetryEngine {
    * Reset daily dose
    */
   reset() {
-    this.dailyDose = 0;
+    this.dosimeters.forEach(dosimeter => dosimeter.reset());
     this.exposureSeconds = 0;
+    this.protectedSeconds = 0;
     this.peakLevel = 0;
+    this.maxLevel = 0;
     this.startTime = null;
     this.lastSampleTime = null;
     this.recentLevels = [];
     this.averageLevel = 70;
     this.monitoringStartTime = null;
+    this.dayEnergy = 0;
+    this.breakdown = {};
+    this.startSession();
     debugLog('Dose', 'Daily dose reset');
   }
 
+  /**
+   * Restore the day's totals from a saved daily summary
+   */
+  restore(summary) {
+    if (Array.isArray(summary.dosimeters)) {
+      summary.dosimeters.forEach(saved => {
+        const dosimeter = this.dosimeters.find(d => d.id === saved.id);
+        if (dosimeter && saved.standard && saved.standard.id === dosimeter.profile.id) {
+          dosimeter.restore(saved);
+        }
+      });
+    } else {
+      // Summaries saved before virtual dosimeters: a single dose for the primary
+      this.primary.restore(summary);
+    }
+
+    this.peakLevel = summary.peakLevel || 0;
+    this.maxLevel = summary.maxLevel || 0;
+    this.exposureSeconds = summary.exposureSeconds || 0;
+    this.protectedSeconds = summary.protectedSeconds || 0;
+    this.dayEnergy = typeof summary.leq === 'number'
+      ? DosimetryEngine.toEnergy(summary.leq) * this.exposureSeconds
+      : 0;
+
+    // The breakdown holds primary doses, so only under the same standard
+    this.breakdown = {};
+    if (summary.breakdown && summary.standard && summary.standard.id === this.profile.id) {
+      Object.entries(summary.breakdown).forEach(([category, values]) => {
+        this.breakdown[category] = Object.fromEntries(Object.entries(values).map(([value, entry]) => [value, {
+          dose: entry.dose || 0,
+          seconds: entry.seconds || 0,
+          energy: typeof entry.leq === 'number' ? DosimetryEngine.toEnergy(entry.leq) * (entry.seconds || 0) : 0
+        }]));
+      });
+    }
+    debugLog('Dose', 'Restored day totals:', this.dailyDose.toFixed(2), '%', this.exposureSeconds, 's');
+  }
+
   /**
    * Get summary
    */
@@ -158,12 +425,62 @@ class DosimetryEngine {
     return {
       dose: this.dailyDose,
       doseCategory: this.getDoseCategory(),
+      protectedDose: this.protectedDose,
+      protectedTwa: this.primary.getProtectedTWA(),
       exposureSeconds: this.exposureSeconds,
+      protectedSeconds: this.protectedSeconds,
       peakLevel: this.peakLevel,
-      startTime: this.startTime
+      maxLevel: this.maxLevel,
+      startTime: this.startTime,
+      leq: this.getDayLeq(),
+      sessionLeq: this.getSessionLeq(),
+      rollingLeq: Object.fromEntries(
+        Object.entries(this.rollingWindows).map(([label, seconds]) => [label, this.getRollingLeq(seconds)])
+      ),
+      twa: this.getTWA(),
+      projectedDose: this.getProjectedDose(),
+      standard: this.getProfile(),
+      actionValue: this.getActionValueStatus(),
+      primaryDosimeter: this.primary.id,
+      dosimeters: this.dosimeters.map(dosimeter => dosimeter.getSummary()),
+      breakdown: this.getBreakdown()
     };
   }
 
+  /**
+   * Compact profile description, e.g. "NIOSH 85/3/80"
+   */
+  static formatProfile(profile) {
+    return `${profile.id} ${profile.criterionLevel}/${profile.exchangeRate}/${profile.threshold}`;
+  }
+
+  /**
+   * Parse a formatProfile() string back into profile parameters
+   */
+  static parseProfile(text) {
+    const match = /^(\w+) ([\d.]+)\/([\d.]+)\/([\d.]+)$/.exec((text || '').trim());
+    if (!match) return null;
+
+    const [, id, criterionLevel, exchangeRate, threshold] = match;
+    const base = CONFIG.STANDARDS.profiles[id];
+    return {
+      id,
+      name: base ? base.name : id,
+      shortName: base ? base.shortName : id,
+      criterionLevel: parseFloat(criterionLevel),
+      criterionDuration: base ? base.criterionDuration : 28800,
+      exchangeRate: parseFloat(exchangeRate),
+      threshold: parseFloat(threshold)
+    };
+  }
+
+  /**
+   * Format an optional dB value for display
+   */
+  static formatLevel(level) {
+    return typeof level === 'number' && isFinite(level) ? `${level.toFixed(1)} dB` : '-- dB';
+  }
+
   /**
    * Format time with hours, minutes, and seconds
    */
@@ -0,0 +1,138 @@
+/**
+ * Frequency Response - Microphone EQ correction
+ * A correction curve (frequency → dB to add) is turned into a linear-phase FIR
+ * that runs on the Web Audio graph ahead of the weighting filters, so levels,
+ * peaks and the spectrum all see the corrected signal
+ */
+
+class FrequencyResponse {
+  /**
+   * Parse "frequency,dB" lines; header, comment (#) and malformed lines are
+   * skipped. Comma, semicolon, tab or space separated
+   */
+  static parseCSV(text) {
+    const points = [];
+    (text || '').split(/\r?\n/).forEach(line => {
+      if (line.trim().startsWith('#')) return;
+      const [frequency, gain] = line.trim().split(/[,;\t ]+/).map(parseFloat);
+      if (frequency > 0 && isFinite(frequency) && isFinite(gain)) {
+        points.push({ frequency, gain });
+      }
+    });
+    return FrequencyResponse.normalizePoints(points);
+  }
+
+  static toCSV(points) {
+    return 'Frequency (Hz),Correction (dB)\n' +
+      points.map(point => `${point.frequency},${point.gain.toFixed(2)}`).join('\n') + '\n';
+  }
+
+  /**
+   * Sorted by frequency, one point per frequency
+   */
+  static normalizePoints(points) {
+    const byFrequency = new Map();
+    (points || []).forEach(({ frequency, gain }) => {
+      if (frequency > 0 && isFinite(frequency) && isFinite(gain)) byFrequency.set(frequency, gain);
+    });
+    return [...byFrequency.entries()]
+      .map(([frequency, gain]) => ({ frequency, gain }))
+      .sort((a, b) => a.frequency - b.frequency);
+  }
+
+  /**
+   * Correction at a frequency: interpolated on a log-frequency axis, held
+   * flat beyond the first and last points, limited to ±maxGain
+   */
+  static getGainDb(points, frequency) {
+    if (!points || points.length === 0) return 0;
+    const { maxGain } = CONFIG.CALIBRATION.frequencyResponse;
+    const clamp = (gain) => Math.max(-maxGain, Math.min(maxGain, gain));
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (frequency <= first.frequency) return clamp(first.gain);
+    if (frequency >= last.frequency) return clamp(last.gain);
+
+    let i = 1;
+    while (points[i].frequency < frequency) i++;
+    const a = points[i - 1];
+    const b = points[i];
+    const t = Math.log(frequency / a.frequency) / Math.log(b.frequency / a.frequency);
+    return clamp(a.gain + (b.gain - a.gain) * t);
+  }
+
+  /**
+   * Linear-phase FIR by frequency sampling: zero-phase inverse DFT of the
+   * magnitude response, centred and Hann windowed
+   */
+  static designFilter(points, sampleRate, length = CONFIG.CALIBRATION.frequencyResponse.filterLength) {
+    const half = length / 2;
+    const magnitudes = new Float64Array(half + 1);
+    for (let k = 0; k <= half; k++) {
+      magnitudes[k] = Math.pow(10, FrequencyResponse.getGainDb(points, k * sampleRate / length) / 20);
+    }
+
+    const cosines = new Float64Array(length);
+    for (let i = 0; i < length; i++) cosines[i] = Math.cos(2 * Math.PI * i / length);
+
+    // Symmetric about sample half, so only one side is computed; the
+    // window is zero at sample 0
+    const impulse = new Float32Array(length);
+    for (let m = 0; m < half; m++) {
+      let sum = magnitudes[0] + magnitudes[half] * (m % 2 === 0 ? 1 : -1);
+      for (let k = 1; k < half; k++) {
+        sum += 2 * magnitudes[k] * cosines[(k * m) % length];
+      }
+      const value = sum / length;
+      impulse[half + m] = value * (0.5 - 0.5 * cosines[half + m]);
+      if (m > 0) impulse[half - m] = value * (0.5 - 0.5 * cosines[half - m]);
+    }
+
+    return impulse;
+  }
+
+  /**
+   * Sum of two corrections, at every frequency either one defines
+   */
+  static combine(first, second) {
+    if (first.length === 0) return second;
+    if (second.length === 0) return first;
+    const frequencies = new Set([...first, ...second].map(point => point.frequency));
+    return FrequencyResponse.normalizePoints([...frequencies].map(frequency => ({
+      frequency,
+      gain: FrequencyResponse.getGainDb(first, frequency) + FrequencyResponse.getGainDb(second, frequency)
+    })));
+  }
+
+  /**
+   * Per-band level difference, reference minus measured, for bands present in
+   * both. Bands: [{ nominal, level }]
+   */
+  static difference(referenceBands, bands) {
+    const reference = new Map(referenceBands
+      .filter(band => band.level !== null && isFinite(band.level))
+      .map(band => [band.nominal, band.level]));
+
+    return FrequencyResponse.normalizePoints(bands
+      .filter(band => band.level !== null && isFinite(band.level) && reference.has(band.nominal))
+      .map(band => ({ frequency: band.nominal, gain: reference.get(band.nominal) - band.level })));
+  }
+
+  /**
+   * Correction from a pink-noise comparison: reference mic band levels minus
+   * this microphone's, shifted to 0 dB at the calibration frequency so the
+   * broadband calibration still holds
+   */
+  static fromComparison(referenceBands, deviceBands) {
+    const { referenceFrequency } = CONFIG.CALIBRATION.frequencyResponse;
+    const differences = FrequencyResponse.difference(referenceBands, deviceBands);
+    if (differences.length === 0) return [];
+
+    const shift = FrequencyResponse.getGainDb(differences, referenceFrequency);
+    return FrequencyResponse.normalizePoints(differences.map(point => ({
+      frequency: point.frequency,
+      gain: Math.round((point.gain - shift) * 100) / 100
+    })));
+  }
+}
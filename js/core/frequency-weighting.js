@@ -0,0 +1,192 @@
+/**
+ * Frequency Weighting - IEC 61672-1 A/C/Z weighting filters
+ * High-pass poles are mapped to digital biquad sections with the prewarped
+ * bilinear transform; the f4 low-pass pair, close to Nyquist, is a
+ * magnitude-matched section (Vicanek, "Matched Second Order Digital Filters"),
+ * since the bilinear transform would squash it towards Nyquist (-6 dB at
+ * 16 kHz at 48 kHz). The cascade is normalised to 0 dB at 1 kHz
+ */
+
+// IEC 61672-1 Annex E pole frequencies (Hz)
+const WEIGHTING_POLES = {
+  f1: 20.598997,
+  f2: 107.65265,
+  f3: 737.86223,
+  f4: 12194.217
+};
+
+class FrequencyWeighting {
+  /**
+   * Analog weighting response in dB at a given frequency (IEC 61672-1 E.6)
+   */
+  static getWeightingDb(type, frequency) {
+    if (type === 'Z' || frequency <= 0) return type === 'Z' ? 0 : -Infinity;
+
+    const { f1, f2, f3, f4 } = WEIGHTING_POLES;
+    const f2sq = frequency * frequency;
+
+    if (type === 'A') {
+      const numerator = f4 * f4 * f2sq * f2sq;
+      const denominator = (f2sq + f1 * f1) *
+        Math.sqrt((f2sq + f2 * f2) * (f2sq + f3 * f3)) *
+        (f2sq + f4 * f4);
+      return 20 * Math.log10(numerator / denominator) + 2.0;
+    }
+
+    if (type === 'C') {
+      const numerator = f4 * f4 * f2sq;
+      const denominator = (f2sq + f1 * f1) * (f2sq + f4 * f4);
+      return 20 * Math.log10(numerator / denominator) + 0.062;
+    }
+
+    throw new Error(`Unknown frequency weighting: ${type}`);
+  }
+
+  /**
+   * Design the cascade of second-order sections for a weighting
+   * Returns [{ feedforward, feedback }] ready for IIRFilterNode
+   */
+  static designSections(type, sampleRate) {
+    if (type === 'Z') return [];
+
+    const { f1, f2, f3, f4 } = WEIGHTING_POLES;
+    let sections;
+
+    if (type === 'A') {
+      // s² / (s + ω1)² · s² / ((s + ω2)(s + ω3)) · ω4² / (s + ω4)²
+      sections = [[f1, f1], [f2, f3]];
+    } else if (type === 'C') {
+      // s² / (s + ω1)² · ω4² / (s + ω4)²
+      sections = [[f1, f1]];
+    } else {
+      throw new Error(`Unknown frequency weighting: ${type}`);
+    }
+
+    const biquads = sections.map(([a, b]) => {
+      const first = FrequencyWeighting.bilinearFirstOrder('highpass', a, sampleRate);
+      const second = FrequencyWeighting.bilinearFirstOrder('highpass', b, sampleRate);
+      return {
+        feedforward: FrequencyWeighting.convolve(first.b, second.b),
+        feedback: FrequencyWeighting.convolve(first.a, second.a)
+      };
+    });
+    biquads.push(FrequencyWeighting.matchedDoubleLowpass(f4, sampleRate));
+
+    // Normalise the cascade to 0 dB at 1 kHz
+    const gain = FrequencyWeighting.getCascadeMagnitude(biquads, 1000, sampleRate);
+    biquads[0].feedforward = biquads[0].feedforward.map(c => c / gain);
+
+    return biquads;
+  }
+
+  /**
+   * Bilinear transform of a first-order s / (s + ω) or ω / (s + ω) section,
+   * prewarped so the pole frequency keeps its -3 dB point
+   */
+  static bilinearFirstOrder(kind, frequency, sampleRate) {
+    const k = 2 * sampleRate;
+    const w = k * Math.tan(Math.PI * frequency / sampleRate);
+    const a = [k + w, w - k];
+    const b = kind === 'highpass' ? [k, -k] : [w, w];
+
+    // Normalise so a[0] = 1
+    return {
+      b: b.map(c => c / a[0]),
+      a: a.map(c => c / a[0])
+    };
+  }
+
+  /**
+   * ω² / (s + ω)² as a biquad with impulse-invariant poles and a zero solved
+   * to match the analog magnitude at DC and at the pole frequency. Sample
+   * rates too low for a solution fall back to the bilinear transform
+   */
+  static matchedDoubleLowpass(frequency, sampleRate) {
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const pole = Math.exp(-w0);
+    const a1 = -2 * pole;
+    const a2 = pole * pole;
+
+    const A0 = (1 + a1 + a2) ** 2;
+    const A1 = (1 - a1 + a2) ** 2;
+    const A2 = -4 * a2;
+    const phi1 = Math.sin(w0 / 2) ** 2;
+    const phi0 = 1 - phi1;
+    const phi2 = 4 * phi0 * phi1;
+    const q = 0.5;  // Critically damped: |H| = 1/2 at the pole frequency
+    const B1 = ((A0 * phi0 + A1 * phi1 + A2 * phi2) * q * q - A0 * phi0) / phi1;
+
+    if (w0 >= Math.PI || B1 < 0) {
+      const first = FrequencyWeighting.bilinearFirstOrder('lowpass', Math.min(frequency, sampleRate * 0.45), sampleRate);
+      return {
+        feedforward: FrequencyWeighting.convolve(first.b, first.b),
+        feedback: FrequencyWeighting.convolve(first.a, first.a)
+      };
+    }
+
+    const b0 = (Math.sqrt(A0) + Math.sqrt(B1)) / 2;
+    return {
+      feedforward: [b0, Math.sqrt(A0) - b0, 0],
+      feedback: [1, a1, a2]
+    };
+  }
+
+  static convolve(x, y) {
+    const result = new Array(x.length + y.length - 1).fill(0);
+    for (let i = 0; i < x.length; i++) {
+      for (let j = 0; j < y.length; j++) {
+        result[i + j] += x[i] * y[j];
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Magnitude of a biquad cascade at a frequency (linear)
+   */
+  static getCascadeMagnitude(sections, frequency, sampleRate) {
+    const omega = 2 * Math.PI * frequency / sampleRate;
+    let magnitude = 1;
+
+    for (const { feedforward, feedback } of sections) {
+      magnitude *= FrequencyWeighting.evaluatePolynomial(feedforward, omega) /
+        FrequencyWeighting.evaluatePolynomial(feedback, omega);
+    }
+
+    return magnitude;
+  }
+
+  static evaluatePolynomial(coefficients, omega) {
+    let re = 0;
+    let im = 0;
+    coefficients.forEach((c, n) => {
+      re += c * Math.cos(omega * n);
+      im -= c * Math.sin(omega * n);
+    });
+    return Math.sqrt(re * re + im * im);
+  }
+
+  /**
+   * Build the weighting as IIRFilterNodes on the Web Audio graph
+   * Returns { input, output, nodes }; Z weighting is a unity-gain pass-through
+   */
+  static createFilterChain(audioContext, type) {
+    const sections = FrequencyWeighting.designSections(type, audioContext.sampleRate);
+
+    if (sections.length === 0) {
+      const passThrough = audioContext.createGain();
+      return { input: passThrough, output: passThrough, nodes: [passThrough] };
+    }
+
+    const nodes = sections.map(({ feedforward, feedback }) =>
+      audioContext.createIIRFilter(feedforward, feedback)
+    );
+
+    for (let i = 0; i < nodes.length - 1; i++) {
+      nodes[i].connect(nodes[i + 1]);
+    }
+
+    debugLog('Audio', `${type}-weighting filter: ${nodes.length} biquad sections at ${audioContext.sampleRate} Hz`);
+    return { input: nodes[0], output: nodes[nodes.length - 1], nodes };
+  }
+}
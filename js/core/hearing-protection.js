@@ -0,0 +1,176 @@
+/**
+ * Hearing Protection - Protector library and estimated level at the ear
+ * Worn state comes from the UI toggle, a daily schedule, or an event logged
+ * while auto-wear is on. Attenuation uses derated NRR (NIOSH or OSHA), SNR or HML
+ */
+
+class HearingProtection {
+  constructor() {
+    this.protectorId = CONFIG.PROTECTION.defaultProtector;
+    this.method = CONFIG.PROTECTION.defaultMethod;
+    this.schedule = [];          // [{ start: 'HH:MM', end: 'HH:MM' }]
+    this.autoWear = false;       // Put on when a CONFIG.PROTECTION.autoWearEvents event is logged
+
+    // Manual or event state; holds until the schedule next changes
+    this.override = null;
+    this.overrideSource = 'manual';
+    this.lastScheduled = null;
+
+    this.worn = false;
+    this.source = 'manual';
+    this.onChange = null;
+  }
+
+  get protector() {
+    return CONFIG.PROTECTION.protectors[this.protectorId];
+  }
+
+  setProtector(id) {
+    if (!CONFIG.PROTECTION.protectors[id]) {
+      console.warn('Unknown hearing protector:', id);
+      return false;
+    }
+    this.protectorId = id;
+    debugLog('Protection', 'Protector:', this.protector.name);
+    return true;
+  }
+
+  setMethod(method) {
+    if (!CONFIG.PROTECTION.methods[method]) {
+      console.warn('Unknown attenuation method:', method);
+      return false;
+    }
+    this.method = method;
+    debugLog('Protection', 'Method:', CONFIG.PROTECTION.methods[method].name);
+    return true;
+  }
+
+  setSchedule(periods) {
+    this.schedule = (periods || []).filter(period => period && period.start && period.end);
+    this.lastScheduled = null;
+    this.update();
+  }
+
+  /**
+   * Apply saved settings without reporting a change
+   */
+  restore({ protectorId, method, schedule, autoWear, override }) {
+    if (protectorId) this.setProtector(protectorId);
+    if (method) this.setMethod(method);
+    this.schedule = (schedule || []).filter(period => period && period.start && period.end);
+    this.autoWear = !!autoWear;
+    this.override = override ?? null;
+    this.lastScheduled = this.isScheduled();
+    this.worn = this.override ?? this.lastScheduled;
+    this.source = this.override !== null ? 'manual' : 'schedule';
+  }
+
+  /**
+   * Put protection on or take it off until the next scheduled change
+   */
+  setWorn(worn, source = 'manual') {
+    this.override = worn;
+    this.overrideSource = source;
+    this.update();
+  }
+
+  /**
+   * Logged events (e.g. impulses) can switch protection on when auto-wear is enabled
+   */
+  handleEvent(event) {
+    if (this.autoWear && !this.worn && CONFIG.PROTECTION.autoWearEvents.includes(event.type)) {
+      this.setWorn(true, 'event');
+    }
+  }
+
+  isScheduled(date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const toMinutes = (time) => {
+      const [hours, mins] = time.split(':').map(Number);
+      return hours * 60 + mins;
+    };
+
+    return this.schedule.some(({ start, end }) => {
+      const from = toMinutes(start);
+      const to = toMinutes(end);
+      // Periods that end before they start run past midnight
+      return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+    });
+  }
+
+  /**
+   * Re-evaluate the worn state (called every second); fires onChange on transitions
+   */
+  update(date = new Date()) {
+    const scheduled = this.isScheduled(date);
+    if (this.lastScheduled !== null && scheduled !== this.lastScheduled) {
+      this.override = null;
+    }
+    this.lastScheduled = scheduled;
+
+    const worn = this.override ?? scheduled;
+    if (worn !== this.worn) {
+      this.worn = worn;
+      this.source = this.override !== null ? this.overrideSource : 'schedule';
+      debugLog('Protection', worn ? 'On' : 'Off', `(${this.source})`);
+      if (this.onChange) this.onChange(this.getState());
+    }
+    return worn;
+  }
+
+  /**
+   * Estimated A-weighted attenuation (dB) for the given A and C levels
+   * NIOSH: L'A = LC − NRR × (1 − derating by type); OSHA: L'A = LA − (NRR − 7) × 50%
+   * SNR: L'A = LC − SNR; HML: L'A = LA − PNR; SNR/HML less the real-world deduction
+   */
+  getAttenuation(levelA, levelC = levelA) {
+    const protector = this.protector;
+    const method = CONFIG.PROTECTION.methods[this.method];
+    let attenuation;
+
+    switch (this.method) {
+      case 'OSHA':
+        attenuation = (protector.nrr - 7) * method.derating;
+        break;
+      case 'SNR':
+        attenuation = levelA - levelC + protector.snr - method.deduction;
+        break;
+      case 'HML': {
+        const { H, M, L } = protector.hml;
+        const difference = levelC - levelA;
+        const pnr = difference <= 2
+          ? M - (H - M) / 4 * (difference - 2)
+          : M - (M - L) / 8 * (difference - 2);
+        attenuation = pnr - method.deduction;
+        break;
+      }
+      default: // NIOSH
+        attenuation = levelA - levelC + protector.nrr * (1 - method.derating[protector.type]);
+    }
+
+    return Math.max(0, attenuation);
+  }
+
+  /**
+   * Level at the ear for one second; the measured level when protection is off
+   */
+  getProtectedLevel(level, levels = {}) {
+    if (!this.worn) return level;
+    return level - this.getAttenuation(levels.A ?? level, levels.C ?? levels.A ?? level);
+  }
+
+  /**
+   * Current state, as stored with records and events
+   */
+  getState() {
+    return {
+      worn: this.worn,
+      source: this.source,
+      protectorId: this.protectorId,
+      protector: this.protector.name,
+      method: this.method
+    };
+  }
+}
+
+const hearingProtection = new HearingProtection();
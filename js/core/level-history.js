@@ -0,0 +1,209 @@
+/**
+ * Level History - Per-second levels, stored a minute per row
+ * Each row holds 60 packed Float32 values of the level fed to the dosimeters
+ * (NaN for seconds without one), the LCpeak and the level at the ear, so a
+ * day can be recomputed exactly under any standard or exchange rate.
+ * The uncalibrated dBFS of the level and peak are kept too, with each
+ * second's weighting, calibration offset, device and pocket correction, so
+ * a recompute can map them through another calibration. The row's own
+ * weighting, offset and device are those of the minute's first second
+ */
+
+class LevelHistory {
+  constructor() {
+    this.chunk = null;      // Minute being filled; saved again with every flush
+    this.lastTime = null;   // Start (ms) of the last second added
+  }
+
+  static createChunk(start, meta) {
+    return {
+      start,
+      date: new Date(start).toISOString().split('T')[0],
+      weighting: meta.weighting,
+      timeWeighting: meta.timeWeighting,
+      calibrationOffset: meta.calibrationOffset,
+      inputDevice: meta.inputDevice,
+      levels: new Float32Array(60).fill(NaN),
+      peaks: new Float32Array(60).fill(NaN),
+      protectedLevels: new Float32Array(60).fill(NaN),  // NaN: no protection worn
+      dbfs: new Float32Array(60).fill(NaN),             // Uncalibrated level and peak
+      peakDbfs: new Float32Array(60).fill(NaN),
+      contextNames: [],
+      contexts: new Uint8Array(60),                     // 1-based index into contextNames, 0: none
+      states: [],
+      stateIndexes: new Uint8Array(60)                  // 1-based index into states, 0: the row's own
+    };
+  }
+
+  /**
+   * Correction state a second was measured with:
+   * { weighting, timeWeighting, calibrationOffset, inputDevice, pocket }
+   * pocket is null out of the pocket, else { correction } (flat dB added to
+   * the level) and, for a learned profile, its broadband gain per weighting
+   * (already in the dBFS, through the EQ)
+   */
+  static getState(second) {
+    return {
+      weighting: second.weighting,
+      timeWeighting: second.timeWeighting,
+      calibrationOffset: second.calibrationOffset,
+      inputDevice: second.inputDevice,
+      pocket: second.pocket || null
+    };
+  }
+
+  /**
+   * 1-based index of `state` in the chunk's states, adding it when new
+   */
+  static indexState(chunk, state) {
+    const key = JSON.stringify(state);
+    let index = chunk.states.findIndex(existing => JSON.stringify(existing) === key);
+    if (index === -1) index = chunk.states.push(state) - 1;
+    return index + 1;
+  }
+
+  /**
+   * State of second `i` of a stored row; rows saved before per-second state
+   * fall back to the row's own, with no pocket information
+   */
+  static getStoredState(chunk, i) {
+    const index = chunk.stateIndexes ? chunk.stateIndexes[i] : 0;
+    if (index) return chunk.states[index - 1];
+    return {
+      weighting: chunk.weighting,
+      timeWeighting: chunk.timeWeighting,
+      calibrationOffset: chunk.calibrationOffset,
+      inputDevice: chunk.inputDevice,
+      pocket: null
+    };
+  }
+
+  /**
+   * Start time of a second from the time its level arrived. Seconds from the
+   * level meter follow each other, so timing jitter doesn't skip or repeat slots
+   */
+  getSecondStart(endTime) {
+    const start = endTime - 1000;
+    if (this.lastTime !== null && Math.abs(start - (this.lastTime + 1000)) < 1000) {
+      return this.lastTime + 1000;
+    }
+    return Math.max(Math.round(start / 1000) * 1000, this.lastTime === null ? 0 : this.lastTime + 1000);
+  }
+
+  /**
+   * Add one second: { level, peak, protectedLevel (null when unprotected),
+   * dbfs, peakDbfs, context, weighting, timeWeighting, calibrationOffset,
+   * inputDevice, pocket }
+   */
+  add(endTime, second) {
+    const time = this.getSecondStart(endTime);
+    const start = Math.floor(time / 60000) * 60000;
+    this.lastTime = time;
+
+    if (!this.chunk || this.chunk.start !== start) {
+      if (this.chunk) this.save(this.chunk);
+      this.chunk = LevelHistory.createChunk(start, second);
+      this.mergeStored(this.chunk);
+    }
+
+    const chunk = this.chunk;
+    const index = (time - start) / 1000;
+    chunk.levels[index] = second.level;
+    chunk.peaks[index] = second.peak ?? NaN;
+    chunk.protectedLevels[index] = second.protectedLevel ?? NaN;
+    chunk.dbfs[index] = second.dbfs ?? NaN;
+    chunk.peakDbfs[index] = second.peakDbfs ?? NaN;
+    chunk.stateIndexes[index] = LevelHistory.indexState(chunk, LevelHistory.getState(second));
+
+    if (second.context) {
+      let contextIndex = chunk.contextNames.indexOf(second.context);
+      if (contextIndex === -1) contextIndex = chunk.contextNames.push(second.context) - 1;
+      chunk.contexts[index] = contextIndex + 1;
+    }
+  }
+
+  /**
+   * Monitoring restarted within a minute already stored (e.g. after a
+   * reload): keep the stored seconds
+   */
+  async mergeStored(chunk) {
+    try {
+      const stored = await storageEngine.getLevelChunk(chunk.start);
+      if (!stored) return;
+
+      for (let i = 0; i < 60; i++) {
+        if (!isNaN(chunk.levels[i]) || isNaN(stored.levels[i])) continue;
+        chunk.levels[i] = stored.levels[i];
+        chunk.peaks[i] = stored.peaks[i];
+        chunk.protectedLevels[i] = stored.protectedLevels[i];
+        chunk.dbfs[i] = stored.dbfs ? stored.dbfs[i] : NaN;
+        chunk.peakDbfs[i] = stored.peakDbfs ? stored.peakDbfs[i] : NaN;
+        chunk.stateIndexes[i] = LevelHistory.indexState(chunk, LevelHistory.getStoredState(stored, i));
+        const context = stored.contexts[i] ? stored.contextNames[stored.contexts[i] - 1] : null;
+        if (context) {
+          let contextIndex = chunk.contextNames.indexOf(context);
+          if (contextIndex === -1) contextIndex = chunk.contextNames.push(context) - 1;
+          chunk.contexts[i] = contextIndex + 1;
+        }
+      }
+    } catch (error) {
+      console.error('Failed to merge stored level history:', error);
+    }
+  }
+
+  save(chunk) {
+    return storageEngine.saveLevelChunk(chunk)
+      .catch(error => console.error('Failed to save level history:', error));
+  }
+
+  /**
+   * Store the minute so far (it is saved again as it fills)
+   */
+  flush() {
+    return this.chunk ? this.save(this.chunk) : Promise.resolve();
+  }
+
+  /**
+   * Per-second entries of stored rows, oldest first:
+   * [{ time, level, peak, protectedLevel, dbfs, peakDbfs, context, state, chunk }]
+   * dbfs and peakDbfs are null for rows saved before they were kept
+   */
+  static expand(chunks) {
+    const seconds = [];
+    chunks.forEach(chunk => {
+      for (let i = 0; i < 60; i++) {
+        if (isNaN(chunk.levels[i])) continue;
+        seconds.push({
+          time: chunk.start + i * 1000,
+          level: chunk.levels[i],
+          peak: isNaN(chunk.peaks[i]) ? null : chunk.peaks[i],
+          protectedLevel: isNaN(chunk.protectedLevels[i]) ? null : chunk.protectedLevels[i],
+          dbfs: chunk.dbfs && !isNaN(chunk.dbfs[i]) ? chunk.dbfs[i] : null,
+          peakDbfs: chunk.peakDbfs && !isNaN(chunk.peakDbfs[i]) ? chunk.peakDbfs[i] : null,
+          context: chunk.contexts[i] ? chunk.contextNames[chunk.contexts[i] - 1] : null,
+          state: LevelHistory.getStoredState(chunk, i),
+          chunk
+        });
+      }
+    });
+    return seconds.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * UTC date of the oldest stored second, or null when nothing is stored
+   */
+  async getFirstDate() {
+    const chunk = await storageEngine.getFirstLevelChunk();
+    return chunk ? chunk.date : null;
+  }
+
+  /**
+   * Stored seconds in [start, end) (ms)
+   */
+  async getSeconds(start, end) {
+    const chunks = await storageEngine.getLevelChunks(start, end);
+    return LevelHistory.expand(chunks).filter(second => second.time >= start && second.time < end);
+  }
+}
+
+const levelHistory = new LevelHistory();
@@ -0,0 +1,152 @@
+/**
+ * Level Meter Worklet - Sample-accurate exponential time weighting
+ * Runs on the audio rendering thread with one input per frequency weighting
+ * and reports FAST, SLOW and Impulse levels (dBFS) back to AudioEngine.
+ * Every second of samples it also reports Leq, maximum time-weighted level
+ * and waveform peak, integrated over every 32-bit float sample.
+ */
+
+function toDbfs(meanSquare) {
+  return meanSquare > 1e-10 ? 10 * Math.log10(meanSquare) : -100;
+}
+
+class LevelMeterProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const { weightings, timeConstants, reportInterval } = options.processorOptions;
+    this.weightings = weightings;
+
+    // Per-sample smoothing coefficient for an exponential integrator: 1 - e^(-1/(τ·fs))
+    const coefficient = (tau) => 1 - Math.exp(-1 / (tau * sampleRate));
+    this.coefficients = {
+      F: coefficient(timeConstants.F),
+      S: coefficient(timeConstants.S),
+      impulseRise: coefficient(timeConstants.I.rise),
+      impulseDecay: coefficient(timeConstants.I.decay)
+    };
+
+    // Exponentially weighted mean square per weighting; `rise` is the 35 ms
+    // average that feeds the Impulse peak detector
+    this.state = weightings.map(() => ({ F: 0, S: 0, I: 0, rise: 0 }));
+
+    this.reportSamples = Math.round(sampleRate * reportInterval);
+    this.samplesSinceReport = 0;
+
+    // Per-second integration; `next` collects samples past the boundary
+    // when a second ends partway through a render quantum
+    this.secondSamples = Math.round(sampleRate);
+    this.samplesInSecond = 0;
+    this.current = weightings.map(() => this.createAccumulator());
+    this.next = weightings.map(() => this.createAccumulator());
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'reset') this.reset();
+    };
+  }
+
+  createAccumulator() {
+    return { energy: 0, peak: 0, peakIndex: 0, max: { F: 0, S: 0, I: 0 } };
+  }
+
+  reset() {
+    this.state = this.weightings.map(() => ({ F: 0, S: 0, I: 0, rise: 0 }));
+    this.samplesSinceReport = 0;
+    this.samplesInSecond = 0;
+    this.current = this.weightings.map(() => this.createAccumulator());
+    this.next = this.weightings.map(() => this.createAccumulator());
+  }
+
+  process(inputs) {
+    const { F: cF, S: cS, impulseRise, impulseDecay } = this.coefficients;
+    const blockLength = (inputs.find(input => input[0]) || [[]])[0].length || 128;
+
+    // Index within this block where the current second ends
+    const boundary = this.secondSamples - this.samplesInSecond;
+
+    for (let i = 0; i < this.weightings.length; i++) {
+      const samples = inputs[i] && inputs[i][0];
+      if (!samples) continue;
+
+      const state = this.state[i];
+      let { F, S, I, rise } = state;
+
+      for (let n = 0; n < samples.length; n++) {
+        const sample = samples[n];
+        const square = sample * sample;
+        F += cF * (square - F);
+        S += cS * (square - S);
+        // Impulse: 35 ms average, held by a detector that decays over 1.5 s
+        rise += impulseRise * (square - rise);
+        I = rise > I ? rise : I + impulseDecay * (rise - I);
+
+        const inCurrent = n < boundary;
+        const bucket = inCurrent ? this.current[i] : this.next[i];
+        bucket.energy += square;
+        const magnitude = Math.abs(sample);
+        if (magnitude > bucket.peak) {
+          bucket.peak = magnitude;
+          bucket.peakIndex = inCurrent ? this.samplesInSecond + n : n - boundary;
+        }
+        if (F > bucket.max.F) bucket.max.F = F;
+        if (S > bucket.max.S) bucket.max.S = S;
+        if (I > bucket.max.I) bucket.max.I = I;
+      }
+
+      state.F = F;
+      state.S = S;
+      state.I = I;
+      state.rise = rise;
+    }
+
+    this.samplesInSecond += blockLength;
+    if (this.samplesInSecond >= this.secondSamples) {
+      this.samplesInSecond -= this.secondSamples;
+      this.port.postMessage({ type: 'second', ...this.getSecondLevels() });
+      this.current = this.next;
+      this.next = this.weightings.map(() => this.createAccumulator());
+    }
+
+    this.samplesSinceReport += blockLength;
+    if (this.samplesSinceReport >= this.reportSamples) {
+      this.samplesSinceReport -= this.reportSamples;
+      this.port.postMessage({ type: 'levels', levels: this.getLevels() });
+    }
+
+    return true;
+  }
+
+  getLevels() {
+    const levels = {};
+
+    this.weightings.forEach((weighting, i) => {
+      const { F, S, I } = this.state[i];
+      levels[weighting] = { F: toDbfs(F), S: toDbfs(S), I: toDbfs(I) };
+    });
+
+    return levels;
+  }
+
+  /**
+   * Leq, maximum time-weighted level and peak (all dBFS) for the second just ended,
+   * plus when in the second each peak occurred (seconds from its start)
+   */
+  getSecondLevels() {
+    const leq = {};
+    const max = {};
+    const peak = {};
+    const peakTime = {};
+
+    this.weightings.forEach((weighting, i) => {
+      const { energy, peak: peakMagnitude, peakIndex, max: maxSquare } = this.current[i];
+      leq[weighting] = toDbfs(energy / this.secondSamples);
+      max[weighting] = { F: toDbfs(maxSquare.F), S: toDbfs(maxSquare.S), I: toDbfs(maxSquare.I) };
+      peak[weighting] = toDbfs(peakMagnitude * peakMagnitude);
+      peakTime[weighting] = peakIndex / sampleRate;
+    });
+
+    return { leq, max, peak, peakTime };
+  }
+}
+
+registerProcessor('level-meter-processor', LevelMeterProcessor);
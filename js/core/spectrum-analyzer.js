@@ -0,0 +1,168 @@
+/**
+ * Spectrum Analyzer - 1/1 and 1/3 octave band levels (IEC 61260 base-10 bands)
+ * Sums FFT bin power into bands from 31.5 Hz to 16 kHz, scaled so the total
+ * matches the calibrated Z-weighted level, and keeps band Leq for the session
+ */
+
+class SpectrumAnalyzer {
+  constructor() {
+    this.resolution = CONFIG.SPECTRUM.defaultResolution;
+    this.bands = {
+      octave: SpectrumAnalyzer.buildBands(1),
+      third: SpectrumAnalyzer.buildBands(3)
+    };
+
+    this.levels = { octave: [], third: [] };
+    this.reset();
+  }
+
+  /**
+   * Band centres and edges for a 1/b octave filter bank
+   * Exact mid-band frequency fm = 1000 × 10^(3k / 10b), edges fm × 10^(±3 / 20b)
+   */
+  static buildBands(fraction) {
+    const { minFrequency, maxFrequency } = CONFIG.SPECTRUM;
+    const nominal = fraction === 1 ? CONFIG.SPECTRUM.octaveBands : CONFIG.SPECTRUM.thirdOctaveBands;
+    const halfBandwidth = Math.pow(10, 3 / (20 * fraction));
+    const bands = [];
+
+    const firstIndex = Math.round(10 * fraction * Math.log10(minFrequency / 1000) / 3);
+    const lastIndex = Math.round(10 * fraction * Math.log10(maxFrequency / 1000) / 3);
+
+    for (let k = firstIndex; k <= lastIndex; k++) {
+      const centre = 1000 * Math.pow(10, 3 * k / (10 * fraction));
+      bands.push({
+        nominal: nominal[k - firstIndex],
+        centre,
+        lower: centre / halfBandwidth,
+        upper: centre * halfBandwidth
+      });
+    }
+
+    return bands;
+  }
+
+  /**
+   * Band levels from one FFT frame
+   * frequencyData: AnalyserNode.getFloatFrequencyData() output (dB per bin)
+   * referenceLevel: calibrated broadband Z level for the same period (dB)
+   */
+  update(frequencyData, sampleRate, referenceLevel) {
+    if (!frequencyData || typeof referenceLevel !== 'number' || !isFinite(referenceLevel)) return;
+
+    const binWidth = sampleRate / (2 * frequencyData.length);
+    const powers = new Float64Array(frequencyData.length);
+    let totalPower = 0;
+
+    // Skip the DC bin
+    for (let i = 1; i < frequencyData.length; i++) {
+      powers[i] = Math.pow(10, frequencyData[i] / 10);
+      totalPower += powers[i];
+    }
+    if (totalPower <= 0) return;
+
+    // dB offset that makes the full spectrum add up to the reference level
+    const offset = referenceLevel - 10 * Math.log10(totalPower);
+
+    Object.entries(this.bands).forEach(([resolution, bands]) => {
+      this.levels[resolution] = bands.map((band, i) => {
+        const first = Math.max(1, Math.ceil(band.lower / binWidth));
+        const last = Math.min(powers.length - 1, Math.ceil(band.upper / binWidth) - 1);
+        let bandPower = 0;
+        for (let bin = first; bin <= last; bin++) {
+          bandPower += powers[bin];
+        }
+
+        const level = bandPower > 0 ? 10 * Math.log10(bandPower) + offset : null;
+        if (level !== null) {
+          const energy = Math.pow(10, level / 10);
+          this.sessionEnergy[resolution][i] += energy;
+          this.logEnergy[resolution][i] += energy;
+        }
+        return level;
+      });
+    });
+
+    this.sessionFrames += 1;
+    this.logFrames += 1;
+  }
+
+  setResolution(resolution) {
+    if (!this.bands[resolution]) {
+      console.warn('Unknown spectrum resolution:', resolution);
+      return;
+    }
+    this.resolution = resolution;
+  }
+
+  /**
+   * Latest band levels: [{ nominal, centre, level }]
+   */
+  getLevels(resolution = this.resolution) {
+    return this.bands[resolution].map((band, i) => ({
+      nominal: band.nominal,
+      centre: band.centre,
+      level: this.levels[resolution][i] ?? null
+    }));
+  }
+
+  /**
+   * Band Leq since monitoring started
+   */
+  getBandLeq(resolution = this.resolution) {
+    return SpectrumAnalyzer.toBandLeq(this.bands[resolution], this.sessionEnergy[resolution], this.sessionFrames);
+  }
+
+  /**
+   * Band Leq since the previous call, for the band-level log
+   */
+  takeLog(resolution = 'third') {
+    const bands = SpectrumAnalyzer.toBandLeq(this.bands[resolution], this.logEnergy[resolution], this.logFrames);
+    const frames = this.logFrames;
+
+    Object.keys(this.bands).forEach(key => this.logEnergy[key].fill(0));
+    this.logFrames = 0;
+
+    return frames > 0 ? { resolution, frames, bands } : null;
+  }
+
+  static toBandLeq(bands, energies, frames) {
+    return bands.map((band, i) => ({
+      nominal: band.nominal,
+      centre: band.centre,
+      level: frames > 0 && energies[i] > 0 ? 10 * Math.log10(energies[i] / frames) : null
+    }));
+  }
+
+  reset() {
+    this.sessionEnergy = {};
+    this.logEnergy = {};
+    Object.entries(this.bands).forEach(([resolution, bands]) => {
+      this.sessionEnergy[resolution] = new Float64Array(bands.length);
+      this.logEnergy[resolution] = new Float64Array(bands.length);
+      this.levels[resolution] = [];
+    });
+    this.sessionFrames = 0;
+    this.logFrames = 0;
+  }
+
+  /**
+   * Compact band list for storage/export, e.g. "31.5=62.1;63=65.4"
+   */
+  static formatBands(bands) {
+    return bands
+      .filter(band => band.level !== null)
+      .map(band => `${band.nominal}=${band.level.toFixed(1)}`)
+      .join(';');
+  }
+
+  static parseBands(text) {
+    if (!text) return null;
+    return text.split(';').map(pair => {
+      const [nominal, level] = pair.split('=');
+      return { nominal: parseFloat(nominal), level: parseFloat(level) };
+    }).filter(band => !isNaN(band.nominal) && !isNaN(band.level));
+  }
+}
+
+const spectrumAnalyzer = new SpectrumAnalyzer();
@@ -8,6 +8,8 @@ class StorageEngine {
     this.db = null;
     this.dbName = CONFIG.STORAGE.dbName;
     this.dbVersion = CONFIG.STORAGE.dbVersion;
+    this.retentionTimer = null;
+    this.onRetention = null; // Called with each retention report
   }
 
   async init() {
@@ -17,43 +19,20 @@ class StorageEngine {
       request.onerror = () => reject(request.error);
       request.onsuccess = () => {
         this.db = request.result;
+        // Let a newer version open in another tab upgrade the schema
+        this.db.onversionchange = () => this.db.close();
         debugLog('Storage', 'IndexedDB initialized');
         resolve(this.db);
       };
 
+      request.onblocked = () => {
+        console.warn('Database upgrade waiting for other open tabs to close');
+      };
+
+      // Versioned schema and data migrations (StorageMigrations)
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Exposure records (raw data)
-        if (!db.objectStoreNames.contains('exposureRecords')) {
-          const store = db.createObjectStore('exposureRecords', {
-            keyPath: 'id',
-            autoIncrement: true
-          });
-          store.createIndex('timestamp', 'timestamp', { unique: false });
-          store.createIndex('date', 'date', { unique: false });
-        }
-
-        // Hourly summaries
-        if (!db.objectStoreNames.contains('hourlySummaries')) {
-          const store = db.createObjectStore('hourlySummaries', {
-            keyPath: 'id'
-          });
-          store.createIndex('datetime', 'datetime', { unique: true });
-        }
-
-        // Daily summaries
-        if (!db.objectStoreNames.contains('dailySummaries')) {
-          const store = db.createObjectStore('dailySummaries', {
-            keyPath: 'date'
-          });
-          store.createIndex('date', 'date', { unique: true });
-        }
-
-        // Settings
-        if (!db.objectStoreNames.contains('settings')) {
-          db.createObjectStore('settings', { keyPath: 'key' });
-        }
+        const applied = StorageMigrations.run(request.result, request.transaction, event.oldVersion, this.dbVersion);
+        debugLog('Storage', `Upgraded from version ${event.oldVersion}:`, applied.join(', '));
       };
     });
   }
@@ -73,8 +52,12 @@ class StorageEngine {
       }
       const tx = this.db.transaction(['settings'], 'readonly');
       const store = tx.objectStore('settings');
-      const result = await store.get(key);
-      return result ? result.value : defaultValue;
+
+      return new Promise((resolve, reject) => {
+        const request = store.get(key);
+        request.onsuccess = () => resolve(request.result ? request.result.value : defaultValue);
+        request.onerror = () => reject(request.error);
+      });
     } catch (error) {
       console.error(`Error getting setting ${key}:`, error);
       return defaultValue;
@@ -105,49 +88,111 @@ class StorageEngine {
     });
   }
 
-  // Hourly summaries
-  async saveHourlySummary(summary) {
-    const tx = this.db.transaction(['hourlySummaries'], 'readwrite');
-    const store = tx.objectStore('hourlySummaries');
-    return store.put(summary);
+  /**
+   * Exposure records of a date (as stored in `record.date`), oldest first
+   */
+  async getExposureRecordsByDate(date) {
+    const tx = this.db.transaction(['exposureRecords'], 'readonly');
+    const store = tx.objectStore('exposureRecords');
+    const index = store.index('date');
+
+    return new Promise((resolve, reject) => {
+      const request = index.getAll(date);
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+      request.onerror = () => reject(request.error);
+    });
   }
 
-  async getHourlySummaries(daysBack = 0) {
-    try {
-      if (!this.db) {
-        console.warn('Database not initialized');
-        return [];
-      }
+  /**
+   * Write back edited exposure records, in one transaction
+   */
+  async updateExposureRecords(records) {
+    const tx = this.db.transaction(['exposureRecords'], 'readwrite');
+    const store = tx.objectStore('exposureRecords');
+    records.forEach(record => store.put(record));
 
-      // Calculate date range - default to TODAY (daysBack = 0)
-      const now = new Date();
-      const targetDate = new Date(now);
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(records.length);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
 
-      // daysBack = 0 means today, daysBack = 1 means yesterday, etc.
-      if (daysBack > 0) {
-        targetDate.setDate(targetDate.getDate() - daysBack);
-      }
+  // Level history
+  async saveLevelChunk(chunk) {
+    const tx = this.db.transaction(['levelHistory'], 'readwrite');
+    const store = tx.objectStore('levelHistory');
+    return new Promise((resolve, reject) => {
+      const request = store.put(chunk);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-      const dateStr = targetDate.toISOString().split('T')[0];
+  async getLevelChunk(start) {
+    const tx = this.db.transaction(['levelHistory'], 'readonly');
+    const store = tx.objectStore('levelHistory');
+    return new Promise((resolve, reject) => {
+      const request = store.get(start);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-      const tx = this.db.transaction(['hourlySummaries'], 'readonly');
-      const store = tx.objectStore('hourlySummaries');
+  /**
+   * Oldest minute row, or null when no level history is stored
+   */
+  async getFirstLevelChunk() {
+    const tx = this.db.transaction(['levelHistory'], 'readonly');
+    const store = tx.objectStore('levelHistory');
+    return new Promise((resolve, reject) => {
+      const request = store.openCursor();
+      request.onsuccess = () => resolve(request.result ? request.result.value : null);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-      return new Promise((resolve, reject) => {
-        const request = store.getAll();
-        request.onsuccess = () => {
-          const results = request.result.filter(s =>
-            s.datetime && s.datetime.startsWith(dateStr)
-          );
-          debugLog('Storage', `Found ${results.length} hourly summaries for ${dateStr}`);
-          resolve(results);
-        };
-        request.onerror = () => reject(request.error);
-      });
-    } catch (error) {
-      console.error('Error getting hourly summaries:', error);
-      return [];
-    }
+  /**
+   * Minute rows overlapping [start, end) (ms), oldest first
+   */
+  async getLevelChunks(start, end) {
+    const tx = this.db.transaction(['levelHistory'], 'readonly');
+    const store = tx.objectStore('levelHistory');
+    const range = IDBKeyRange.bound(Math.floor(start / 60000) * 60000, end, false, true);
+    return new Promise((resolve, reject) => {
+      const request = store.getAll(range);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Events
+  async saveEvent(event) {
+    const tx = this.db.transaction(['events'], 'readwrite');
+    const store = tx.objectStore('events');
+    return store.add(event);
+  }
+
+  /**
+   * Events of a type (or all types) since a timestamp, oldest first
+   */
+  async getEvents(type = null, since = 0) {
+    const tx = this.db.transaction(['events'], 'readonly');
+    const store = tx.objectStore('events');
+
+    return new Promise((resolve, reject) => {
+      const request = type
+        ? store.index('type_timestamp').getAll(IDBKeyRange.bound([type, since], [type, Infinity]))
+        : store.index('timestamp').getAll(IDBKeyRange.lowerBound(since));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Hourly summaries
+  async saveHourlySummary(summary) {
+    const tx = this.db.transaction(['hourlySummaries'], 'readwrite');
+    const store = tx.objectStore('hourlySummaries');
+    return store.put(summary);
   }
 
   // Daily summaries
@@ -157,6 +202,16 @@ class StorageEngine {
     return store.put(summary);
   }
 
+  async getDailySummary(date) {
+    const tx = this.db.transaction(['dailySummaries'], 'readonly');
+    const store = tx.objectStore('dailySummaries');
+    return new Promise((resolve, reject) => {
+      const request = store.get(date);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   async getTodaySummary() {
     try {
       if (!this.db) {
@@ -178,81 +233,190 @@ class StorageEngine {
     }
   }
 
-  async getDailySummaries(daysBackOrStartDate, endDate = null) {
-    try {
-      if (!this.db) {
-        console.warn('Database not initialized');
-        return [];
-      }
+  /**
+   * Run the retention job now and then once a day
+   */
+  scheduleRetention() {
+    const run = () => this.runRetention()
+      .then(report => { if (this.onRetention) this.onRetention(report); })
+      .catch(error => console.error('Retention failed:', error));
+
+    if (this.retentionTimer) clearInterval(this.retentionTimer);
+    this.retentionTimer = setInterval(run, CONFIG.STORAGE.retentionInterval);
+    return run();
+  }
 
-      const tx = this.db.transaction(['dailySummaries'], 'readonly');
-      const store = tx.objectStore('dailySummaries');
+  /**
+   * Apply the retention policy: detailed records older than
+   * CONFIG.STORAGE.detailedDataDays are merged into their hourly and daily
+   * summaries and deleted; level history is kept levelHistoryDays, hourly
+   * summaries hourlyDataDays, daily summaries and events dataRetentionDays.
+   * Returns what was done and the storage usage
+   */
+  async runRetention(now = Date.now()) {
+    const day = 86400000;
+    const cutoff = (days) => now - days * day;
+    const toDate = (time) => new Date(time).toISOString().split('T')[0];
+    const retentionCutoff = cutoff(CONFIG.STORAGE.dataRetentionDays);
+
+    const compacted = await this.compactExposureRecords(cutoff(CONFIG.STORAGE.detailedDataDays));
+    const deleted = {
+      levelHistory: await this.deleteBefore('levelHistory', null, cutoff(CONFIG.STORAGE.levelHistoryDays)),
+      events: await this.deleteBefore('events', 'timestamp', retentionCutoff),
+      hourlySummaries: await this.deleteBefore('hourlySummaries', 'datetime', toDate(cutoff(CONFIG.STORAGE.hourlyDataDays))),
+      dailySummaries: await this.deleteBefore('dailySummaries', null, toDate(retentionCutoff))
+    };
 
-      return new Promise((resolve, reject) => {
-        const request = store.getAll();
-        request.onsuccess = () => {
-          let results = request.result;
-
-          // If number provided, treat as days back from today
-          if (typeof daysBackOrStartDate === 'number') {
-            const daysBack = daysBackOrStartDate;
-            const endDate = new Date();
-            endDate.setHours(23, 59, 59, 999);
-            const startDate = new Date(endDate);
-            startDate.setDate(startDate.getDate() - daysBack);
-            startDate.setHours(0, 0, 0, 0);
-
-            results = results.filter(s => {
-              const date = new Date(s.date);
-              return date >= startDate && date <= endDate;
-            });
-          }
-          // If Date objects provided, use date range
-          else if (daysBackOrStartDate instanceof Date && endDate instanceof Date) {
-            results = results.filter(s => {
-              const date = new Date(s.date);
-              return date >= daysBackOrStartDate && date <= endDate;
-            });
-          }
-
-          resolve(results);
-        };
-        request.onerror = () => reject(request.error);
-      });
-    } catch (error) {
-      console.error('Error getting daily summaries:', error);
-      return [];
-    }
+    const report = { timestamp: now, ...compacted, deleted, usage: await this.getStorageUsage() };
+    debugLog('Storage', 'Retention:', report);
+    return report;
   }
 
-  // Export all data
-  async exportData() {
-    const [exposures, hourly, daily, settings] = await Promise.all([
-      this.getAllFromStore('exposureRecords'),
-      this.getAllFromStore('hourlySummaries'),
-      this.getAllFromStore('dailySummaries'),
-      this.getAllFromStore('settings')
-    ]);
-
-    return {
-      version: CONFIG.APP.version,
-      exportDate: new Date().toISOString(),
-      data: { exposures, hourly, daily, settings }
+  /**
+   * Delete exposure records older than `cutoff` (ms), first merging each
+   * hour's and day's last record into its hourly and daily summary (see
+   * mergeRollup). Records are cumulative, so the last one holds the totals.
+   * One transaction
+   */
+  async compactExposureRecords(cutoff) {
+    const tx = this.db.transaction(['exposureRecords', 'hourlySummaries', 'dailySummaries'], 'readwrite');
+    const records = tx.objectStore('exposureRecords');
+    const hourly = tx.objectStore('hourlySummaries');
+    const daily = tx.objectStore('dailySummaries');
+
+    const lastByHour = {};
+    const lastByDate = {};
+    const result = { compactedRecords: 0, hourlyRollups: 0, dailyRollups: 0 };
+
+    const merge = (store, key, rollup, counter) => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        const summary = StorageEngine.mergeRollup(request.result, rollup);
+        if (summary === request.result) return;
+        store.put(summary);
+        result[counter] += 1;
+      };
+    };
+
+    const cursorRequest = records.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true));
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        const record = cursor.value;
+        const date = record.date || new Date(record.timestamp).toISOString().split('T')[0];
+        lastByHour[`${date} ${String(new Date(record.timestamp).getHours()).padStart(2, '0')}:00`] = record;
+        lastByDate[date] = record;
+        cursor.delete();
+        result.compactedRecords += 1;
+        cursor.continue();
+        return;
+      }
+
+      Object.entries(lastByHour).forEach(([id, record]) => merge(hourly, id, {
+        id,
+        hour: id,
+        datetime: id,
+        dose: record.dose,
+        peakLevel: record.peakLevel,
+        exposureSeconds: record.exposureSeconds,
+        leq: record.leq,
+        twa: record.twa,
+        standard: record.standard,
+        timestamp: new Date(record.timestamp).toISOString(),
+        rollup: true
+      }, 'hourlyRollups'));
+
+      Object.entries(lastByDate).forEach(([date, record]) => merge(daily, date, {
+        date,
+        dose: record.dose,
+        protectedDose: record.protectedDose,
+        protectedTwa: record.protectedTwa,
+        peakLevel: record.peakLevel,
+        maxLevel: record.maxLevel,
+        exposureSeconds: record.exposureSeconds,
+        leq: record.leq,
+        twa: record.twa,
+        projectedDose: record.projectedDose,
+        standard: record.standard,
+        dosimeters: record.dosimeters,
+        weighting: record.weighting,
+        timestamp: new Date(record.timestamp).toISOString(),
+        rollup: true
+      }, 'dailyRollups'));
     };
+
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+    });
   }
 
-  async getAllFromStore(storeName) {
-    const tx = this.db.transaction([storeName], 'readonly');
+  /**
+   * Summary from a record rollup and the stored summary (if any). The later
+   * of the two holds the later cumulative totals and wins, fields missing
+   * from it are taken from the other, and the peak and maximum levels are the
+   * higher of both. Returns `existing` itself when the rollup adds nothing
+   */
+  static mergeRollup(existing, rollup) {
+    if (!existing) return rollup;
+
+    const defined = summary => Object.fromEntries(Object.entries(summary).filter(([, value]) => value !== undefined && value !== null));
+    const rollupNewer = Date.parse(rollup.timestamp) > (Date.parse(existing.timestamp) || 0);
+    const merged = rollupNewer
+      ? { ...defined(existing), ...defined(rollup) }
+      : { ...defined(rollup), ...defined(existing) };
+    delete merged.rollup;
+
+    ['peakLevel', 'maxLevel'].forEach(field => {
+      const levels = [existing[field], rollup[field]].filter(level => typeof level === 'number' && isFinite(level));
+      if (levels.length > 0) merged[field] = Math.max(...levels);
+    });
+
+    const changed = Object.keys(merged).some(field => JSON.stringify(merged[field]) !== JSON.stringify(existing[field]));
+    return changed ? { ...merged, rollup: true } : existing;
+  }
+
+  /**
+   * Delete rows whose key (or `indexName` value) is below `upper`; returns the count
+   */
+  async deleteBefore(storeName, indexName, upper) {
+    const tx = this.db.transaction([storeName], 'readwrite');
     const store = tx.objectStore(storeName);
-    return new Promise((resolve) => {
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
+    const source = indexName ? store.index(indexName) : store;
+    let count = 0;
+
+    const request = source.openCursor(IDBKeyRange.upperBound(upper, true));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      count += 1;
+      cursor.continue();
+    };
+
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(count);
+      tx.onerror = () => reject(tx.error);
     });
   }
 
+  /**
+   * Storage used and available to the app (bytes), where the browser reports it
+   */
+  async getStorageUsage() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota };
+    } catch (error) {
+      console.warn('Storage estimate unavailable:', error);
+      return null;
+    }
+  }
+
   // Clear all data
   async clearAllData() {
-    const stores = ['exposureRecords', 'hourlySummaries', 'dailySummaries'];
+    const stores = ['exposureRecords', 'hourlySummaries', 'dailySummaries', 'events', 'levelHistory'];
     for (const storeName of stores) {
       const tx = this.db.transaction([storeName], 'readwrite');
       const store = tx.objectStore(storeName);
@@ -0,0 +1,172 @@
+/**
+ * Storage Migrations - Versioned IndexedDB schema steps
+ * StorageEngine runs every step above the database's old version, in order,
+ * inside the upgrade transaction: if a data transform fails the whole upgrade
+ * is rolled back and the database stays at its old version.
+ * Stores are created only when missing, since databases opened by earlier
+ * releases may already have them
+ */
+
+class StorageMigrations {
+  /**
+   * Ordered steps: { version, description, upgrade(db, tx) }
+   * Add a step and raise CONFIG.STORAGE.dbVersion to change the schema
+   */
+  static getSteps() {
+    return [
+      {
+        version: 1,
+        description: 'Exposure records and settings',
+        upgrade(db) {
+          if (!db.objectStoreNames.contains('exposureRecords')) {
+            const store = db.createObjectStore('exposureRecords', { keyPath: 'id', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp', { unique: false });
+            store.createIndex('date', 'date', { unique: false });
+          }
+          if (!db.objectStoreNames.contains('settings')) {
+            db.createObjectStore('settings', { keyPath: 'key' });
+          }
+        }
+      },
+      {
+        version: 2,
+        description: 'Hourly and daily summaries',
+        upgrade(db) {
+          if (!db.objectStoreNames.contains('hourlySummaries')) {
+            const store = db.createObjectStore('hourlySummaries', { keyPath: 'id' });
+            store.createIndex('datetime', 'datetime', { unique: true });
+          }
+          if (!db.objectStoreNames.contains('dailySummaries')) {
+            const store = db.createObjectStore('dailySummaries', { keyPath: 'date' });
+            store.createIndex('date', 'date', { unique: true });
+          }
+        }
+      },
+      {
+        version: 3,
+        description: 'Events (impulses, protection, pocket, tags, calibration)',
+        upgrade(db) {
+          if (!db.objectStoreNames.contains('events')) {
+            const store = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp', { unique: false });
+            store.createIndex('type', 'type', { unique: false });
+          }
+        }
+      },
+      {
+        version: 4,
+        description: 'Per-second level history',
+        upgrade(db) {
+          if (!db.objectStoreNames.contains('levelHistory')) {
+            const store = db.createObjectStore('levelHistory', { keyPath: 'start' });
+            store.createIndex('date', 'date', { unique: false });
+          }
+        }
+      },
+      {
+        version: 5,
+        description: 'Events by type in time order',
+        upgrade(db, tx) {
+          const store = tx.objectStore('events');
+          if (!store.indexNames.contains('type_timestamp')) {
+            store.createIndex('type_timestamp', ['type', 'timestamp'], { unique: false });
+          }
+        }
+      },
+      {
+        version: 6,
+        description: 'Import the legacy StorageManager dailySummary store',
+        upgrade(db, tx) {
+          StorageMigrations.fillRecordDates(tx);
+          if (!db.objectStoreNames.contains('dailySummary')) return;
+
+          // Days already in dailySummaries were saved by StorageEngine and win
+          const legacy = tx.objectStore('dailySummary');
+          const summaries = tx.objectStore('dailySummaries');
+          const request = legacy.openCursor();
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+              db.deleteObjectStore('dailySummary');
+              debugLog('Storage', 'Legacy dailySummary store imported and removed');
+              return;
+            }
+            const summary = StorageMigrations.fromLegacySummary(cursor.value);
+            if (summary) {
+              const existing = summaries.count(summary.date);
+              existing.onsuccess = () => {
+                if (existing.result === 0) summaries.put(summary);
+              };
+            }
+            cursor.continue();
+          };
+        }
+      }
+    ];
+  }
+
+  /**
+   * Run the steps above `oldVersion` up to `newVersion`; returns the versions applied
+   */
+  static run(db, tx, oldVersion, newVersion) {
+    const applied = [];
+    StorageMigrations.getSteps()
+      .filter(step => step.version > oldVersion && step.version <= newVersion)
+      .sort((a, b) => a.version - b.version)
+      .forEach(step => {
+        debugLog('Storage', `Migration ${step.version}: ${step.description}`);
+        step.upgrade(db, tx);
+        applied.push(step.version);
+      });
+    return applied;
+  }
+
+  /**
+   * StorageManager daily summary → dailySummaries row. Legacy rows hold the
+   * NIOSH dose (`dose` or `dailyDose`), `totalDuration` (s), `peakLevel` and
+   * `avgLevel` (the TWA); null when there is no date to key it by
+   */
+  static fromLegacySummary(legacy) {
+    if (!legacy || typeof legacy.date !== 'string') return null;
+    const number = value => (typeof value === 'number' && isFinite(value) ? value : null);
+    const niosh = CONFIG.STANDARDS.profiles.NIOSH;
+
+    return {
+      date: legacy.date,
+      dose: number(legacy.dose) ?? number(legacy.dailyDose) ?? 0,
+      peakLevel: number(legacy.peakLevel) ?? 0,
+      exposureSeconds: number(legacy.exposureSeconds) ?? number(legacy.totalDuration) ?? 0,
+      leq: null,
+      twa: number(legacy.twa) ?? number(legacy.avgLevel),
+      standard: {
+        id: 'NIOSH',
+        name: niosh.name,
+        shortName: niosh.shortName,
+        criterionLevel: niosh.criterionLevel,
+        criterionDuration: niosh.criterionDuration,
+        exchangeRate: niosh.exchangeRate,
+        threshold: niosh.threshold
+      },
+      timestamp: legacy.timestamp || (legacy.startTime ? new Date(legacy.startTime).toISOString() : `${legacy.date}T00:00:00.000Z`),
+      migratedFrom: 'dailySummary'
+    };
+  }
+
+  /**
+   * Exposure records written without a date (legacy) get it from their
+   * timestamp, so the date index finds them
+   */
+  static fillRecordDates(tx) {
+    const request = tx.objectStore('exposureRecords').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const record = cursor.value;
+      if (!record.date && typeof record.timestamp === 'number') {
+        record.date = new Date(record.timestamp).toISOString().split('T')[0];
+        cursor.update(record);
+      }
+      cursor.continue();
+    };
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Storage Query - Indexed range reads over StorageEngine's object stores
+ * Key ranges run on the store key or one of its indexes (from inclusive,
+ * to exclusive), with cursor streaming, keyset pagination and aggregation
+ * by hour, day, week or month (local time)
+ */
+
+class StorageQuery {
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * IDBKeyRange from optional bounds; null for the whole store
+   */
+  static toRange(from = null, to = null, includeTo = false) {
+    if (from !== null && to !== null) return IDBKeyRange.bound(from, to, false, !includeTo);
+    if (from !== null) return IDBKeyRange.lowerBound(from);
+    if (to !== null) return IDBKeyRange.upperBound(to, !includeTo);
+    return null;
+  }
+
+  getSource(storeName, index = null, mode = 'readonly') {
+    const store = this.engine.db.transaction([storeName], mode).objectStore(storeName);
+    return index ? store.index(index) : store;
+  }
+
+  /**
+   * All rows in a key range, in key order
+   * options: { index, from, to, includeTo }
+   */
+  async getRange(storeName, { index = null, from = null, to = null, includeTo = false } = {}) {
+    const source = this.getSource(storeName, index);
+    return new Promise((resolve, reject) => {
+      const request = source.getAll(StorageQuery.toRange(from, to, includeTo));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Stream rows of a key range to `callback(row)` without loading them all;
+   * returns the number of rows. options: { index, from, to, includeTo, direction }
+   */
+  async each(storeName, options, callback) {
+    const { index = null, from = null, to = null, includeTo = false, direction = 'next' } = options;
+    const source = this.getSource(storeName, index);
+    let count = 0;
+
+    return new Promise((resolve, reject) => {
+      const request = source.openCursor(StorageQuery.toRange(from, to, includeTo), direction);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(count);
+          return;
+        }
+        callback(cursor.value);
+        count += 1;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * One page of a key range: { rows, next }. Pass `next` back as `after` for
+   * the following page; it is null after the last one. Pages follow keys, not
+   * offsets, so rows added meanwhile don't shift them
+   * options: { index, from, to, includeTo, direction, limit, after, filter(row) }
+   */
+  async page(storeName, options = {}) {
+    const {
+      index = null, from = null, to = null, includeTo = false, direction = 'next',
+      limit = CONFIG.STORAGE.pageSize, after = null, filter = null
+    } = options;
+    const forward = direction === 'next';
+
+    // Restart at the previous page's last key, then skip past its row
+    const range = after
+      ? (forward ? StorageQuery.toRange(after.key, to, includeTo) : StorageQuery.toRange(from, after.key, true))
+      : StorageQuery.toRange(from, to, includeTo);
+    const source = this.getSource(storeName, index);
+    const rows = [];
+
+    return new Promise((resolve, reject) => {
+      const request = source.openCursor(range, direction);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve({ rows, next: null });
+          return;
+        }
+
+        if (after && indexedDB.cmp(cursor.key, after.key) === 0) {
+          const order = indexedDB.cmp(cursor.primaryKey, after.primaryKey);
+          if (forward ? order <= 0 : order >= 0) {
+            cursor.continue();
+            return;
+          }
+        }
+
+        if (!filter || filter(cursor.value)) rows.push(cursor.value);
+        if (rows.length >= limit) {
+          resolve({ rows, next: { key: cursor.key, primaryKey: cursor.primaryKey } });
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Read a key range page by page (see page), handing each page's rows to
+   * `callback(rows)`; returns the number of rows
+   */
+  async eachPage(storeName, options, callback) {
+    let after = null;
+    let count = 0;
+    do {
+      const { rows, next } = await this.page(storeName, { ...options, after });
+      if (rows.length > 0) await callback(rows);
+      count += rows.length;
+      after = next;
+    } while (after);
+    return count;
+  }
+
+  /**
+   * Start (ms) of the local hour, day, week (from Monday) or month of a time
+   */
+  static getBucketStart(time, bucket) {
+    const date = new Date(time);
+    switch (bucket) {
+      case 'hour':
+        date.setMinutes(0, 0, 0);
+        break;
+      case 'day':
+        date.setHours(0, 0, 0, 0);
+        break;
+      case 'week':
+        date.setHours(0, 0, 0, 0);
+        date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+        break;
+      case 'month':
+        date.setHours(0, 0, 0, 0);
+        date.setDate(1);
+        break;
+      default:
+        throw new Error(`Unknown aggregation bucket: ${bucket}`);
+    }
+    return date.getTime();
+  }
+
+  /**
+   * Aggregate rows into buckets: [{ start, count, [field]: value }], oldest first
+   * options: { bucket: 'hour' | 'day' | 'week' | 'month', time(row) → ms,
+   *   fields: { [field]: 'sum' | 'max' | 'energy' }, weight(row) → weight of
+   *   the row in energy averages (e.g. its seconds; default 1) }
+   * Rows without a numeric value are left out of that field
+   */
+  static aggregateRows(rows, options) {
+    const aggregator = StorageQuery.createAggregator(options);
+    rows.forEach(row => aggregator.add(row));
+    return aggregator.result();
+  }
+
+  static createAggregator({ bucket, time, fields, weight = () => 1 }) {
+    const buckets = new Map();
+
+    return {
+      add(row) {
+        const start = StorageQuery.getBucketStart(time(row), bucket);
+        let entry = buckets.get(start);
+        if (!entry) {
+          entry = { start, count: 0, totals: {} };
+          buckets.set(start, entry);
+        }
+        entry.count += 1;
+
+        Object.entries(fields).forEach(([field, method]) => {
+          const value = row[field];
+          if (typeof value !== 'number' || !isFinite(value)) return;
+          const total = entry.totals[field] || (entry.totals[field] = { value: method === 'max' ? -Infinity : 0, weight: 0 });
+          if (method === 'sum') {
+            total.value += value;
+          } else if (method === 'max') {
+            total.value = Math.max(total.value, value);
+          } else if (method === 'energy') {
+            const rowWeight = weight(row) || 0;
+            total.value += rowWeight * DosimetryEngine.toEnergy(value);
+            total.weight += rowWeight;
+          }
+        });
+      },
+
+      result() {
+        return [...buckets.values()].sort((a, b) => a.start - b.start).map(({ start, count, totals }) => {
+          const point = { start, count };
+          Object.entries(fields).forEach(([field, method]) => {
+            const total = totals[field];
+            if (!total) point[field] = null;
+            else point[field] = method === 'energy' ? DosimetryEngine.toLeq(total.value, total.weight) : total.value;
+          });
+          return point;
+        });
+      }
+    };
+  }
+
+  /**
+   * Aggregate a key range of a store without loading it (see aggregateRows)
+   */
+  async aggregate(storeName, options) {
+    const aggregator = StorageQuery.createAggregator(options);
+    await this.each(storeName, options, row => aggregator.add(row));
+    return aggregator.result();
+  }
+
+  /**
+   * Hourly summaries of a date ('YYYY-MM-DD'), by hour
+   */
+  getHourlySummaries(date) {
+    return this.getRange('hourlySummaries', { index: 'datetime', from: `${date} `, to: `${date} \uffff` });
+  }
+
+  /**
+   * Daily summaries from one date to another, both included
+   */
+  getDailySummaries(fromDate, toDate) {
+    return this.getRange('dailySummaries', { from: fromDate, to: toDate, includeTo: true });
+  }
+}
+
+const storageQuery = new StorageQuery(storageEngine);
@@ -0,0 +1,93 @@
+/**
+ * Task Exposure - ISO 9612 task-based strategy
+ * A shift is split into tasks, each with a duration and LAeq samples. The
+ * task levels give LEX,8h and a dose, and the sampling, duration, instrument
+ * and microphone position uncertainties give its expanded uncertainty (Annex C)
+ */
+
+class TaskExposure {
+  /**
+   * Energy mean of the sample levels: LAeq,T,m
+   */
+  static meanLevel(levels) {
+    if (levels.length === 0) return null;
+    const energy = levels.reduce((sum, level) => sum + Math.pow(10, level / 10), 0);
+    return 10 * Math.log10(energy / levels.length);
+  }
+
+  /**
+   * Sampling uncertainty u1a,m: standard deviation of the mean of the samples.
+   * Fewer than two samples can't show their spread, so a default is used
+   */
+  static samplingUncertainty(levels) {
+    const n = levels.length;
+    if (n < 2) return CONFIG.PLANNER.singleSampleUncertainty;
+    const mean = levels.reduce((sum, level) => sum + level, 0) / n;
+    const squares = levels.reduce((sum, level) => sum + Math.pow(level - mean, 2), 0);
+    return Math.sqrt(squares / (n * (n - 1)));
+  }
+
+  /**
+   * LEX,8h, dose and uncertainty of a shift
+   * tasks: [{ id, name, hours, durationUncertainty (h), samples: [{ level }] }]
+   * allowableTime(level): seconds allowed at a level under the dose standard
+   */
+  static assess(tasks, allowableTime) {
+    const { referenceHours, minSamples, maxSpread, instrumentUncertainty, positionUncertainty, coverageFactor } = CONFIG.PLANNER;
+    const warnings = [];
+
+    const assessed = tasks.filter(task => task.hours > 0 && task.samples.length > 0).map(task => {
+      const levels = task.samples.map(sample => sample.level);
+      const level = TaskExposure.meanLevel(levels);
+      const spread = Math.max(...levels) - Math.min(...levels);
+
+      if (levels.length < minSamples) {
+        warnings.push(`${task.name}: ${levels.length} of ${minSamples} samples`);
+      } else if (spread > maxSpread) {
+        warnings.push(`${task.name}: samples ${spread.toFixed(1)} dB apart — take ${minSamples} more`);
+      }
+
+      return {
+        id: task.id,
+        name: task.name,
+        hours: task.hours,
+        level,
+        lex: level + 10 * Math.log10(task.hours / referenceHours),
+        samplingUncertainty: TaskExposure.samplingUncertainty(levels),
+        durationUncertainty: task.durationUncertainty || 0,
+        dose: task.hours * 3600 / allowableTime(level) * 100
+      };
+    });
+
+    const skipped = tasks.length - assessed.length;
+    if (skipped > 0) warnings.push(`${skipped} task${skipped > 1 ? 's' : ''} without a duration or samples left out`);
+    if (assessed.length === 0) return { tasks: [], lex: null, warnings };
+
+    const lex = 10 * Math.log10(assessed.reduce((sum, task) => sum + Math.pow(10, task.lex / 10), 0));
+
+    // u²(LEX,8h) = Σ c1a²(u1a² + u2² + u3²) + (c1b·u1b)²
+    let variance = 0;
+    assessed.forEach(task => {
+      const c1a = Math.pow(10, (task.lex - lex) / 10);
+      const c1b = 4.34 * c1a / task.hours;
+      task.sensitivity = c1a;
+      variance += c1a * c1a * (
+        Math.pow(task.samplingUncertainty, 2) + Math.pow(instrumentUncertainty, 2) + Math.pow(positionUncertainty, 2)
+      ) + Math.pow(c1b * task.durationUncertainty, 2);
+    });
+    const uncertainty = Math.sqrt(variance);
+    const expanded = coverageFactor * uncertainty;
+
+    return {
+      tasks: assessed,
+      hours: assessed.reduce((sum, task) => sum + task.hours, 0),
+      lex,
+      uncertainty,
+      expanded,
+      dose: assessed.reduce((sum, task) => sum + task.dose, 0),
+      // Every task at the top of the uncertainty interval
+      upperDose: assessed.reduce((sum, task) => sum + task.hours * 3600 / allowableTime(task.level + expanded) * 100, 0),
+      warnings
+    };
+  }
+}
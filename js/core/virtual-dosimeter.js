@@ -0,0 +1,170 @@
+/**
+ * Virtual Dosimeter - One independently configured dose accumulator
+ * DosimetryEngine runs several side by side (e.g. NIOSH and OSHA), all fed
+ * from the same per-second level stream
+ */
+
+class VirtualDosimeter {
+  constructor(id, profileId, custom = {}) {
+    this.id = id;
+    this.profile = null;
+
+    this.dose = 0; // percentage
+    this.protectedDose = 0; // percentage, estimated at the ear under hearing protection
+    this.exposureSeconds = 0;
+    this.peakLevel = 0;
+
+    if (!this.setProfile(profileId, custom)) {
+      this.setProfile(CONFIG.STANDARDS.defaultProfile);
+    }
+  }
+
+  /**
+   * Select the exposure standard (CONFIG.STANDARDS.profiles key)
+   * `custom` supplies criterionLevel/exchangeRate/threshold for the CUSTOM profile
+   */
+  setProfile(profileId, custom = {}) {
+    const profile = VirtualDosimeter.resolveProfile(profileId, custom);
+    if (!profile) {
+      console.warn('Unknown exposure standard:', profileId);
+      return false;
+    }
+
+    this.profile = profile;
+    debugLog('Dose', `${this.id}: ${DosimetryEngine.formatProfile(profile)}`);
+    return true;
+  }
+
+  /**
+   * Profile of a standard, with the custom criteria for CUSTOM; null when unknown
+   */
+  static resolveProfile(profileId, custom = {}) {
+    const base = CONFIG.STANDARDS.profiles[profileId];
+    if (!base) return null;
+
+    const profile = { id: profileId, ...base };
+    if (profileId === 'CUSTOM') {
+      ['criterionLevel', 'exchangeRate', 'threshold'].forEach(key => {
+        const value = custom[key];
+        if (typeof value === 'number' && isFinite(value)) profile[key] = value;
+      });
+      if (profile.exchangeRate <= 0) profile.exchangeRate = base.exchangeRate;
+    }
+    return profile;
+  }
+
+  /**
+   * Whether the dose so far was accumulated under `profile`
+   */
+  hasProfile(profile) {
+    return Boolean(profile) && ['id', 'criterionLevel', 'criterionDuration', 'exchangeRate', 'threshold']
+      .every(key => this.profile[key] === profile[key]);
+  }
+
+  /**
+   * Parameters of the standard, as stored with each record
+   */
+  getProfile() {
+    const { id, name, shortName, criterionLevel, criterionDuration, exchangeRate, threshold } = this.profile;
+    return { id, name, shortName, criterionLevel, criterionDuration, exchangeRate, threshold };
+  }
+
+  /**
+   * Calculate allowable time for given noise level
+   * T = Tc × 2^((Lc-L)/ER), e.g. NIOSH: T = 8 × 2^((85-L)/3) hours
+   */
+  getAllowableTime(decibelLevel) {
+    const { criterionLevel, criterionDuration, exchangeRate, threshold } = this.profile;
+    if (decibelLevel < threshold) return Infinity;
+    const exponent = (criterionLevel - decibelLevel) / exchangeRate;
+    return criterionDuration * Math.pow(2, exponent);
+  }
+
+  /**
+   * Add one second at the given level, with that second's waveform peak and
+   * the estimated level at the ear (the same level when no protection is worn)
+   */
+  addExposure(decibelLevel, peakLevel = decibelLevel, protectedLevel = decibelLevel) {
+    this.exposureSeconds += 1;
+
+    if (peakLevel > this.peakLevel) {
+      this.peakLevel = peakLevel;
+    }
+
+    // Only add dose contribution if above threshold
+    if (decibelLevel >= this.profile.threshold) {
+      this.dose += (1 / this.getAllowableTime(decibelLevel)) * 100;
+    }
+    if (protectedLevel >= this.profile.threshold) {
+      this.protectedDose += (1 / this.getAllowableTime(protectedLevel)) * 100;
+    }
+  }
+
+  /**
+   * 8-hour TWA from dose: TWA = Lc + ER × log2(D / 100)
+   * (NIOSH: 10·log10(D/100) + 85, OSHA: 16.61·log10(D/100) + 90)
+   */
+  getTWA(dose = this.dose) {
+    if (dose <= 0) return null;
+    return this.profile.criterionLevel + this.profile.exchangeRate * Math.log2(dose / 100);
+  }
+
+  getProtectedTWA() {
+    return this.getTWA(this.protectedDose);
+  }
+
+  /**
+   * Highest action value reached by the TWA for standards that define them (EU)
+   */
+  getActionValueStatus() {
+    const actionValues = this.profile.actionValues;
+    const twa = this.getTWA();
+    if (!actionValues || twa === null) return null;
+
+    if (twa >= actionValues.limit) return 'limit';
+    if (twa >= actionValues.upper) return 'upper';
+    if (twa >= actionValues.lower) return 'lower';
+    return 'below';
+  }
+
+  /**
+   * Dose expected at the end of the shift if exposure continues at the rate so far
+   */
+  getProjectedDose() {
+    if (this.exposureSeconds <= 0) return 0;
+    return this.dose * this.profile.criterionDuration / this.exposureSeconds;
+  }
+
+  reset() {
+    this.dose = 0;
+    this.protectedDose = 0;
+    this.exposureSeconds = 0;
+    this.peakLevel = 0;
+  }
+
+  /**
+   * Restore totals from a saved getSummary()
+   */
+  restore(saved) {
+    this.dose = saved.dose || 0;
+    // Summaries saved before protector modeling: nothing was attenuated
+    this.protectedDose = saved.protectedDose ?? this.dose;
+    this.exposureSeconds = saved.exposureSeconds || 0;
+    this.peakLevel = saved.peakLevel || 0;
+  }
+
+  getSummary() {
+    return {
+      id: this.id,
+      standard: this.getProfile(),
+      dose: this.dose,
+      protectedDose: this.protectedDose,
+      protectedTwa: this.getProtectedTWA(),
+      exposureSeconds: this.exposureSeconds,
+      peakLevel: this.peakLevel,
+      twa: this.getTWA(),
+      projectedDose: this.getProjectedDose(),
+      actionValue: this.getActionValueStatus()
+    };
+  }
+}
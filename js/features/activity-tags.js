@@ -0,0 +1,189 @@
+/**
+ * Activity Tags - Manual exposure diary
+ * The active tag is stored with each exposure record. Tags can be changed
+ * afterwards per hour of the day chart, so doses per tag are always worked
+ * out from the records rather than kept as running totals
+ */
+
+class ActivityTags {
+  constructor() {
+    this.current = null;   // Tag applied to new exposure records
+    this.tags = [];        // Quick buttons, most recently used first
+    this.editing = null;   // { date, hour } open in the tag editor
+  }
+
+  init() {
+    document.getElementById('tagButtons')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-tag]');
+      if (button) this.toggle(button.dataset.tag);
+    });
+
+    document.getElementById('tagStartBtn')?.addEventListener('click', () => {
+      const input = document.getElementById('tagNameInput');
+      this.setCurrent(input.value);
+      input.value = '';
+    });
+
+    document.getElementById('tagFilter')?.addEventListener('change', (e) => {
+      historyChart.setTagFilter(e.target.value || null);
+    });
+
+    document.getElementById('tagEditorApply')?.addEventListener('click', () => {
+      this.applyEdit(document.getElementById('tagEditorInput').value);
+    });
+    document.getElementById('tagEditorClear')?.addEventListener('click', () => this.applyEdit(null));
+    document.getElementById('tagEditorClose')?.addEventListener('click', () => this.closeEditor());
+
+    this.load();
+  }
+
+  async load() {
+    try {
+      this.tags = await storageEngine.getSetting('activityTags', null) ?? [...CONFIG.TAGS.suggestions];
+      this.current = await storageEngine.getSetting('activityTag', null) ?? null;
+    } catch (error) {
+      console.error('Error loading activity tags:', error);
+      this.tags = [...CONFIG.TAGS.suggestions];
+      this.current = null;
+    }
+    this.render();
+  }
+
+  /**
+   * Tag text as stored: no CSV separators or markup, trimmed, limited length
+   */
+  static normalize(tag) {
+    return (tag || '').replace(/[\s,"<>&]+/g, ' ').trim().slice(0, CONFIG.TAGS.maxLength);
+  }
+
+  remember(tag) {
+    this.tags = [tag, ...this.tags.filter(existing => existing !== tag)].slice(0, CONFIG.TAGS.maxTags);
+    storageEngine.saveSetting('activityTags', this.tags);
+  }
+
+  /**
+   * Start tagging new records with `tag`; null stops tagging
+   */
+  async setCurrent(tag) {
+    const normalized = ActivityTags.normalize(tag) || null;
+    if (normalized === this.current) return;
+
+    const previous = this.current;
+    this.current = normalized;
+    if (normalized) this.remember(normalized);
+    await storageEngine.saveSetting('activityTag', normalized);
+
+    this.logEvent({ tag: normalized, previous, source: 'live' });
+    this.render();
+    haptics.vibrate('light');
+    app.showToast(normalized ? `🏷️ Tagging: ${normalized}` : `🏷️ ${previous} ended`);
+    debugLog('Tags', 'Current tag:', normalized);
+  }
+
+  toggle(tag) {
+    this.setCurrent(this.current === tag ? null : tag);
+  }
+
+  logEvent(details) {
+    const time = new Date();
+    storageEngine.saveEvent({
+      type: 'tag',
+      timestamp: time.getTime(),
+      date: time.toISOString().split('T')[0],
+      datetime: time.toISOString(),
+      ...details
+    }).catch(error => console.error('Failed to save tag event:', error));
+  }
+
+  /**
+   * Records of one hour of the day chart: the chart's date and local hour
+   */
+  static async getHourRecords(date, hour) {
+    const records = await storageEngine.getExposureRecordsByDate(date);
+    return records.filter(record => new Date(record.timestamp).getHours() === hour);
+  }
+
+  async openEditor(hour) {
+    const editor = document.getElementById('tagEditor');
+    if (!editor) return;
+
+    const date = new Date().toISOString().split('T')[0];
+    const records = await ActivityTags.getHourRecords(date, hour);
+    if (records.length === 0) {
+      app.showToast(`No exposure records at ${hour}:00`);
+      return;
+    }
+
+    // Prefill with the hour's most common tag
+    const counts = {};
+    records.forEach(record => {
+      if (record.tag) counts[record.tag] = (counts[record.tag] || 0) + 1;
+    });
+    const common = Object.entries(counts).sort(([, a], [, b]) => b - a)[0];
+
+    this.editing = { date, hour };
+    document.getElementById('tagEditorHour').textContent =
+      `${hour}:00–${hour + 1}:00 · ${Object.keys(counts).length > 1 ? 'mixed tags' : (common ? common[0] : 'untagged')}`;
+    document.getElementById('tagEditorInput').value = common ? common[0] : '';
+    editor.classList.remove('hidden');
+  }
+
+  closeEditor() {
+    this.editing = null;
+    document.getElementById('tagEditor')?.classList.add('hidden');
+  }
+
+  /**
+   * Retag every record of the hour open in the editor; null clears the tag
+   */
+  async applyEdit(tag) {
+    if (!this.editing) return;
+    const { date, hour } = this.editing;
+    const normalized = ActivityTags.normalize(tag) || null;
+
+    try {
+      const records = await ActivityTags.getHourRecords(date, hour);
+      records.forEach(record => { record.tag = normalized; });
+      await storageEngine.updateExposureRecords(records);
+
+      if (normalized) this.remember(normalized);
+      this.logEvent({ tag: normalized, source: 'edit', editedDate: date, editedHour: hour, records: records.length });
+      this.closeEditor();
+      this.render();
+      historyChart.update(historyChart.period);
+      app.showToast(normalized ? `🏷️ ${hour}:00 tagged ${normalized}` : `🏷️ ${hour}:00 untagged`);
+    } catch (error) {
+      console.error('Failed to retag records:', error);
+      app.showToast('❌ Could not change the tag');
+    }
+  }
+
+  render() {
+    const buttons = document.getElementById('tagButtons');
+    const suggestions = document.getElementById('tagSuggestions');
+    const filter = document.getElementById('tagFilter');
+
+    // The active tag stays on the buttons even once it drops off the list
+    const tags = this.current && !this.tags.includes(this.current) ? [this.current, ...this.tags] : this.tags;
+
+    if (buttons) {
+      buttons.innerHTML = tags.map(tag => `
+        <button class="preset-btn${tag === this.current ? ' active' : ''}" data-tag="${tag}">${tag}</button>
+      `).join('');
+    }
+
+    if (suggestions) {
+      suggestions.innerHTML = tags.map(tag => `<option value="${tag}">`).join('');
+    }
+
+    if (filter) {
+      const selected = historyChart.tagFilter;
+      const options = selected && !tags.includes(selected) ? [...tags, selected] : tags;
+      filter.innerHTML = '<option value="">All activities</option>' +
+        options.map(tag => `<option value="${tag}">${tag}</option>`).join('');
+      filter.value = selected || '';
+    }
+  }
+}
+
+const activityTags = new ActivityTags();
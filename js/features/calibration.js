@@ -1,11 +1,28 @@
 /**
- * Calibration - Microphone calibration wizard and manual adjustment
+ * Calibration - Microphone calibration wizard, manual adjustment and multi-point curve
+ * Each input device (built-in mic, headset, USB measurement mic) keeps its own
+ * profile, applied whenever the active device changes. Every calibration and
+ * field check is logged to the events store for drift tracking and audits
  */
 
+// Profile key for calibration saved before per-device profiles
+const LEGACY_CALIBRATION_PROFILE = 'legacy';
+
 class Calibration {
   constructor() {
     this.offset = 0;
     this.isCalibrated = false;
+
+    // { [device key]: { label, offset, curve: { points, fit }, frequencyResponse, updated } }
+    this.profiles = {};
+    this.device = null;            // { deviceId, label, key } of the active input
+    this.capture = null;           // Calibrator capture in progress
+    this.lastCalibration = null;   // Latest calibrator capture for the active device
+    this.preferredDeviceId = null; // Chosen input; null uses the browser default
+
+    this.history = [];             // 'calibration' events, oldest first
+    this.reminderInterval = CONFIG.CALIBRATION.reminders.defaultInterval;
+    this.lastShiftEnd = null;      // ms; checks before this belong to an earlier shift
   }
 
   init() {
@@ -22,6 +39,9 @@ class Calibration {
         audioEngine.setCalibration(this.offset);
         this.saveCalibration();
       });
+
+      // Log the adjustment once the slider is released
+      slider.addEventListener('change', () => this.logManualChange());
     }
 
     if (resetBtn) {
@@ -31,6 +51,7 @@ class Calibration {
         valueDisplay.textContent = '0 dB';
         audioEngine.setCalibration(0);
         this.saveCalibration();
+        this.logManualChange();
       });
     }
 
@@ -38,12 +59,51 @@ class Calibration {
       wizardBtn.addEventListener('click', () => this.startWizard());
     }
 
+    // Input device and its calibration profile
+    audioEngine.onDeviceChange = (device) => this.applyDevice(device);
+
+    document.getElementById('audioInputSelect')?.addEventListener('change', (e) => this.selectDevice(e.target.value || null));
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceListChange());
+    }
+
+    // Multi-point calibration curve
+    document.getElementById('addCalibrationPointBtn')?.addEventListener('click', () => {
+      const reference = parseFloat(document.getElementById('calibrationReferenceInput').value);
+      this.recordPoint(reference);
+    });
+
+    document.getElementById('calibrationPoints')?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.calibration-point-remove');
+      if (removeBtn) this.removePoint(parseInt(removeBtn.dataset.index));
+    });
+
+    document.getElementById('calibrationFitSelect')?.addEventListener('change', (e) => {
+      audioEngine.calibrationCurve.setFit(e.target.value);
+      this.saveCurve();
+    });
+
+    document.getElementById('calibrationReminderSelect')?.addEventListener('change', (e) => {
+      this.reminderInterval = e.target.value;
+      storageEngine.saveSetting('calibrationReminder', this.reminderInterval);
+      this.updateDueText();
+    });
+
+    document.getElementById('clearCalibrationPointsBtn')?.addEventListener('click', () => {
+      if (audioEngine.calibrationCurve.points.length > 0 && confirm('Remove all calibration points?')) {
+        audioEngine.calibrationCurve.setPoints([]);
+        this.saveCurve();
+      }
+    });
+
     this.loadCalibration();
   }
 
   startWizard() {
     const modal = document.getElementById('calibrationModal');
     const content = document.getElementById('calibrationWizardContent');
+    const { referenceLevels, toneFrequency, averageSeconds } = CONFIG.CALIBRATION.calibrator;
 
     content.innerHTML = `
       <div style="padding: 30px; max-width: 600px; margin: 0 auto;">
@@ -55,73 +115,251 @@ class Calibration {
         </div>
 
         <div style="text-align: left; margin-bottom: 30px;">
-          <h3 style="margin-bottom: 15px;">How to Calibrate:</h3>
-
-          <div style="margin-bottom: 20px; padding: 15px; background: rgba(255,255,255,0.05); border-radius: 8px;">
-            <strong>Method 1: Use Reference Sound Level Meter</strong>
-            <ol style="margin: 10px 0 0 20px; line-height: 1.8;">
-              <li>Place both devices in the same location</li>
-              <li>Play a steady sound source</li>
-              <li>Note the dB reading on reference meter</li>
-              <li>Adjust calibration slider below to match</li>
-            </ol>
-          </div>
+          <h3 style="margin-bottom: 15px;">Acoustic Calibrator:</h3>
+          <ol style="margin: 0 0 20px 20px; line-height: 1.8;">
+            <li>Fit the calibrator snugly over the microphone</li>
+            <li>Select the calibrator's level and switch it on</li>
+            <li>Press Capture and keep everything still for ${averageSeconds} seconds</li>
+          </ol>
+          <p style="margin-bottom: 20px; opacity: 0.8;">Field Check reads the calibrator with the current calibration and logs the result without changing it — run one before and after each shift.</p>
 
-          <div style="margin-bottom: 20px; padding: 15px; background: rgba(255,255,255,0.05); border-radius: 8px;">
-            <strong>Method 2: Use Online Calibration Tone</strong>
-            <ol style="margin: 10px 0 0 20px; line-height: 1.8;">
-              <li>Search "1kHz tone 94 dB calibration" on YouTube</li>
-              <li>Play tone at comfortable volume (not max!)</li>
-              <li>Hold phone/device at arm's length from speaker</li>
-              <li>If app shows ~74 dB, add +20 dB calibration</li>
-              <li>Fine-tune slider until reading shows ~94 dB</li>
-            </ol>
+          <div class="preset-buttons" id="wizardReferenceButtons">
+            ${referenceLevels.map((level, i) => `<button class="preset-btn${i === 0 ? ' active' : ''}" data-reference="${level}">${level} dB</button>`).join('')}
           </div>
 
-          <div style="padding: 15px; background: rgba(245, 158, 11, 0.1); border-radius: 8px; border-left: 4px solid #f59e0b;">
-            <strong>⚠️ Important Notes:</strong>
-            <ul style="margin: 10px 0 0 20px; line-height: 1.8;">
-              <li>Device microphones vary widely in sensitivity</li>
-              <li>Calibration makes measurements more accurate</li>
-              <li>Re-calibrate if you notice consistently wrong readings</li>
-              <li>Pocket mode adds its own correction automatically</li>
-            </ul>
+          <div style="padding: 15px; background: rgba(255,255,255,0.05); border-radius: 8px;">
+            <div id="wizardStatus">Waiting for a steady ${toneFrequency} Hz tone</div>
+            <div style="height: 6px; margin-top: 10px; background: rgba(255,255,255,0.1); border-radius: 3px; overflow: hidden;">
+              <div id="wizardProgress" style="height: 100%; width: 0%; background: #10b981; transition: width 0.3s;"></div>
+            </div>
           </div>
         </div>
 
-        <div style="margin-bottom: 20px;">
-          <label style="display: block; margin-bottom: 10px; font-weight: 600;">Quick Calibration Adjustment:</label>
-          <div style="display: flex; align-items: center; gap: 15px;">
-            <button class="btn-secondary" onclick="calibration.quickAdjust(-5)" style="flex: 1;">-5 dB</button>
-            <button class="btn-secondary" onclick="calibration.quickAdjust(-1)" style="flex: 1;">-1 dB</button>
-            <button class="btn-primary" onclick="calibration.quickAdjust(0)" style="flex: 1;">Reset</button>
-            <button class="btn-secondary" onclick="calibration.quickAdjust(+1)" style="flex: 1;">+1 dB</button>
-            <button class="btn-secondary" onclick="calibration.quickAdjust(+5)" style="flex: 1;">+5 dB</button>
-          </div>
-          <div style="text-align: center; margin-top: 10px; opacity: 0.7; font-size: 14px;">
-            Current offset: <strong id="wizardOffset">0</strong> dB
-          </div>
+        <div style="display: flex; gap: 15px; margin-top: 30px;">
+          <button class="btn-secondary" id="wizardCaptureBtn" style="flex: 1;">Capture</button>
+          <button class="btn-secondary" id="wizardCheckBtn" style="flex: 1;">Field Check</button>
+          <button class="btn-primary" onclick="calibration.closeWizard()" style="flex: 1;">Done</button>
         </div>
 
-        <div style="text-align: center; margin-top: 30px;">
-          <button class="btn-primary" onclick="calibration.closeWizard()" style="padding: 12px 40px;">
-            Done
-          </button>
+        <div style="text-align: center; margin-top: 15px; opacity: 0.7; font-size: 14px;">
+          Current offset: <strong id="wizardOffset">0</strong> dB · No calibrator? Use multi-point calibration against a reference meter in Settings.
         </div>
       </div>
     `;
 
+    this.reference = referenceLevels[0];
+    content.querySelectorAll('#wizardReferenceButtons .preset-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        content.querySelectorAll('#wizardReferenceButtons .preset-btn').forEach(b => b.classList.remove('active'));
+        e.target.classList.add('active');
+        this.reference = parseFloat(e.target.dataset.reference);
+      });
+    });
+    document.getElementById('wizardCaptureBtn').addEventListener('click', () => this.startCapture(this.reference));
+    document.getElementById('wizardCheckBtn').addEventListener('click', () => this.startCapture(this.reference, 'check'));
+
     modal.classList.remove('hidden');
 
     // Update reading and offset in wizard
     this.wizardInterval = setInterval(() => {
       const reading = document.getElementById('wizardReading');
       const offset = document.getElementById('wizardOffset');
-      if (reading) reading.textContent = Math.round(audioEngine.currentLevel);
+      if (reading) reading.textContent = audioEngine.isActive ? Math.round(audioEngine.currentLevel) : '--';
       if (offset) offset.textContent = this.offset > 0 ? `+${this.offset}` : this.offset;
     }, 100);
   }
 
+  /**
+   * Frequency of the strongest FFT bin (parabolic interpolation) and the share
+   * of spectrum power within the 1/3 octave around the calibrator frequency
+   */
+  static analyzeTone(frequencyData, sampleRate) {
+    const { toneFrequency } = CONFIG.CALIBRATION.calibrator;
+    const binWidth = sampleRate / (2 * frequencyData.length);
+    const lower = toneFrequency / Math.pow(2, 1 / 6);
+    const upper = toneFrequency * Math.pow(2, 1 / 6);
+
+    let peakBin = 1;
+    let totalPower = 0;
+    let tonePower = 0;
+    for (let i = 1; i < frequencyData.length; i++) {
+      const power = Math.pow(10, frequencyData[i] / 10);
+      totalPower += power;
+      if (i * binWidth >= lower && i * binWidth <= upper) tonePower += power;
+      if (frequencyData[i] > frequencyData[peakBin]) peakBin = i;
+    }
+
+    let offset = 0;
+    if (peakBin > 1 && peakBin < frequencyData.length - 1) {
+      const [a, b, c] = [frequencyData[peakBin - 1], frequencyData[peakBin], frequencyData[peakBin + 1]];
+      const curvature = a - 2 * b + c;
+      if (curvature < 0) offset = 0.5 * (a - c) / curvature;
+    }
+
+    return {
+      frequency: (peakBin + offset) * binWidth,
+      toneRatio: totalPower > 0 ? tonePower / totalPower : 0
+    };
+  }
+
+  /**
+   * Guided capture: wait for a steady tone near 1 kHz, average it, then set
+   * the offset that makes the average read the calibrator level. A 'check'
+   * only logs how far the current calibration reads off. Seconds are taken
+   * from the dose while capturing, since the calibrator is on the mic
+   */
+  async startCapture(reference, mode = 'calibrate') {
+    if (this.capture || eqCorrection.capture || pocketProfiles.capture) return;
+    if (audioEngine.inPocketMode) {
+      this.setCaptureStatus('📱 Turn pocket mode off before calibrating');
+      return;
+    }
+
+    try {
+      if (!audioEngine.audioContext) await audioEngine.initialize();
+    } catch (error) {
+      this.setCaptureStatus('❌ Microphone access required');
+      return;
+    }
+
+    this.capture = {
+      reference,
+      mode,
+      startedByCapture: !audioEngine.isActive,
+      previousCallback: audioEngine.onSecondUpdate,
+      seconds: [],
+      waited: 0
+    };
+    if (this.capture.startedByCapture) audioEngine.start();
+    audioEngine.onSecondUpdate = (second) => this.handleCaptureSecond(second);
+
+    this.setCaptureButtons(true);
+    this.setCaptureStatus(`Listening for the ${CONFIG.CALIBRATION.calibrator.toneFrequency} Hz tone...`, 0);
+    debugLog('Calibration', 'Capture started at', reference, 'dB');
+  }
+
+  handleCaptureSecond(second) {
+    const capture = this.capture;
+    const { toneFrequency, frequencyTolerance, minToneRatio, stabilityTolerance, averageSeconds, timeout } = CONFIG.CALIBRATION.calibrator;
+    const dbfs = second.dbfs[second.weighting];
+    const tone = Calibration.analyzeTone(audioEngine.getFrequencyData(), audioEngine.audioContext.sampleRate);
+    const previous = capture.seconds[capture.seconds.length - 1];
+
+    let problem = null;
+    if (Math.abs(tone.frequency - toneFrequency) > frequencyTolerance) {
+      problem = `Tone at ${Math.round(tone.frequency)} Hz, expected ${toneFrequency} Hz`;
+    } else if (tone.toneRatio < minToneRatio) {
+      problem = 'Too much background noise around the tone';
+    } else if (previous && Math.abs(dbfs - previous.dbfs) > stabilityTolerance) {
+      problem = 'Level not steady — check the calibrator fit';
+    }
+
+    if (problem) {
+      // Start averaging again once the tone is good
+      capture.waited += capture.seconds.length + 1;
+      capture.seconds = [];
+      if (capture.waited >= timeout) {
+        this.finishCapture(`❌ ${problem}. Capture cancelled.`);
+      } else {
+        this.setCaptureStatus(`⚠️ ${problem}`, 0);
+      }
+      return;
+    }
+
+    capture.seconds.push({ dbfs, peakDbfs: Math.max(...Object.values(second.peakDbfs)), frequency: tone.frequency });
+    this.setCaptureStatus(`Averaging... ${capture.seconds.length} / ${averageSeconds} s`, capture.seconds.length / averageSeconds);
+    if (capture.seconds.length >= averageSeconds) this.completeCapture();
+  }
+
+  completeCapture() {
+    const { reference, seconds, mode } = this.capture;
+    const { minOffset, maxOffset } = CONFIG.CALIBRATION;
+
+    const energy = seconds.reduce((sum, second) => sum + Math.pow(10, second.dbfs / 10), 0);
+    const measuredDbfs = 10 * Math.log10(energy / seconds.length);
+    const frequency = seconds.reduce((sum, second) => sum + second.frequency, 0) / seconds.length;
+
+    // Past the top of the dBFS → SPL map, or clipped, the reading says nothing about the level
+    const clipped = seconds.some(second => second.peakDbfs >= CONFIG.CALIBRATION.calibrator.clipDbfs);
+    if (clipped || measuredDbfs >= CONFIG.AUDIO.maxDBFS) {
+      this.finishCapture(`❌ Input too loud (${measuredDbfs.toFixed(1)} dBFS${clipped ? ', clipping' : ''}). Use the 94 dB setting or lower the input gain.`);
+      return;
+    }
+
+    // Reading with the calibration in use before this capture
+    const measuredLevel = audioEngine.convertToSPL(measuredDbfs) + this.offset;
+    const drift = measuredLevel - reference;
+
+    if (mode === 'check') {
+      const entry = this.logCalibration({ method: 'check', reference, measuredDbfs, measuredLevel, frequency, offset: this.offset, previousOffset: this.offset, drift });
+      const reading = `reads ${measuredLevel.toFixed(1)} dB (${drift >= 0 ? '+' : ''}${drift.toFixed(1)} dB)`;
+      this.finishCapture(entry.flagged ? `⚠️ Check failed: ${reading}. Recalibrate before measuring.` : `✅ Check passed: ${reading}`, 1);
+      haptics.vibrate('medium');
+      return;
+    }
+
+    const offset = Math.round((reference - audioEngine.convertToSPL(measuredDbfs)) * 10) / 10;
+
+    if (offset < minOffset || offset > maxOffset) {
+      this.finishCapture(`❌ Needed ${offset > 0 ? '+' : ''}${offset} dB, outside ${minOffset}…+${maxOffset} dB. Check the calibrator level and fit.`);
+      return;
+    }
+
+    const previousOffset = this.offset;
+    this.offset = offset;
+    audioEngine.setCalibration(offset);
+
+    const slider = document.getElementById('calibrationSlider');
+    const valueDisplay = document.getElementById('calibrationValue');
+    if (slider) slider.value = offset;
+    if (valueDisplay) valueDisplay.textContent = `${offset} dB`;
+
+    this.lastCalibration = {
+      method: 'calibrator',
+      timestamp: Date.now(),
+      reference,
+      measuredDbfs,
+      frequency,
+      offset,
+      device: this.device ? { key: this.device.key, label: this.device.label } : null
+    };
+    this.saveCalibration();
+    this.logCalibration({ method: 'calibrator', reference, measuredDbfs, measuredLevel, frequency, offset, previousOffset, drift });
+
+    this.finishCapture(`✅ Calibrated: ${offset > 0 ? '+' : ''}${offset} dB at ${reference} dB (${Math.round(frequency)} Hz)`, 1);
+    haptics.vibrate('medium');
+    debugLog('Calibration', 'Capture complete:', this.lastCalibration);
+  }
+
+  /**
+   * Hand the per-second stream back and stop the engine if the capture started it
+   */
+  finishCapture(message, progress = 0) {
+    const capture = this.capture;
+    if (!capture) return;
+
+    audioEngine.onSecondUpdate = capture.previousCallback;
+    if (capture.startedByCapture) audioEngine.stop();
+    this.capture = null;
+
+    this.setCaptureButtons(false);
+    if (message) this.setCaptureStatus(message, progress);
+  }
+
+  setCaptureButtons(disabled) {
+    ['wizardCaptureBtn', 'wizardCheckBtn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = disabled;
+    });
+  }
+
+  setCaptureStatus(message, progress = null) {
+    const status = document.getElementById('wizardStatus');
+    const bar = document.getElementById('wizardProgress');
+    if (status) status.textContent = message;
+    if (bar && progress !== null) bar.style.width = `${Math.round(progress * 100)}%`;
+  }
+
   quickAdjust(delta) {
     const slider = document.getElementById('calibrationSlider');
     const valueDisplay = document.getElementById('calibrationValue');
@@ -140,38 +378,414 @@ class Calibration {
     haptics.vibrate('light');
   }
 
+  /**
+   * Pair the last second's uncalibrated Leq with a reference meter reading
+   * The curve replaces the single offset, so the manual offset is reset
+   */
+  recordPoint(reference) {
+    const second = audioEngine.lastSecond;
+    if (!audioEngine.isActive || !second) {
+      app.showToast('🎤 Start monitoring to record a calibration point');
+      return;
+    }
+    if (!isFinite(reference)) {
+      app.showToast('❌ Enter the reference level in dB');
+      return;
+    }
+    if (audioEngine.inPocketMode) {
+      app.showToast('📱 Take the phone out of your pocket to calibrate');
+      return;
+    }
+
+    const dbfs = second.dbfs[second.weighting];
+    const measuredLevel = audioEngine.convertToSPL(dbfs) + this.offset;
+    const previousOffset = this.offset;
+    if (!audioEngine.calibrationCurve.addPoint(dbfs, reference)) {
+      app.showToast(`❌ At most ${CONFIG.CALIBRATION.curve.maxPoints} calibration points`);
+      return;
+    }
+
+    if (this.offset !== 0) this.quickAdjust(0);
+    this.saveCurve();
+    // How far the old map read is the non-linearity the curve corrects, not drift
+    this.logCalibration({ method: 'point', reference, measuredDbfs: dbfs, measuredLevel, offset: this.offset, previousOffset });
+    app.showToast(`🎯 Point recorded: ${dbfs.toFixed(1)} dBFS → ${reference} dB`);
+    haptics.vibrate('light');
+  }
+
+  removePoint(index) {
+    audioEngine.calibrationCurve.removePoint(index);
+    this.saveCurve();
+  }
+
+  renderPoints() {
+    const container = document.getElementById('calibrationPoints');
+    const fitSelect = document.getElementById('calibrationFitSelect');
+    const curve = audioEngine.calibrationCurve;
+
+    if (fitSelect) fitSelect.value = curve.fit;
+    if (!container) return;
+
+    container.innerHTML = curve.points.map((point, i) => `
+      <div class="calibration-point">
+        <span>${point.spl.toFixed(1)} dB ← ${point.dbfs.toFixed(1)} dBFS</span>
+        <span>${curve.coefficients ? `${(curve.toSPL(point.dbfs) - point.spl).toFixed(1)} dB` : ''}</span>
+        <button class="calibration-point-remove" data-index="${i}" aria-label="Remove point">✕</button>
+      </div>
+    `).join('');
+  }
+
+  async saveCurve() {
+    await this.saveProfile();
+    this.renderPoints();
+    this.updateStatus();
+  }
+
+  updateStatus() {
+    const status = document.getElementById('calibrationStatus');
+    const points = audioEngine.calibrationCurve.points.length;
+    const offset = `${this.offset > 0 ? '+' : ''}${this.offset} dB`;
+
+    const device = this.device && this.device.label ? `${this.device.label}: ` : '';
+
+    this.isCalibrated = points > 0 || this.offset !== 0;
+    if (!status) return;
+
+    const eq = audioEngine.frequencyResponse.length > 0 ? ' · EQ corrected' : '';
+    if (points > 0) {
+      status.textContent = `${device}Calibrated (${points}-point curve${this.offset !== 0 ? `, ${offset}` : ''})${eq}`;
+    } else {
+      status.textContent = `${device}${this.offset !== 0 ? `Calibrated (${offset})` : 'Not calibrated'}${eq}`;
+    }
+  }
+
+  /**
+   * Append a calibration or field check to the log. A calibrator or check
+   * reading more than CONFIG.CALIBRATION.history.jumpThreshold dB off, when
+   * the device has been checked before, is flagged
+   */
+  logCalibration(entry) {
+    const time = new Date();
+    const checked = ['calibrator', 'check'].includes(entry.method) && this.getLastCheck() !== null;
+    const event = {
+      type: 'calibration',
+      timestamp: time.getTime(),
+      date: time.toISOString().split('T')[0],
+      datetime: time.toISOString(),
+      device: this.device ? { key: this.device.key, label: this.device.label } : null,
+      ...entry,
+      flagged: checked && Math.abs(entry.drift || 0) > CONFIG.CALIBRATION.history.jumpThreshold
+    };
+
+    this.history.push(event);
+    storageEngine.saveEvent(event).catch(error => console.error('Failed to save calibration event:', error));
+
+    if (event.flagged) {
+      app.showToast(`⚠️ Calibration shifted ${Math.abs(event.drift).toFixed(1)} dB — check the microphone`);
+    }
+    debugLog('Calibration', 'Logged', event.method, event);
+
+    this.renderHistory();
+    this.updateDueText();
+    return event;
+  }
+
+  /**
+   * Log a slider or reset change against the last logged offset
+   */
+  logManualChange() {
+    const logged = this.getDeviceHistory();
+    const previousOffset = logged.length > 0 ? logged[logged.length - 1].offset : 0;
+    if (this.offset === previousOffset) return;
+    this.logCalibration({ method: 'manual', offset: this.offset, previousOffset, drift: previousOffset - this.offset });
+  }
+
+  /**
+   * Logged entries for the active device, oldest first
+   */
+  getDeviceHistory() {
+    const key = this.device ? this.device.key : null;
+    return this.history.filter(entry => !key || !entry.device || entry.device.key === key);
+  }
+
+  /**
+   * Calibrator and check entries for the active device, oldest first
+   */
+  getDeviceChecks() {
+    return this.getDeviceHistory().filter(entry => entry.method === 'check' || entry.method === 'calibrator');
+  }
+
+  getLastCheck() {
+    const checks = this.getDeviceChecks();
+    return checks.length > 0 ? checks[checks.length - 1] : null;
+  }
+
+  renderHistory() {
+    const list = document.getElementById('calibrationHistoryList');
+    const chart = document.getElementById('calibrationDriftChart');
+    const history = this.getDeviceHistory();
+    const methods = { calibrator: 'Calibrator', check: 'Field check', point: 'Curve point', manual: 'Manual' };
+    const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+
+    if (list) {
+      list.innerHTML = history.slice(-CONFIG.CALIBRATION.history.displayCount).reverse().map(entry => `
+        <div class="calibration-entry${entry.flagged ? ' flagged' : ''}">
+          <span>${new Date(entry.timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} · ${methods[entry.method] || entry.method}</span>
+          <span>${entry.reference ? `${entry.reference} → ${entry.measuredLevel.toFixed(1)} dB` : ''}${entry.reference && typeof entry.drift === 'number' ? ' · ' : ''}${typeof entry.drift === 'number' ? `Δ ${signed(entry.drift)}` : ''}</span>
+        </div>
+      `).join('') || '<p class="settings-description">No calibrations logged yet</p>';
+    }
+
+    // How far each calibrator or check read off its reference before
+    // adjusting; flagged entries in red
+    if (!chart) return;
+    const checks = this.getDeviceChecks().filter(entry => typeof entry.drift === 'number');
+    chart.classList.toggle('hidden', checks.length < 2);
+    if (checks.length < 2) return;
+
+    const drifts = checks.map(entry => entry.drift);
+    const first = checks[0].timestamp;
+    const span = Math.max(1, checks[checks.length - 1].timestamp - first);
+    const min = Math.min(0, ...drifts) - 1;
+    const range = Math.max(0, ...drifts) + 1 - min;
+    const point = (entry) => [
+      5 + ((entry.timestamp - first) / span) * 290,
+      55 - ((entry.drift - min) / range) * 50
+    ];
+
+    chart.innerHTML = `
+      <polyline points="${checks.map(entry => point(entry).join(',')).join(' ')}" fill="none" stroke="#3b82f6" stroke-width="2"/>
+      ${checks.map(entry => {
+        const [x, y] = point(entry);
+        return `<circle cx="${x}" cy="${y}" r="3" fill="${entry.flagged ? '#ef4444' : '#10b981'}"/>`;
+      }).join('')}
+    `;
+  }
+
+  /**
+   * Whether a field check is due under the reminder setting
+   * Per shift: due unless checked since monitoring last stopped
+   */
+  isCheckDue(now = Date.now()) {
+    const interval = CONFIG.CALIBRATION.reminders.intervals[this.reminderInterval];
+    if (interval === null || interval === undefined) return false;
+
+    const lastCheck = this.getLastCheck();
+    if (!lastCheck) return true;
+    if (interval === 0) return this.lastShiftEnd !== null && lastCheck.timestamp < this.lastShiftEnd;
+    return now - lastCheck.timestamp >= interval;
+  }
+
+  updateDueText() {
+    const select = document.getElementById('calibrationReminderSelect');
+    const text = document.getElementById('calibrationDueText');
+    if (select) select.value = this.reminderInterval;
+    if (!text) return;
+
+    const lastCheck = this.getLastCheck();
+    const last = lastCheck
+      ? `Last check ${new Date(lastCheck.timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`
+      : 'No calibrator check yet';
+    const due = this.isCheckDue();
+    text.textContent = due ? `⚠️ ${last} — check due` : last;
+    text.classList.toggle('due', due);
+  }
+
+  /**
+   * Pre-shift reminder, shown when monitoring starts
+   */
+  remindIfDue() {
+    if (this.isCheckDue()) {
+      app.showToast('🎯 Calibration check due — run a field check with your calibrator', 5000);
+    }
+  }
+
+  /**
+   * Monitoring stopped: the shift is over, so ask for the post-shift check
+   */
+  handleShiftEnd() {
+    this.lastShiftEnd = Date.now();
+    storageEngine.saveSetting('lastShiftEnd', this.lastShiftEnd);
+    if (this.reminderInterval === 'shift') {
+      app.showToast('🎯 Post-shift check: read your calibrator before packing up', 5000);
+    }
+    this.updateDueText();
+  }
+
+  async loadHistory() {
+    try {
+      this.history = await storageEngine.getEvents('calibration');
+    } catch (error) {
+      console.error('Failed to load calibration history:', error);
+      this.history = [];
+    }
+    this.renderHistory();
+    this.updateDueText();
+  }
+
   closeWizard() {
     const modal = document.getElementById('calibrationModal');
     modal.classList.add('hidden');
+    this.finishCapture();
     if (this.wizardInterval) clearInterval(this.wizardInterval);
   }
 
   async saveCalibration() {
-    await storageEngine.saveSetting('calibrationOffset', this.offset);
-    this.isCalibrated = true;
-    const status = document.getElementById('calibrationStatus');
-    if (status) status.textContent = `Calibrated (${this.offset > 0 ? '+' : ''}${this.offset} dB)`;
+    await this.saveProfile();
+    this.updateStatus();
   }
 
-  async loadCalibration() {
+  /**
+   * Store the active offset, curve and EQ correction as the current device's profile
+   */
+  async saveProfile() {
+    const key = this.device ? this.device.key : 'default';
+    const { points, fit } = audioEngine.calibrationCurve.toJSON();
+
+    this.profiles[key] = {
+      label: this.device ? this.device.label : '',
+      offset: this.offset,
+      curve: { points, fit },
+      frequencyResponse: audioEngine.frequencyResponse,
+      lastCalibration: this.lastCalibration,
+      updated: Date.now()
+    };
+    await storageEngine.saveSetting('calibrationProfiles', this.profiles);
+  }
+
+  /**
+   * Load the calibration profile of a device into the audio engine
+   */
+  applyProfile(profile) {
+    const offset = profile ? profile.offset : 0;
+    this.lastCalibration = profile ? profile.lastCalibration || null : null;
+    this.offset = (typeof offset === 'number' && isFinite(offset)) ? offset : 0;
+    audioEngine.setCalibration(this.offset);
+
+    const curve = profile && profile.curve;
+    audioEngine.setCalibrationCurve(curve && Array.isArray(curve.points) ? curve.points : [], curve ? curve.fit : undefined);
+    audioEngine.setFrequencyResponse(profile && Array.isArray(profile.frequencyResponse) ? profile.frequencyResponse : []);
+
+    const slider = document.getElementById('calibrationSlider');
+    const valueDisplay = document.getElementById('calibrationValue');
+
+    if (slider) slider.value = this.offset;
+    if (valueDisplay) valueDisplay.textContent = `${this.offset} dB`;
+
+    this.renderPoints();
+    this.updateStatus();
+    eqCorrection.render();
+  }
+
+  /**
+   * Active input changed (initialize, selection or unplugged device)
+   */
+  applyDevice(device) {
+    const changed = !this.device || this.device.key !== device.key;
+    this.device = device;
+
+    // Calibration from before per-device profiles belongs to the first device used
+    if (!this.profiles[device.key] && this.profiles[LEGACY_CALIBRATION_PROFILE]) {
+      this.profiles[device.key] = { ...this.profiles[LEGACY_CALIBRATION_PROFILE], label: device.label };
+      delete this.profiles[LEGACY_CALIBRATION_PROFILE];
+      storageEngine.saveSetting('calibrationProfiles', this.profiles);
+    }
+
+    this.applyProfile(this.profiles[device.key]);
+    this.renderHistory();
+    this.updateDueText();
+    storageEngine.saveSetting('lastInputDevice', device);
+    this.refreshDevices();
+
+    if (changed) {
+      const name = device.label || 'Microphone';
+      app.showToast(this.isCalibrated ? `🎯 ${name}: calibration applied` : `🎤 ${name}: not calibrated`);
+      debugLog('Calibration', 'Profile for', device.key, this.profiles[device.key] ? 'applied' : 'not found');
+    }
+  }
+
+  async selectDevice(deviceId) {
+    this.preferredDeviceId = deviceId;
+    await storageEngine.saveSetting('audioInputDevice', deviceId);
+
     try {
-      const savedOffset = await storageEngine.getSetting('calibrationOffset', 0);
-      // Ensure it's a valid number
-      this.offset = (typeof savedOffset === 'number' && isFinite(savedOffset)) ? savedOffset : 0;
+      await audioEngine.switchDevice(deviceId);
+    } catch (error) {
+      console.error('Failed to switch input device:', error);
+      app.showToast('❌ Could not open that input device');
+    }
+  }
+
+  /**
+   * Fill the input select; labels appear once microphone access is granted
+   */
+  async refreshDevices() {
+    const select = document.getElementById('audioInputSelect');
+    if (!select) return [];
+
+    try {
+      const devices = await AudioEngine.getInputDevices();
+      // Browser aliases duplicate real devices; "Default microphone" covers them
+      const inputs = devices.filter(device => !['default', 'communications'].includes(device.deviceId));
+
+      select.innerHTML = '<option value="">Default microphone</option>' + inputs.map((device, i) => {
+        const calibrated = this.profiles[device.key] ? ' 🎯' : '';
+        return `<option value="${device.deviceId}">${device.label || `Microphone ${i + 1}`}${calibrated}</option>`;
+      }).join('');
+      select.value = inputs.some(device => device.deviceId === this.preferredDeviceId) ? this.preferredDeviceId : '';
+      return inputs;
+    } catch (error) {
+      console.error('Failed to list input devices:', error);
+      return [];
+    }
+  }
 
-      audioEngine.setCalibration(this.offset);
+  /**
+   * Device plugged in or removed: switch back to the chosen input when it returns
+   */
+  async handleDeviceListChange() {
+    const inputs = await this.refreshDevices();
+    const current = audioEngine.device;
 
-      const slider = document.getElementById('calibrationSlider');
-      const valueDisplay = document.getElementById('calibrationValue');
+    if (audioEngine.audioContext && this.preferredDeviceId && current &&
+        current.deviceId !== this.preferredDeviceId &&
+        inputs.some(device => device.deviceId === this.preferredDeviceId)) {
+      try {
+        await audioEngine.switchDevice(this.preferredDeviceId);
+      } catch (error) {
+        console.error('Failed to switch back to the chosen input:', error);
+      }
+    }
+  }
 
-      if (slider) slider.value = this.offset;
-      if (valueDisplay) valueDisplay.textContent = `${this.offset} dB`;
+  async loadCalibration() {
+    try {
+      this.profiles = await storageEngine.getSetting('calibrationProfiles', null) ?? {};
 
-      if (this.offset !== 0) {
-        this.isCalibrated = true;
-        const status = document.getElementById('calibrationStatus');
-        if (status) status.textContent = `Calibrated (${this.offset > 0 ? '+' : ''}${this.offset} dB)`;
+      // Single offset/curve settings from before per-device profiles
+      if (Object.keys(this.profiles).length === 0) {
+        const savedOffset = await storageEngine.getSetting('calibrationOffset', 0);
+        const savedCurve = await storageEngine.getSetting('calibrationCurve', null);
+        if (savedOffset || (savedCurve && savedCurve.points && savedCurve.points.length > 0)) {
+          this.profiles[LEGACY_CALIBRATION_PROFILE] = { label: '', offset: savedOffset || 0, curve: savedCurve, updated: Date.now() };
+        }
       }
+
+      this.reminderInterval = await storageEngine.getSetting('calibrationReminder', CONFIG.CALIBRATION.reminders.defaultInterval) ?? CONFIG.CALIBRATION.reminders.defaultInterval;
+      this.lastShiftEnd = await storageEngine.getSetting('lastShiftEnd', null) ?? null;
+      this.preferredDeviceId = await storageEngine.getSetting('audioInputDevice', null) ?? null;
+      audioEngine.deviceId = this.preferredDeviceId;
+
+      // Until the microphone opens, assume the device used last time
+      const lastDevice = await storageEngine.getSetting('lastInputDevice', null);
+      if (!audioEngine.device) {
+        const key = lastDevice ? lastDevice.key : LEGACY_CALIBRATION_PROFILE;
+        this.device = lastDevice;
+        this.applyProfile(this.profiles[key] || this.profiles[LEGACY_CALIBRATION_PROFILE]);
+      }
+
+      this.refreshDevices();
+      await this.loadHistory();
     } catch (error) {
       console.error('Error loading calibration:', error);
       this.offset = 0;
@@ -0,0 +1,234 @@
+/**
+ * EQ Correction - Microphone frequency-response correction files
+ * Import/export a "frequency,dB" correction for the active input device, or
+ * derive one by playing pink noise and comparing this microphone's 1/3 octave
+ * spectrum with a reference mic's (captured here or loaded from a CSV)
+ */
+
+class EqCorrection {
+  constructor() {
+    this.reference = null;  // { bands: [{ nominal, level }], source }
+    this.capture = null;    // Pink-noise capture in progress
+  }
+
+  init() {
+    const fileInput = document.getElementById('eqFileInput');
+    const referenceInput = document.getElementById('eqReferenceFileInput');
+
+    document.getElementById('eqImportBtn')?.addEventListener('click', () => fileInput && fileInput.click());
+    fileInput?.addEventListener('change', (e) => this.importFile(e));
+    document.getElementById('eqExportBtn')?.addEventListener('click', () => this.exportFile());
+    document.getElementById('eqClearBtn')?.addEventListener('click', () => {
+      if (audioEngine.frequencyResponse.length > 0 && confirm('Remove the EQ correction for this microphone?')) {
+        this.apply([]);
+      }
+    });
+
+    document.getElementById('eqReferenceCaptureBtn')?.addEventListener('click', () => this.startCapture('reference'));
+    document.getElementById('eqReferenceImportBtn')?.addEventListener('click', () => referenceInput && referenceInput.click());
+    referenceInput?.addEventListener('change', (e) => this.importReference(e));
+    document.getElementById('eqDeviceCaptureBtn')?.addEventListener('click', () => this.startCapture('device'));
+
+    this.render();
+  }
+
+  /**
+   * Use a correction for the active device and save it in its calibration profile
+   */
+  async apply(points, message = null) {
+    audioEngine.setFrequencyResponse(points);
+    await calibration.saveCalibration();
+    this.render();
+    if (message) app.showToast(message);
+  }
+
+  async importFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const points = FrequencyResponse.parseCSV(await file.text());
+    if (points.length === 0) {
+      app.showToast('❌ No frequency,dB rows found in that file');
+      return;
+    }
+    await this.apply(points, `🎚️ EQ correction loaded: ${points.length} points`);
+  }
+
+  exportFile() {
+    const points = audioEngine.frequencyResponse;
+    if (points.length === 0) {
+      app.showToast('No EQ correction to export');
+      return;
+    }
+
+    const blob = new Blob([FrequencyResponse.toCSV(points)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const name = (calibration.device && calibration.device.label ? calibration.device.label : 'microphone')
+      .replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `eq-correction-${name}.csv`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Reference mic band levels from a "frequency,dB" CSV; frequencies are
+   * matched to the nearest nominal 1/3 octave band
+   */
+  async importReference(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const nominals = CONFIG.SPECTRUM.thirdOctaveBands;
+    const bands = FrequencyResponse.parseCSV(await file.text()).map(({ frequency, gain }) => {
+      const nominal = nominals.reduce((best, band) => (
+        Math.abs(Math.log(band / frequency)) < Math.abs(Math.log(best / frequency)) ? band : best
+      ));
+      // Within 1/6 octave of the band centre
+      return Math.abs(Math.log2(nominal / frequency)) <= 1 / 6 ? { nominal, level: gain } : null;
+    }).filter(Boolean);
+
+    if (bands.length === 0) {
+      app.showToast('❌ No 1/3 octave band levels found in that file');
+      return;
+    }
+    this.reference = { bands, source: file.name };
+    this.render();
+    app.showToast(`📄 Reference loaded: ${bands.length} bands`);
+  }
+
+  /**
+   * Average the 1/3 octave spectrum of pink noise for
+   * CONFIG.CALIBRATION.frequencyResponse.captureSeconds. The 'device' capture
+   * runs with the current correction switched off, to measure the bare mic
+   */
+  async startCapture(target) {
+    if (this.capture || calibration.capture || pocketProfiles.capture) return;
+    if (target === 'device' && !this.reference) {
+      app.showToast('Capture or load the reference mic spectrum first');
+      return;
+    }
+
+    try {
+      if (!audioEngine.audioContext) await audioEngine.initialize();
+    } catch (error) {
+      app.showToast('❌ Microphone access required');
+      return;
+    }
+
+    this.capture = {
+      target,
+      analyzer: new SpectrumAnalyzer(),
+      seconds: 0,
+      startedByCapture: !audioEngine.isActive,
+      previousCallback: audioEngine.onSecondUpdate,
+      previousResponse: audioEngine.frequencyResponse
+    };
+    if (target === 'device') audioEngine.setFrequencyResponse([]);
+    if (this.capture.startedByCapture) audioEngine.start();
+    audioEngine.onSecondUpdate = (second) => this.handleCaptureSecond(second);
+
+    this.setStatus(`Play pink noise... 0 / ${CONFIG.CALIBRATION.frequencyResponse.captureSeconds} s`);
+    debugLog('EQ', 'Capture started:', target);
+  }
+
+  handleCaptureSecond(second) {
+    const capture = this.capture;
+    const { captureSeconds } = CONFIG.CALIBRATION.frequencyResponse;
+
+    capture.analyzer.update(audioEngine.getFrequencyData(), audioEngine.audioContext.sampleRate, second.leq.Z);
+    capture.seconds += 1;
+    this.setStatus(`Play pink noise... ${capture.seconds} / ${captureSeconds} s`);
+
+    if (capture.seconds >= captureSeconds) this.completeCapture();
+  }
+
+  completeCapture() {
+    const { target, analyzer } = this.capture;
+    const bands = analyzer.getBandLeq('third');
+
+    if (target === 'reference') {
+      this.finishCapture();
+      this.reference = { bands, source: calibration.device && calibration.device.label ? calibration.device.label : 'Reference mic' };
+      this.render();
+      app.showToast('🎚️ Reference captured — switch to the microphone to correct and capture it');
+      return;
+    }
+
+    const points = FrequencyResponse.fromComparison(this.reference.bands, bands);
+    this.finishCapture(points.length === 0);
+    if (points.length === 0) {
+      app.showToast('❌ No bands in common with the reference');
+      return;
+    }
+    this.apply(points, `🎚️ EQ correction derived: ${points.length} bands`);
+    debugLog('EQ', 'Derived correction:', points);
+  }
+
+  /**
+   * Hand the per-second stream back; restores the previous correction unless
+   * a new one replaces it
+   */
+  finishCapture(restoreResponse = true) {
+    const capture = this.capture;
+    if (!capture) return;
+
+    audioEngine.onSecondUpdate = capture.previousCallback;
+    if (capture.startedByCapture) audioEngine.stop();
+    if (capture.target === 'device' && restoreResponse) audioEngine.setFrequencyResponse(capture.previousResponse);
+    this.capture = null;
+    this.render();
+  }
+
+  setStatus(message) {
+    const status = document.getElementById('eqCaptureStatus');
+    if (status) status.textContent = message;
+  }
+
+  render() {
+    const points = audioEngine.frequencyResponse;
+    const status = document.getElementById('eqStatus');
+    const chart = document.getElementById('eqCurveChart');
+
+    if (status) {
+      if (points.length === 0) {
+        status.textContent = 'Flat (no correction)';
+      } else {
+        const gains = points.map(point => point.gain);
+        const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+        status.textContent = `${points.length} points, ${signed(Math.min(...gains))} to ${signed(Math.max(...gains))} dB`;
+      }
+    }
+
+    if (!this.capture) {
+      this.setStatus(this.reference ? `Reference: ${this.reference.source} (${this.reference.bands.length} bands)` : 'No reference yet');
+    }
+
+    // Correction across the spectrum range, log frequency axis
+    if (chart) {
+      chart.classList.toggle('hidden', points.length === 0);
+      if (points.length === 0) return;
+
+      const { minFrequency, maxFrequency } = CONFIG.SPECTRUM;
+      const { maxGain } = CONFIG.CALIBRATION.frequencyResponse;
+      const range = Math.log(maxFrequency / minFrequency);
+      const path = Array.from({ length: 60 }, (_, i) => {
+        const frequency = minFrequency * Math.exp(range * i / 59);
+        const gain = FrequencyResponse.getGainDb(points, frequency);
+        return `${(5 + i / 59 * 290).toFixed(1)},${(30 - gain / maxGain * 25).toFixed(1)}`;
+      }).join(' ');
+
+      chart.innerHTML = `
+        <line x1="5" y1="30" x2="295" y2="30" stroke="rgba(255,255,255,0.2)" stroke-width="1"/>
+        <polyline points="${path}" fill="none" stroke="#3b82f6" stroke-width="2"/>
+      `;
+    }
+  }
+}
+
+const eqCorrection = new EqCorrection();
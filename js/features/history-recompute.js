@@ -0,0 +1,217 @@
+/**
+ * History Recompute - Correct past days from their per-second level history
+ * Previews before/after dose, TWA and peak under the current dosimeters and
+ * each microphone's current calibration (with an optional threshold,
+ * calibration offset or pocket correction), then writes the corrected daily
+ * and hourly summaries back on request
+ */
+
+class HistoryRecompute {
+  constructor() {
+    this.results = null;  // Last preview: { days: [{ day, before, complete }], options }
+  }
+
+  init() {
+    const today = new Date().toISOString().split('T')[0];
+    ['recomputeFrom', 'recomputeTo'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input && !input.value) input.value = today;
+    });
+
+    document.getElementById('recomputePreviewBtn')?.addEventListener('click', () => this.preview());
+    document.getElementById('recomputeApplyBtn')?.addEventListener('click', () => this.apply());
+    this.refreshRange();
+  }
+
+  /**
+   * Limit the date pickers to the days level history still covers and show
+   * the earliest one; returns it (null when nothing is stored)
+   */
+  async refreshRange() {
+    const today = new Date().toISOString().split('T')[0];
+    let first = null;
+    try {
+      first = await levelHistory.getFirstDate();
+    } catch (error) {
+      console.error('Failed to read level history range:', error);
+    }
+
+    ['recomputeFrom', 'recomputeTo'].forEach(id => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      input.min = first || today;
+      input.max = today;
+    });
+    const range = document.getElementById('recomputeRange');
+    if (range) {
+      range.textContent = first
+        ? `Per-second history is stored from ${first}; earlier days can't be recomputed`
+        : 'No per-second history stored yet';
+    }
+    return first;
+  }
+
+  /**
+   * Optional number input: null when left empty
+   */
+  static readNumber(id) {
+    const input = document.getElementById(id);
+    if (!input || input.value.trim() === '') return null;
+    const value = parseFloat(input.value);
+    return isFinite(value) ? value : null;
+  }
+
+  getOptions() {
+    return {
+      dosimeters: dosimetryEngine.getDosimeterConfigs(),
+      primaryId: dosimetryEngine.primaryId,
+      custom: app.customStandard,
+      threshold: HistoryRecompute.readNumber('recomputeThreshold'),
+      calibrations: calibration.profiles,
+      calibrationOffset: HistoryRecompute.readNumber('recomputeOffset'),
+      pocketCorrection: HistoryRecompute.readNumber('recomputePocket')
+    };
+  }
+
+  async preview() {
+    const from = document.getElementById('recomputeFrom')?.value;
+    const to = document.getElementById('recomputeTo')?.value;
+    if (!from || !to || from > to) {
+      app.showToast('Choose a date range to recompute');
+      return;
+    }
+
+    this.results = null;
+    this.setStatus('Recomputing…');
+    this.render();
+
+    try {
+      // Include the minute being recorded
+      await levelHistory.flush();
+      const first = await this.refreshRange();
+
+      const start = Date.parse(`${from}T00:00:00Z`);
+      const end = Date.parse(`${to}T00:00:00Z`) + 86400000;
+      const seconds = await levelHistory.getSeconds(start, end);
+      if (seconds.length === 0) {
+        this.setStatus(first && to < first
+          ? `No per-second level history for these days: it starts on ${first}`
+          : 'No per-second level history for these days');
+        return;
+      }
+
+      const options = this.getOptions();
+      const days = await Promise.all(DoseRecompute.run(seconds, options).map(async day => {
+        const before = await storageEngine.getDailySummary(day.date);
+        // History that misses part of a stored day would lose that dose
+        const complete = !before || day.seconds >= (before.exposureSeconds || 0);
+        return { day, before, complete };
+      }));
+
+      this.results = { days, options };
+      this.setStatus(`${days.length} day${days.length > 1 ? 's' : ''} recomputed under ${DosimetryEngine.formatProfile(days[0].day.summary.standard)}`);
+      debugLog('Recompute', 'Preview:', days.map(({ day }) => `${day.date} ${day.summary.dose.toFixed(1)}%`).join(', '));
+    } catch (error) {
+      console.error('Recompute failed:', error);
+      this.setStatus('❌ Could not recompute these days');
+    }
+    this.render();
+  }
+
+  /**
+   * Store the previewed days as their daily and hourly summaries
+   */
+  async apply() {
+    if (!this.results) return;
+    const today = new Date().toISOString().split('T')[0];
+    const writable = this.results.days.filter(({ day, complete }) =>
+      complete && !(day.date === today && app.isMonitoring));
+
+    if (writable.length === 0) {
+      app.showToast('Nothing to write: stop monitoring to correct today');
+      return;
+    }
+    if (!confirm(`Replace the summaries of ${writable.length} day${writable.length > 1 ? 's' : ''} with the recomputed ones?`)) return;
+
+    const { threshold, calibrationOffset, pocketCorrection } = this.results.options;
+    const recomputed = { timestamp: new Date().toISOString(), threshold, calibrationOffset, pocketCorrection };
+
+    try {
+      for (const { day, before } of writable) {
+        const daily = DoseRecompute.toDailySummary(day, before, recomputed);
+        await storageEngine.saveDailySummary(daily);
+        for (const hour of day.hourly) {
+          await storageEngine.saveHourlySummary(DoseRecompute.toHourlySummary(hour, recomputed));
+        }
+        if (day.date === today) dosimetryEngine.restore(daily);
+      }
+
+      storageEngine.saveEvent({
+        type: 'recompute',
+        timestamp: Date.now(),
+        date: today,
+        datetime: new Date().toISOString(),
+        days: writable.map(({ day }) => day.date),
+        standard: writable[0].day.summary.standard,
+        threshold,
+        calibrationOffset,
+        pocketCorrection
+      }).catch(error => console.error('Failed to save recompute event:', error));
+
+      this.results = null;
+      this.setStatus(`✅ ${writable.length} day${writable.length > 1 ? 's' : ''} corrected`);
+      this.render();
+      historyChart.update(historyChart.period);
+      haptics.vibrate('medium');
+    } catch (error) {
+      console.error('Failed to write recomputed summaries:', error);
+      app.showToast('❌ Could not write the corrected summaries');
+    }
+  }
+
+  setStatus(message) {
+    const status = document.getElementById('recomputeStatus');
+    if (status) status.textContent = message;
+  }
+
+  render() {
+    const container = document.getElementById('recomputeResult');
+    const applyBtn = document.getElementById('recomputeApplyBtn');
+    if (applyBtn) applyBtn.classList.toggle('hidden', !this.results);
+    if (!container) return;
+
+    if (!this.results) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const formatDose = dose => typeof dose === 'number' ? `${dose.toFixed(1)}%` : '--';
+    const formatLevel = level => typeof level === 'number' && isFinite(level) ? level.toFixed(1) : '--';
+
+    container.innerHTML = `
+      <table class="recompute-table">
+        <thead>
+          <tr><th>Day</th><th>Dose</th><th>TWA</th><th>Peak</th></tr>
+        </thead>
+        <tbody>
+          ${this.results.days.map(({ day, before, complete }) => `
+            <tr${complete ? '' : ' class="incomplete"'}>
+              <td>${day.date}${complete ? '' : ' ⚠️'}</td>
+              <td>${formatDose(before && before.dose)} → ${formatDose(day.summary.dose)}</td>
+              <td>${formatLevel(before && before.twa)} → ${formatLevel(day.summary.twa)}</td>
+              <td>${formatLevel(before && before.peakLevel)} → ${formatLevel(day.summary.peakLevel)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${this.results.days.some(({ complete }) => !complete)
+        ? '<p class="settings-description">⚠️ Level history covers only part of this day; its summary is kept as it is</p>'
+        : ''}
+      ${this.results.days.some(({ day }) => day.uncalibrated > 0)
+        ? '<p class="settings-description">Some seconds were recorded without their dBFS: only the calibration offset change applies to them</p>'
+        : ''}
+    `;
+  }
+}
+
+const historyRecompute = new HistoryRecompute();
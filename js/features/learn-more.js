@@ -135,7 +135,7 @@ class LearnMore {
           <li>American Speech-Language-Hearing Association (ASHA)</li>
         </ul>
 
-        <p><strong>Note:</strong> This app implements NIOSH standards for maximum protection.</p>
+        <p><strong>Note:</strong> This app uses NIOSH standards by default for maximum protection. OSHA PEL, OSHA Hearing Conservation, EU 2003/10/EC, ACGIH and custom criteria can be selected under Settings → Exposure Standard.</p>
       `
     };
 
@@ -0,0 +1,251 @@
+/**
+ * Pocket Profiles - Learned pocket/clothing attenuation
+ * The same steady noise is read in hand, then in a pocket or bag; the 1/3
+ * octave difference becomes a spectral correction applied in pocket mode, so
+ * low-frequency noise (little attenuation) isn't over-corrected like a flat −10 dB
+ */
+
+class PocketProfiles {
+  constructor() {
+    // { [id]: { name, response: [{ frequency, gain }], broadband: { A, C, Z }, created } }
+    this.profiles = {};
+    this.activeId = null;   // null = flat correction from the slider
+    this.capture = null;    // Learning run in progress
+    this.onChange = null;   // Active profile changed
+  }
+
+  init() {
+    document.getElementById('pocketProfileSelect')?.addEventListener('change', (e) => this.select(e.target.value || null));
+
+    document.getElementById('learnPocketBtn')?.addEventListener('click', () => {
+      this.startLearning(PocketProfiles.normalizeName(document.getElementById('pocketProfileName').value));
+    });
+
+    document.getElementById('pocketProfileList')?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.calibration-point-remove');
+      if (removeBtn) this.remove(removeBtn.dataset.id);
+    });
+
+    const suggestions = document.getElementById('pocketProfileSuggestions');
+    if (suggestions) {
+      suggestions.innerHTML = CONFIG.POCKET.learn.suggestions.map(name => `<option value="${PocketProfiles.normalizeName(name)}">`).join('');
+    }
+
+    this.load();
+  }
+
+  async load() {
+    try {
+      this.profiles = await storageEngine.getSetting('pocketProfiles', null) ?? {};
+      const activeId = await storageEngine.getSetting('pocketProfile', null) ?? null;
+      this.activeId = this.profiles[activeId] ? activeId : null;
+    } catch (error) {
+      console.error('Error loading pocket profiles:', error);
+      this.profiles = {};
+      this.activeId = null;
+    }
+    this.render();
+    if (this.onChange) this.onChange(this.getActive());
+  }
+
+  /**
+   * Profile name as stored and shown: no markup, trimmed
+   */
+  static normalizeName(name) {
+    return (name || '').replace(/[<>"&]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Id for a profile name; relearning the same name replaces its profile.
+   * Letters in any script are kept so non-Latin names don't collide
+   */
+  static toId(name) {
+    const slug = name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+    return slug || `profile-${Date.now()}`;
+  }
+
+  getActive() {
+    return this.activeId ? this.profiles[this.activeId] : null;
+  }
+
+  async select(id) {
+    this.activeId = this.profiles[id] ? id : null;
+    await storageEngine.saveSetting('pocketProfile', this.activeId);
+    this.render();
+    if (this.onChange) this.onChange(this.getActive());
+  }
+
+  async remove(id) {
+    if (!this.profiles[id] || !confirm(`Delete the ${this.profiles[id].name} pocket profile?`)) return;
+    delete this.profiles[id];
+    await storageEngine.saveSetting('pocketProfiles', this.profiles);
+    await this.select(this.activeId === id ? null : this.activeId);
+  }
+
+  /**
+   * Read CONFIG.POCKET.learn.seconds in hand, allow settleSeconds to put the
+   * phone away, then read the same time in the pocket. Pocket correction is
+   * off throughout, so both readings are uncorrected
+   */
+  async startLearning(name) {
+    if (this.capture || calibration.capture || eqCorrection.capture) return;
+    if (!name) {
+      app.showToast('Name the profile first, e.g. Jeans');
+      return;
+    }
+
+    try {
+      if (!audioEngine.audioContext) await audioEngine.initialize();
+    } catch (error) {
+      app.showToast('❌ Microphone access required');
+      return;
+    }
+
+    this.capture = {
+      name,
+      phase: 'hand',
+      elapsed: 0,
+      hand: PocketProfiles.createReading(),
+      pocket: PocketProfiles.createReading(),
+      startedByCapture: !audioEngine.isActive,
+      previousCallback: audioEngine.onSecondUpdate
+    };
+    audioEngine.setPocketMode(false);
+    if (this.capture.startedByCapture) audioEngine.start();
+    audioEngine.onSecondUpdate = (second) => this.handleCaptureSecond(second);
+
+    this.setStatus(`✋ Hold the phone in your hand... 0 / ${CONFIG.POCKET.learn.seconds} s`);
+    debugLog('Pocket', 'Learning started:', name);
+  }
+
+  static createReading() {
+    return { analyzer: new SpectrumAnalyzer(), energy: { A: 0, C: 0, Z: 0 }, seconds: 0 };
+  }
+
+  handleCaptureSecond(second) {
+    const capture = this.capture;
+    const { seconds, settleSeconds } = CONFIG.POCKET.learn;
+    capture.elapsed += 1;
+
+    if (capture.phase === 'settle') {
+      this.setStatus(`📱 Put the phone in your ${capture.name.toLowerCase()}... ${settleSeconds - capture.elapsed} s`);
+      if (capture.elapsed >= settleSeconds) {
+        capture.phase = 'pocket';
+        capture.elapsed = 0;
+        haptics.vibrate('medium');
+      }
+      return;
+    }
+
+    const reading = capture[capture.phase];
+    reading.analyzer.update(audioEngine.getFrequencyData(), audioEngine.audioContext.sampleRate, second.leq.Z);
+    Object.keys(reading.energy).forEach(weighting => {
+      if (second.leq[weighting] !== undefined) reading.energy[weighting] += Math.pow(10, second.leq[weighting] / 10);
+    });
+    reading.seconds += 1;
+
+    if (capture.phase === 'hand') {
+      this.setStatus(`✋ Hold the phone in your hand... ${capture.elapsed} / ${seconds} s`);
+      if (capture.elapsed >= seconds) {
+        capture.phase = 'settle';
+        capture.elapsed = 0;
+        haptics.vibrate('medium');
+      }
+    } else {
+      this.setStatus(`📱 Reading in the pocket... ${capture.elapsed} / ${seconds} s`);
+      if (capture.elapsed >= seconds) this.completeLearning();
+    }
+  }
+
+  completeLearning() {
+    const { name, hand, pocket } = this.capture;
+    const { minLevel, maxLouder } = CONFIG.POCKET.learn;
+    const profile = PocketProfiles.fitProfile(name, hand, pocket);
+    const handLevel = 10 * Math.log10(hand.energy.A / hand.seconds);
+
+    haptics.vibrate('strong');
+    if (handLevel < minLevel) {
+      this.finishCapture(`❌ Too quiet (${handLevel.toFixed(0)} dB(A)) — learn with steady noise of at least ${minLevel} dB(A)`);
+      return;
+    }
+    if (profile.broadband.A < -maxLouder) {
+      this.finishCapture('❌ Louder in the pocket than in hand — keep the noise steady and try again');
+      return;
+    }
+
+    const id = PocketProfiles.toId(name);
+    this.profiles[id] = profile;
+    storageEngine.saveSetting('pocketProfiles', this.profiles);
+    this.finishCapture(`✅ ${name}: ${PocketProfiles.formatCorrection(profile.broadband.A)} dB(A) typical correction`);
+    this.select(id);
+    debugLog('Pocket', 'Learned profile:', profile);
+  }
+
+  /**
+   * Correction per 1/3 octave band (in hand minus in pocket) and the
+   * broadband differences per weighting, for reference
+   */
+  static fitProfile(name, hand, pocket) {
+    const broadband = {};
+    Object.keys(hand.energy).forEach(weighting => {
+      const handLevel = 10 * Math.log10(hand.energy[weighting] / hand.seconds);
+      const pocketLevel = 10 * Math.log10(pocket.energy[weighting] / pocket.seconds);
+      broadband[weighting] = Math.round((handLevel - pocketLevel) * 10) / 10;
+    });
+
+    const response = FrequencyResponse.difference(hand.analyzer.getBandLeq('third'), pocket.analyzer.getBandLeq('third'))
+      .map(point => ({ frequency: point.frequency, gain: Math.round(point.gain * 100) / 100 }));
+
+    return { name, response, broadband, created: Date.now() };
+  }
+
+  /**
+   * Hand the per-second stream back and let pocket detection resume
+   */
+  finishCapture(message) {
+    const capture = this.capture;
+    if (!capture) return;
+
+    audioEngine.onSecondUpdate = capture.previousCallback;
+    if (capture.startedByCapture) audioEngine.stop();
+    this.capture = null;
+    if (message) this.setStatus(message);
+    app.updatePocketMode();
+  }
+
+  static formatCorrection(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+  }
+
+  setStatus(message) {
+    const status = document.getElementById('pocketLearnStatus');
+    if (status) status.textContent = message;
+  }
+
+  render() {
+    const select = document.getElementById('pocketProfileSelect');
+    const list = document.getElementById('pocketProfileList');
+    const entries = Object.entries(this.profiles);
+
+    if (select) {
+      select.innerHTML = '<option value="">Flat correction (slider)</option>' +
+        entries.map(([id, profile]) => `<option value="${id}">${PocketProfiles.normalizeName(profile.name)}</option>`).join('');
+      select.value = this.activeId || '';
+    }
+
+    if (list) {
+      list.innerHTML = entries.map(([id, profile]) => {
+        const { A, C } = profile.broadband;
+        return `
+          <div class="calibration-point">
+            <span>${PocketProfiles.normalizeName(profile.name)}</span>
+            <span>${PocketProfiles.formatCorrection(A)} dB(A) · ${PocketProfiles.formatCorrection(C)} dB(C)</span>
+            <button class="calibration-point-remove" data-id="${id}" aria-label="Delete profile">✕</button>
+          </div>
+        `;
+      }).join('');
+    }
+  }
+}
+
+const pocketProfiles = new PocketProfiles();
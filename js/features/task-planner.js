@@ -0,0 +1,249 @@
+/**
+ * Task Planner - Predict a shift's exposure before it happens
+ * Tasks with durations and LAeq samples (typed in, or measured here while
+ * monitoring) are assessed with TaskExposure under the primary dosimeter's standard
+ */
+
+class TaskPlanner {
+  constructor() {
+    this.tasks = [];     // [{ id, name, hours, durationUncertainty, samples: [{ level, source, seconds, timestamp }] }]
+    this.sample = null;  // In-app sample in progress: { taskId, energy, seconds }
+  }
+
+  init() {
+    const list = document.getElementById('plannerTaskList');
+
+    document.getElementById('plannerAddBtn')?.addEventListener('click', () => {
+      const nameInput = document.getElementById('plannerTaskName');
+      const hoursInput = document.getElementById('plannerTaskHours');
+      this.addTask(nameInput.value, parseFloat(hoursInput.value));
+      nameInput.value = '';
+      hoursInput.value = '';
+    });
+
+    list?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      const taskElement = e.target.closest('[data-task]');
+      if (!button || !taskElement) return;
+      const id = taskElement.dataset.task;
+
+      switch (button.dataset.action) {
+        case 'remove':
+          this.removeTask(id);
+          break;
+        case 'add-sample': {
+          const input = taskElement.querySelector('.planner-sample-input');
+          this.addSample(id, parseFloat(input.value), 'entered');
+          break;
+        }
+        case 'remove-sample':
+          this.removeSample(id, parseInt(button.dataset.index));
+          break;
+        case 'measure':
+          if (this.sample && this.sample.taskId === id) this.finishSample();
+          else this.startSample(id);
+          break;
+      }
+    });
+
+    list?.addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      const taskElement = e.target.closest('[data-task]');
+      if (!field || !taskElement) return;
+      this.updateTask(taskElement.dataset.task, field, parseFloat(e.target.value));
+    });
+
+    this.load();
+  }
+
+  async load() {
+    try {
+      this.tasks = await storageEngine.getSetting('plannerTasks', null) ?? [];
+    } catch (error) {
+      console.error('Error loading planner tasks:', error);
+      this.tasks = [];
+    }
+    this.render();
+  }
+
+  save() {
+    storageEngine.saveSetting('plannerTasks', this.tasks);
+    this.render();
+  }
+
+  getTask(id) {
+    return this.tasks.find(task => task.id === id);
+  }
+
+  addTask(name, hours) {
+    const taskName = (name || '').replace(/[<>"&]+/g, ' ').trim();
+    if (!taskName) {
+      app.showToast('Name the task first, e.g. Grinding');
+      return;
+    }
+    this.tasks.push({
+      id: `task-${Date.now()}`,
+      name: taskName,
+      hours: hours > 0 ? Math.min(hours, 24) : 0,
+      durationUncertainty: 0,
+      samples: []
+    });
+    this.save();
+  }
+
+  removeTask(id) {
+    const task = this.getTask(id);
+    if (!task || !confirm(`Remove the ${task.name} task?`)) return;
+    if (this.sample && this.sample.taskId === id) this.cancelSample();
+    this.tasks = this.tasks.filter(existing => existing.id !== id);
+    this.save();
+  }
+
+  updateTask(id, field, value) {
+    const task = this.getTask(id);
+    if (!task || !['hours', 'durationUncertainty'].includes(field)) return;
+    task[field] = isFinite(value) && value > 0 ? Math.min(value, 24) : 0;
+    this.save();
+  }
+
+  addSample(id, level, source, seconds = null) {
+    const task = this.getTask(id);
+    if (!task) return;
+    if (!isFinite(level) || level < 0 || level > 150) {
+      app.showToast('Enter the task LAeq in dB, e.g. 88.5');
+      return;
+    }
+    task.samples.push({ level: Math.round(level * 10) / 10, source, seconds, timestamp: Date.now() });
+    this.save();
+  }
+
+  removeSample(id, index) {
+    const task = this.getTask(id);
+    if (!task) return;
+    task.samples.splice(index, 1);
+    this.save();
+  }
+
+  /**
+   * Measure a sample of the task's LAeq while monitoring. Samples run for
+   * CONFIG.PLANNER.sampleSeconds, or until stopped
+   */
+  async startSample(id) {
+    if (this.sample) {
+      app.showToast('A sample is already being measured');
+      return;
+    }
+    if (!app.isMonitoring) await app.startMonitoring();
+    if (!app.isMonitoring) return;
+
+    this.sample = { taskId: id, energy: 0, seconds: 0 };
+    this.render();
+    debugLog('Planner', 'Sample started:', this.getTask(id).name);
+  }
+
+  /**
+   * Per-second levels from app.processSecond
+   */
+  handleSecond(second) {
+    if (!this.sample) return;
+    const level = second.leq.A ?? second.level;
+    this.sample.energy += Math.pow(10, level / 10);
+    this.sample.seconds += 1;
+
+    const leq = 10 * Math.log10(this.sample.energy / this.sample.seconds);
+    this.setStatus(`🎙️ ${this.getTask(this.sample.taskId).name}: ${this.sample.seconds} / ${CONFIG.PLANNER.sampleSeconds} s · ${leq.toFixed(1)} dB(A)`);
+    if (this.sample.seconds >= CONFIG.PLANNER.sampleSeconds) this.finishSample();
+  }
+
+  /**
+   * Keep the sample when long enough to count
+   */
+  finishSample() {
+    const sample = this.sample;
+    if (!sample) return;
+    this.sample = null;
+
+    if (sample.seconds < CONFIG.PLANNER.minSampleSeconds) {
+      this.setStatus(`Sample discarded: shorter than ${CONFIG.PLANNER.minSampleSeconds} s`);
+      this.render();
+      return;
+    }
+
+    const level = 10 * Math.log10(sample.energy / sample.seconds);
+    this.setStatus(`✅ Sample: ${level.toFixed(1)} dB(A) over ${DosimetryEngine.formatTime(sample.seconds)}`);
+    haptics.vibrate('medium');
+    this.addSample(sample.taskId, level, 'measured', sample.seconds);
+  }
+
+  cancelSample() {
+    if (!this.sample) return;
+    this.sample = null;
+    this.setStatus('Sample stopped with monitoring');
+    this.render();
+  }
+
+  setStatus(message) {
+    const status = document.getElementById('plannerSampleStatus');
+    if (status) status.textContent = message;
+  }
+
+  render() {
+    const list = document.getElementById('plannerTaskList');
+    const result = document.getElementById('plannerResult');
+    const assessment = TaskExposure.assess(this.tasks, (level) => dosimetryEngine.getAllowableTime(level));
+    const assessed = Object.fromEntries(assessment.tasks.map(task => [task.id, task]));
+
+    if (list) {
+      list.innerHTML = this.tasks.map(task => {
+        const taskResult = assessed[task.id];
+        const measuring = this.sample && this.sample.taskId === task.id;
+        const samples = task.samples.map((sample, index) => `
+          <span class="planner-sample${sample.source === 'measured' ? ' measured' : ''}">
+            ${sample.level.toFixed(1)}
+            <button class="calibration-point-remove" data-action="remove-sample" data-index="${index}" aria-label="Remove sample">✕</button>
+          </span>
+        `).join('');
+
+        return `
+          <div class="planner-task" data-task="${task.id}">
+            <div class="planner-task-header">
+              <strong>${task.name}</strong>
+              <label><input type="number" data-field="hours" value="${task.hours}" min="0" max="24" step="0.25"> h</label>
+              <label>± <input type="number" data-field="durationUncertainty" value="${task.durationUncertainty}" min="0" max="24" step="0.25"> h</label>
+              <button class="calibration-point-remove" data-action="remove" aria-label="Remove task">✕</button>
+            </div>
+            <div class="planner-samples">${samples || '<span class="settings-description">No LAeq samples yet</span>'}</div>
+            <div class="calibration-point-input">
+              <input type="number" class="planner-sample-input" min="0" max="150" step="0.1" placeholder="LAeq">
+              <button class="btn-secondary" data-action="add-sample">Add</button>
+              <button class="btn-secondary" data-action="measure">${measuring ? '⏹ Stop' : '🎙️ Measure'}</button>
+            </div>
+            ${taskResult ? `<p class="settings-description">LAeq ${taskResult.level.toFixed(1)} dB · LEX,8h share ${taskResult.lex.toFixed(1)} dB · dose ${Math.round(taskResult.dose)}% · u1a ${taskResult.samplingUncertainty.toFixed(1)} dB</p>` : ''}
+          </div>
+        `;
+      }).join('');
+    }
+
+    if (result) {
+      if (assessment.lex === null) {
+        result.innerHTML = this.tasks.length > 0 ? '<p class="settings-description">Add durations and LAeq samples to assess the shift</p>' : '';
+      } else {
+        const standard = dosimetryEngine.profile.shortName;
+        const hours = Math.floor(assessment.hours);
+        const minutes = Math.round((assessment.hours - hours) * 60);
+        result.innerHTML = `
+          <div class="planner-lex">LEX,8h ${assessment.lex.toFixed(1)} dB(A) <span>± ${assessment.expanded.toFixed(1)} dB</span></div>
+          <p class="settings-description">
+            Dose ${Math.round(assessment.dose)}% ${standard} (up to ${Math.round(assessment.upperDose)}%) ·
+            ${hours}h ${minutes}m of tasks · u = ${assessment.uncertainty.toFixed(1)} dB, 95% one-sided
+          </p>
+        `;
+      }
+      if (assessment.warnings.length > 0) {
+        result.innerHTML += assessment.warnings.map(warning => `<p class="calibration-due due">⚠️ ${warning}</p>`).join('');
+      }
+    }
+  }
+}
+
+const taskPlanner = new TaskPlanner();
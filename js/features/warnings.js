@@ -20,11 +20,31 @@ class Warnings {
     this.loadSettings();
   }
 
-  check(level, dose) {
+  check(level, dose, peak = null) {
     if (!this.enabled) return;
 
     const now = Date.now();
 
+    // Impulse peaks (LCpeak) - an energy dose misses these entirely
+    if (peak !== null && peak >= CONFIG.PEAK.thresholds.warning) {
+      const overLimit = peak >= CONFIG.PEAK.thresholds.danger;
+      const key = overLimit ? 'peak-danger' : 'peak-warning';
+
+      if (!this.recentWarning(key, now, CONFIG.PEAK.cooldownPeriod)) {
+        const unit = `dB${CONFIG.PEAK.weighting}`;
+        if (overLimit) {
+          this.showWarning(`💥 Impulse peak ${Math.round(peak)} ${unit} exceeds the ${CONFIG.PEAK.thresholds.danger} dB limit!`, 'danger');
+          this.playWarningSound('critical');
+          haptics.vibrate('critical');
+        } else {
+          this.showWarning(`💥 Impulse peak ${Math.round(peak)} ${unit}. Protect your ears.`, 'warning');
+          this.playWarningSound('warning');
+          haptics.vibrate('strong');
+        }
+        this.lastWarnings[key] = now;
+      }
+    }
+
     // Dangerous noise level
     if (level >= CONFIG.NIOSH.dangerLevel && !this.recentWarning('danger-level', now)) {
       this.showWarning('⚠️ Dangerous noise level! Protect your ears immediately.', 'danger');
@@ -50,8 +70,8 @@ class Warnings {
     }
   }
 
-  recentWarning(key, now) {
-    return this.lastWarnings[key] && (now - this.lastWarnings[key]) < CONFIG.WARNINGS.cooldownPeriod;
+  recentWarning(key, now, cooldown = CONFIG.WARNINGS.cooldownPeriod) {
+    return this.lastWarnings[key] && (now - this.lastWarnings[key]) < cooldown;
   }
 
   showWarning(message, type = 'warning') {
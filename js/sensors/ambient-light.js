@@ -12,7 +12,8 @@ class AmbientLightSensor {
   async initialize() {
     try {
       if ('AmbientLightSensor' in window) {
-        this.sensor = new AmbientLightSensor({ frequency: 1 });
+        // window.: this class's own name shadows the Generic Sensor API constructor
+        this.sensor = new window.AmbientLightSensor({ frequency: 1 });
         this.sensor.onreading = () => {
           this.illuminance = this.sensor.illuminance;
           if (this.onChangeCallback) this.onChangeCallback(this.illuminance);
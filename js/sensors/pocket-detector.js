@@ -0,0 +1,173 @@
+/**
+ * Pocket Detector - Pocket mode state machine
+ * Combines proximity, ambient light and orientation (gravity from the
+ * accelerometer) into a confidence score. Going in also needs proximity or
+ * light evidence, so orientation only shifts the score. Entering and leaving
+ * use separate thresholds, the score must hold for a debounce delay, and each
+ * state is kept for a minimum dwell time, so flickering light can't toggle
+ * the correction
+ */
+
+class PocketDetector {
+  constructor() {
+    this.state = 'out';          // 'out' | 'entering' | 'in' | 'leaving'
+    this.since = Date.now();     // last settled transition
+    this.pendingSince = null;    // start of 'entering'/'leaving'
+    this.confidence = 0;
+    this.evidence = {};          // latest evidence per sensor, 0..1
+
+    this.gravity = null;         // low-passed { x, y, z }
+    this.timer = null;
+    this.onChangeCallback = null;
+  }
+
+  get inPocket() {
+    return this.state === 'in' || this.state === 'leaving';
+  }
+
+  initialize() {
+    if (window.DeviceMotionEvent) {
+      window.addEventListener('devicemotion', (event) => this.updateMotion(event.accelerationIncludingGravity));
+    }
+
+    // Debounce and dwell times run out between sensor events
+    this.timer = setInterval(() => this.update(), 1000);
+    debugLog('Sensors', 'Pocket detector initialized');
+  }
+
+  updateMotion(acceleration) {
+    if (!acceleration || acceleration.z === null || acceleration.z === undefined) return;
+    const { gravitySmoothing } = CONFIG.POCKET.detector;
+    const { x = 0, y = 0, z = 0 } = acceleration;
+
+    if (!this.gravity) {
+      this.gravity = { x, y, z };
+    } else {
+      this.gravity.x += gravitySmoothing * (x - this.gravity.x);
+      this.gravity.y += gravitySmoothing * (y - this.gravity.y);
+      this.gravity.z += gravitySmoothing * (z - this.gravity.z);
+    }
+  }
+
+  /**
+   * Evidence per available sensor, 0 (not in a pocket) to 1
+   * Orientation: phones lie flat on tables and in hands, but stand on edge in pockets
+   */
+  getEvidence() {
+    const { lightThreshold } = CONFIG.POCKET;
+    const { dimThreshold } = CONFIG.POCKET.detector;
+    const evidence = {};
+
+    if (proximitySensor.sensor) {
+      evidence.proximity = proximitySensor.isNear ? 1 : 0;
+    }
+
+    if (ambientLightSensor.sensor) {
+      const lux = ambientLightSensor.illuminance;
+      evidence.light = lux <= lightThreshold ? 1
+        : lux >= dimThreshold ? 0
+        : Math.log(dimThreshold / lux) / Math.log(dimThreshold / lightThreshold);
+    }
+
+    if (this.gravity) {
+      const { x, y, z } = this.gravity;
+      const magnitude = Math.sqrt(x * x + y * y + z * z);
+      if (magnitude > 0) evidence.orientation = 1 - Math.min(1, Math.abs(z) / magnitude);
+    }
+
+    return evidence;
+  }
+
+  /**
+   * Weighted mean of the evidence, over the sensors this device has
+   */
+  static getConfidence(evidence) {
+    const { weights } = CONFIG.POCKET.detector;
+    let total = 0;
+    let weight = 0;
+    Object.entries(evidence).forEach(([sensor, value]) => {
+      total += weights[sensor] * value;
+      weight += weights[sensor];
+    });
+    return weight > 0 ? total / weight : 0;
+  }
+
+  /**
+   * Whether proximity or light says pocket; a phone held on edge isn't enough
+   */
+  static canEnter(evidence) {
+    const { enterEvidence } = CONFIG.POCKET.detector;
+    return (evidence.proximity ?? 0) >= enterEvidence || (evidence.light ?? 0) >= enterEvidence;
+  }
+
+  /**
+   * Advance the state machine; call on sensor events (and once a second)
+   */
+  update(now = Date.now()) {
+    const { enterThreshold, exitThreshold, enterDelay, exitDelay, minDwell } = CONFIG.POCKET.detector;
+    this.evidence = this.getEvidence();
+    this.confidence = PocketDetector.getConfidence(this.evidence);
+    const entering = this.confidence >= enterThreshold && PocketDetector.canEnter(this.evidence);
+
+    switch (this.state) {
+      case 'out':
+        if (entering && now - this.since >= minDwell.out) {
+          this.state = 'entering';
+          this.pendingSince = now;
+        }
+        break;
+      case 'entering':
+        if (!entering) {
+          this.state = 'out';
+        } else if (now - this.pendingSince >= enterDelay) {
+          this.transition('in', now);
+        }
+        break;
+      case 'in':
+        if (this.confidence <= exitThreshold && now - this.since >= minDwell.in) {
+          this.state = 'leaving';
+          this.pendingSince = now;
+        }
+        break;
+      case 'leaving':
+        if (this.confidence > exitThreshold) {
+          this.state = 'in';
+        } else if (now - this.pendingSince >= exitDelay) {
+          this.transition('out', now);
+        }
+        break;
+    }
+
+    return this.inPocket;
+  }
+
+  transition(state, now) {
+    this.state = state;
+    this.since = now;
+    this.pendingSince = null;
+    debugLog('Sensors', 'Pocket:', state, `(${Math.round(this.confidence * 100)}%)`, this.evidence);
+    if (this.onChangeCallback) this.onChangeCallback(this.getState());
+  }
+
+  /**
+   * Current decision, as logged with pocket events
+   */
+  getState() {
+    return {
+      inPocket: this.inPocket,
+      confidence: Math.round(this.confidence * 100) / 100,
+      evidence: Object.fromEntries(Object.entries(this.evidence).map(([sensor, value]) => [sensor, Math.round(value * 100) / 100]))
+    };
+  }
+
+  onChange(callback) {
+    this.onChangeCallback = callback;
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const pocketDetector = new PocketDetector();
@@ -1,13 +1,16 @@
 /**
- * Sensors Module - Multi-sensor fusion for context awareness
- * Integrates accelerometer and ambient light sensor data
+ * Sensor Fusion - Activity context from motion and ambient light
+ * Infers contexts such as commute, vehicle or office. A new context must hold
+ * for CONFIG.CONTEXT.settleTime before it replaces the current one, so dose
+ * isn't booked to contexts that only flicker past
  */
 
 class SensorFusion {
   constructor() {
     this.accelerometer = null;
-    this.lightSensor = null;
     this.isActive = false;
+    this.inPocket = false;     // Light is ignored while in a pocket or bag
+    this.timer = null;
 
     // Sensor data
     this.motion = {
@@ -28,6 +31,7 @@ class SensorFusion {
       confidence: 0,
       description: 'Detecting environment...'
     };
+    this.pending = null;       // { context, since } - inferred, not yet settled
 
     // Thresholds for motion detection
     this.motionThreshold = 2.0; // m/s²
@@ -43,6 +47,7 @@ class SensorFusion {
 
   /**
    * Initialize sensors
+   * Light readings come from ambientLightSensor, through updateLight()
    */
   async initialize() {
     const results = {
@@ -66,19 +71,9 @@ class SensorFusion {
       console.error('Accelerometer initialization failed:', error);
     }
 
-    // Try to initialize ambient light sensor
-    try {
-      if ('AmbientLightSensor' in window) {
-        await this.initializeAmbientLight();
-        results.light = true;
-        console.log('Ambient light sensor initialized');
-      } else {
-        results.errors.push('AmbientLightSensor API not supported');
-        console.warn('AmbientLightSensor API not supported');
-      }
-    } catch (error) {
-      results.errors.push(`Light sensor: ${error.message}`);
-      console.error('Light sensor initialization failed:', error);
+    results.light = Boolean(ambientLightSensor.sensor);
+    if (!results.light) {
+      results.errors.push('AmbientLightSensor API not supported');
     }
 
     // Fallback to device orientation if accelerometer not available
@@ -118,22 +113,18 @@ class SensorFusion {
   }
 
   /**
-   * Initialize ambient light sensor
+   * Ambient light reading (lux). A pocket reads dark whatever the
+   * surroundings, so the last level before the pocket is kept
    */
-  async initializeAmbientLight() {
-    this.lightSensor = new AmbientLightSensor({ frequency: 1 }); // 1 Hz
-
-    this.lightSensor.addEventListener('reading', () => {
-      this.light.illuminance = this.lightSensor.illuminance || 0;
-      this.light.level = this.getLightLevel(this.light.illuminance);
-      this.updateContext();
-    });
-
-    this.lightSensor.addEventListener('error', (event) => {
-      console.error('Light sensor error:', event.error);
-    });
+  updateLight(lux) {
+    if (this.inPocket) return;
+    this.light.illuminance = lux || 0;
+    this.light.level = this.getLightLevel(this.light.illuminance);
+    this.updateContext();
+  }
 
-    this.lightSensor.start();
+  setInPocket(inPocket) {
+    this.inPocket = inPocket;
   }
 
   /**
@@ -193,7 +184,7 @@ class SensorFusion {
   /**
    * Infer environmental context from sensor fusion
    */
-  updateContext() {
+  updateContext(now = Date.now()) {
     const { isMoving } = this.motion;
     const { level: lightLevel, illuminance } = this.light;
 
@@ -236,12 +227,20 @@ class SensorFusion {
       description = 'Detecting environment...';
     }
 
-    const previousContext = this.context.type;
-    this.context = { type: contextType, confidence, description };
-
-    // Trigger callback if context changed
-    if (previousContext !== contextType && this.callbacks.onContextChange) {
-      this.callbacks.onContextChange(this.context);
+    // Settle before switching; the confidence of the current context follows along
+    if (contextType === this.context.type) {
+      this.context = { type: contextType, confidence, description };
+      this.pending = null;
+    } else if (!this.pending || this.pending.context.type !== contextType) {
+      this.pending = { context: { type: contextType, confidence, description }, since: now };
+    } else if (now - this.pending.since >= CONFIG.CONTEXT.settleTime) {
+      this.context = { type: contextType, confidence, description };
+      this.pending = null;
+      debugLog('Sensors', 'Context:', contextType, `(${Math.round(confidence * 100)}%)`);
+
+      if (this.callbacks.onContextChange) {
+        this.callbacks.onContextChange(this.context);
+      }
     }
 
     // Trigger sensor update callback
@@ -288,6 +287,8 @@ class SensorFusion {
    */
   start() {
     this.isActive = true;
+    // Pending contexts settle between sensor events
+    if (!this.timer) this.timer = setInterval(() => this.updateContext(), 1000);
     console.log('Sensor fusion started');
   }
 
@@ -297,14 +298,13 @@ class SensorFusion {
   stop() {
     this.isActive = false;
 
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+
     if (this.accelerometer) {
       this.accelerometer.stop();
     }
 
-    if (this.lightSensor) {
-      this.lightSensor.stop();
-    }
-
     console.log('Sensor fusion stopped');
   }
 
@@ -343,6 +343,13 @@ class SensorFusion {
     return 'Stationary';
   }
 
+  /**
+   * Display details of a context type from CONFIG.CONTEXT.types
+   */
+  static getType(type) {
+    return CONFIG.CONTEXT.types[type] || CONFIG.CONTEXT.types.unknown;
+  }
+
   /**
    * Check if sensors are supported
    */
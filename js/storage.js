@@ -1,6 +1,8 @@
 /**
  * Storage Module - IndexedDB wrapper for local data persistence
  * Implements privacy-first architecture with all data stored locally
+ * Legacy (version 1): superseded by StorageEngine, whose migrations import
+ * this module's dailySummary store into dailySummaries
  */
 
 class StorageManager {
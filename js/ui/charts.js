@@ -1,5 +1,8 @@
 /**
  * Charts - Historical data visualization
+ * Each point can carry `contexts` (dose per activity context), drawn as
+ * stacked bars under the dose line and totalled below the chart. With a tag
+ * filter, doses come from the exposure records carrying that tag
  */
 
 class HistoryChart {
@@ -7,32 +10,68 @@ class HistoryChart {
     this.canvas = document.getElementById(canvasId);
     this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
     this.period = 'day';
+    this.tagFilter = null;      // Only dose from records with this activity tag
+    this.pointCount = 0;
+    this.onPointSelect = null;  // Day chart hour tapped: (index) => {}
 
     if (this.canvas) {
       this.canvas.width = this.canvas.offsetWidth * 2;
       this.canvas.height = this.canvas.offsetHeight * 2;
+      this.canvas.addEventListener('click', (e) => this.handleClick(e));
     }
   }
 
+  setTagFilter(tag) {
+    this.tagFilter = tag;
+    this.update(this.period);
+  }
+
+  /**
+   * Nearest point to a tap on the day chart (x axis as in draw())
+   */
+  handleClick(event) {
+    if (this.period !== 'day' || !this.onPointSelect || this.pointCount === 0) return;
+
+    const padding = { left: 60, right: 40 };
+    const chartWidth = this.canvas.width - padding.left - padding.right;
+    const x = event.offsetX * (this.canvas.width / this.canvas.offsetWidth);
+    const index = Math.round((x - padding.left) / (chartWidth / Math.max(this.pointCount - 1, 1)));
+    this.onPointSelect(Math.max(0, Math.min(this.pointCount - 1, index)));
+  }
+
   async update(period) {
     this.period = period;
     const data = await this.getData(period);
     this.draw(data);
     this.updateStatistics(data, period);
+    this.renderContextBreakdown(data);
+  }
+
+  /**
+   * Dose per context of a summary's breakdown: { [context]: dose }
+   */
+  static getContextDoses(summary) {
+    const contexts = summary && summary.breakdown ? summary.breakdown.context : null;
+    return Object.fromEntries(Object.entries(contexts || {}).map(([context, entry]) => [context, entry.dose || 0]));
   }
 
   async getData(period) {
     const data = [];
 
     try {
+      if (this.tagFilter) {
+        return await this.getTagData(period, this.tagFilter);
+      }
+
       if (period === 'day') {
-        // Get hourly data for TODAY (daysBack = 0)
-        const hourlyData = await storageEngine.getHourlySummaries(0);
+        // Hourly data for TODAY, from the datetime index
         const today = new Date().toISOString().split('T')[0];
+        const hourlyData = await storageQuery.getHourlySummaries(today);
 
         debugLog('Charts', `Loading day chart for ${today}, found ${hourlyData.length} hourly records`);
 
         let previousCumulativeDose = 0;
+        let previousContextDoses = {};
 
         for (let i = 0; i < 24; i++) {
           const hourKey = `${today} ${String(i).padStart(2, '0')}:00`;
@@ -43,19 +82,29 @@ class HistoryChart {
           const cumulativeDose = hourData ? (hourData.dose || 0) : previousCumulativeDose;
           const hourlyContribution = Math.max(0, cumulativeDose - previousCumulativeDose);
 
+          // Per-context contributions the same way
+          const contextDoses = hourData ? HistoryChart.getContextDoses(hourData) : previousContextDoses;
+          const contexts = {};
+          Object.entries(contextDoses).forEach(([context, dose]) => {
+            const contribution = dose - (previousContextDoses[context] || 0);
+            if (contribution > 0) contexts[context] = contribution;
+          });
+
           data.push({
             label: `${i}:00`,
-            value: hourlyContribution
+            value: hourlyContribution,
+            contexts
           });
 
           // Update previous cumulative for next iteration
           if (hourData) {
             previousCumulativeDose = cumulativeDose;
+            previousContextDoses = contextDoses;
           }
         }
       } else if (period === 'week') {
         // Get daily data for past 7 days
-        const dailyData = await storageEngine.getDailySummaries(7);
+        const dailyData = await HistoryChart.getRecentDailySummaries(7);
         const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
         for (let i = 6; i >= 0; i--) {
@@ -67,12 +116,13 @@ class HistoryChart {
 
           data.push({
             label: dayName,
-            value: dayData ? dayData.dose : 0
+            value: dayData ? dayData.dose : 0,
+            contexts: HistoryChart.getContextDoses(dayData)
           });
         }
       } else if (period === 'month') {
         // Get daily data for past 30 days
-        const dailyData = await storageEngine.getDailySummaries(30);
+        const dailyData = await HistoryChart.getRecentDailySummaries(30);
 
         for (let i = 29; i >= 0; i--) {
           const date = new Date();
@@ -83,7 +133,8 @@ class HistoryChart {
 
           data.push({
             label: dayLabel,
-            value: dayData ? dayData.dose : 0
+            value: dayData ? dayData.dose : 0,
+            contexts: HistoryChart.getContextDoses(dayData)
           });
         }
       }
@@ -97,6 +148,87 @@ class HistoryChart {
     }
   }
 
+  /**
+   * Date keys of the last `days` days, oldest first, as the charts label them
+   */
+  static getRecentDates(days) {
+    const dates = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(date.getDate() - i);
+      dates.push(date.toISOString().split('T')[0]);
+    }
+    return dates;
+  }
+
+  static getRecentDailySummaries(days) {
+    const dates = HistoryChart.getRecentDates(days);
+    return storageQuery.getDailySummaries(dates[0], dates[dates.length - 1]);
+  }
+
+  /**
+   * Dose added by each record: the difference from the previous record's
+   * cumulative daily dose (the whole dose after a reset). Records of one date, oldest first
+   */
+  static getRecordDoses(records) {
+    let previousDose = 0;
+    return records.map(record => {
+      const dose = record.dose || 0;
+      const added = dose >= previousDose ? dose - previousDose : dose;
+      previousDose = dose;
+      return { record, dose: added };
+    });
+  }
+
+  /**
+   * Chart points from the records carrying a tag: per hour of today, or per day
+   */
+  async getTagData(period, tag) {
+    const data = this.getEmptyData(period).map(point => ({ ...point, contexts: {} }));
+    const addDose = (point, record, dose) => {
+      point.value += dose;
+      const context = record.context || 'unknown';
+      point.contexts[context] = (point.contexts[context] || 0) + dose;
+    };
+
+    if (period === 'day') {
+      const today = new Date().toISOString().split('T')[0];
+      const records = await storageEngine.getExposureRecordsByDate(today);
+      HistoryChart.getRecordDoses(records).forEach(({ record, dose }) => {
+        if (record.tag === tag) addDose(data[new Date(record.timestamp).getHours()], record, dose);
+      });
+    } else {
+      const days = period === 'week' ? 7 : 30;
+      const dates = HistoryChart.getRecentDates(days);
+      const points = {};
+      dates.forEach((dateStr, i) => {
+        const date = new Date();
+        date.setDate(date.getDate() - (days - 1 - i));
+        data[i].label = period === 'week'
+          ? ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][date.getDay()]
+          : `${date.getMonth() + 1}/${date.getDate()}`;
+        points[dateStr] = data[i];
+      });
+
+      // One pass over the timestamp index, so each date's records arrive oldest
+      // first; doses added as in getRecordDoses, per date
+      const previousDoses = {};
+      const from = Date.parse(`${dates[0]}T00:00:00Z`);
+      const to = Date.parse(`${dates[days - 1]}T00:00:00Z`) + 86400000;
+      await storageQuery.each('exposureRecords', { index: 'timestamp', from, to }, record => {
+        const previous = previousDoses[record.date] || 0;
+        const dose = record.dose || 0;
+        previousDoses[record.date] = dose;
+        if (record.tag === tag && points[record.date]) {
+          addDose(points[record.date], record, dose >= previous ? dose - previous : dose);
+        }
+      });
+    }
+
+    debugLog('Charts', `Loaded ${data.length} data points for ${period}, tag ${tag}`);
+    return data;
+  }
+
   getEmptyData(period) {
     const data = [];
     if (period === 'day') {
@@ -116,6 +248,7 @@ class HistoryChart {
 
   draw(data) {
     if (!this.ctx || data.length === 0) return;
+    this.pointCount = data.length;
 
     const { width, height } = this.canvas;
     const padding = { top: 40, right: 40, bottom: 60, left: 60 };
@@ -144,6 +277,24 @@ class HistoryChart {
       this.ctx.fillText(`${value}%`, padding.left - 10, y + 8);
     }
 
+    // Stacked dose per activity context, in CONFIG.CONTEXT.types order
+    const barWidth = Math.max(4, chartWidth / data.length * 0.6);
+    const contextTypes = Object.keys(CONFIG.CONTEXT.types);
+    data.forEach((point, i) => {
+      const x = padding.left + (chartWidth / Math.max(data.length - 1, 1)) * i;
+      let top = padding.top + chartHeight;
+      Object.entries(point.contexts || {})
+        .sort(([a], [b]) => contextTypes.indexOf(a) - contextTypes.indexOf(b))
+        .forEach(([context, dose]) => {
+          const barHeight = (dose / maxValue) * chartHeight;
+          top -= barHeight;
+          this.ctx.fillStyle = SensorFusion.getType(context).color;
+          this.ctx.globalAlpha = 0.6;
+          this.ctx.fillRect(x - barWidth / 2, top, barWidth, barHeight);
+        });
+    });
+    this.ctx.globalAlpha = 1;
+
     // Draw data points and line
     this.ctx.strokeStyle = '#3b82f6';
     this.ctx.lineWidth = 4;
@@ -258,6 +409,47 @@ class HistoryChart {
     }
   }
 
+  /**
+   * Period totals per context, largest first, with the commute share on top
+   */
+  renderContextBreakdown(data) {
+    const container = document.getElementById('contextBreakdown');
+    if (!container) return;
+
+    const totals = {};
+    data.forEach(point => {
+      Object.entries(point.contexts || {}).forEach(([context, dose]) => {
+        totals[context] = (totals[context] || 0) + dose;
+      });
+    });
+
+    const total = Object.values(totals).reduce((sum, dose) => sum + dose, 0);
+    if (total <= 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const commute = Object.entries(totals)
+      .filter(([context]) => SensorFusion.getType(context).commute)
+      .reduce((sum, [, dose]) => sum + dose, 0);
+    const share = (dose) => `${Math.round(dose / total * 100)}%`;
+
+    container.innerHTML = `
+      <div class="context-row total">
+        <span>Commute ${share(commute)} · Elsewhere ${share(total - commute)}</span>
+        <span>${total.toFixed(1)}% dose</span>
+      </div>
+    ` + Object.entries(totals).sort(([, a], [, b]) => b - a).map(([context, dose]) => {
+      const type = SensorFusion.getType(context);
+      return `
+        <div class="context-row">
+          <span><span class="context-swatch" style="background:${type.color}"></span>${type.icon} ${type.label}</span>
+          <span>${dose.toFixed(1)}% (${share(dose)})</span>
+        </div>
+      `;
+    }).join('');
+  }
+
   setStatDisplay(elementId, value) {
     const element = document.getElementById(elementId);
     if (element) {
@@ -0,0 +1,38 @@
+/**
+ * Dosimeter List UI Component
+ * Lists every virtual dosimeter under the dose circle; tapping one makes it primary
+ */
+
+class DosimeterList {
+  constructor() {
+    this.container = document.getElementById('dosimeterList');
+    this.onSelect = null;
+
+    if (this.container) {
+      this.container.addEventListener('click', (e) => {
+        const row = e.target.closest('.dosimeter-row');
+        if (row && this.onSelect) this.onSelect(row.dataset.dosimeter);
+      });
+    }
+  }
+
+  update(summary) {
+    if (!this.container) return;
+
+    const dosimeters = summary.dosimeters || [];
+    this.container.classList.toggle('hidden', dosimeters.length < 2);
+
+    this.container.innerHTML = dosimeters.map(dosimeter => {
+      const primary = dosimeter.id === summary.primaryDosimeter;
+      return `
+        <button class="dosimeter-row${primary ? ' primary' : ''}" data-dosimeter="${dosimeter.id}">
+          <span class="dosimeter-name">${dosimeter.standard.shortName}</span>
+          <span class="dosimeter-dose">${Math.round(dosimeter.dose)}%</span>
+          <span class="dosimeter-detail">TWA ${DosimetryEngine.formatLevel(dosimeter.twa)} · Peak ${Math.round(dosimeter.peakLevel)} dB</span>
+        </button>
+      `;
+    }).join('');
+  }
+}
+
+const dosimeterList = new DosimeterList();
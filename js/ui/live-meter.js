@@ -6,6 +6,8 @@ class LiveMeter {
   constructor() {
     this.dbValue = document.getElementById('liveDbValue');
     this.levelLabel = document.getElementById('noiseLevelLabel');
+    this.unitLabel = document.getElementById('liveDbUnit');
+    this.weightedLevels = document.getElementById('weightedLevels');
     this.canvas = document.getElementById('waveformCanvas');
     this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
 
@@ -15,7 +17,7 @@ class LiveMeter {
     }
   }
 
-  update(level) {
+  update(level, details = {}) {
     // Validate input
     if (level === undefined || level === null || isNaN(level) || !isFinite(level)) {
       console.error('Invalid level received in liveMeter.update:', level);
@@ -25,6 +27,16 @@ class LiveMeter {
 
     this.dbValue.textContent = level;
 
+    // Weighting of the main reading, plus all simultaneously measured weightings
+    if (this.unitLabel && details.weighting) {
+      this.unitLabel.textContent = `dB${details.weighting}`;
+    }
+    if (this.weightedLevels && details.levels) {
+      this.weightedLevels.textContent = Object.entries(details.levels)
+        .map(([weighting, value]) => `L${weighting}${details.timeWeighting || ''} ${value}`)
+        .join(' · ');
+    }
+
     const category = dosimetryEngine.getNoiseLevelCategory(level);
     this.levelLabel.textContent = `${category.label} - ${category.desc}`;
     this.levelLabel.className = `noise-level-label ${category.level}`;
@@ -0,0 +1,84 @@
+/**
+ * Spectrum Display UI Component
+ * Octave / third-octave band bars under the live meter, redrawn once per second
+ */
+
+class SpectrumDisplay {
+  constructor() {
+    this.canvas = document.getElementById('spectrumCanvas');
+    this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+    this.mode = CONFIG.SPECTRUM.defaultMode;
+
+    if (this.canvas) {
+      this.canvas.width = this.canvas.offsetWidth * 2;
+      this.canvas.height = this.canvas.offsetHeight * 2;
+    }
+  }
+
+  setResolution(resolution) {
+    spectrumAnalyzer.setResolution(resolution);
+    document.querySelectorAll('#spectrumResolutionButtons .preset-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.resolution === spectrumAnalyzer.resolution);
+    });
+    this.update();
+  }
+
+  setMode(mode) {
+    if (!CONFIG.SPECTRUM.modes.includes(mode)) {
+      console.warn('Unknown spectrum mode:', mode);
+      return;
+    }
+    this.mode = mode;
+    document.querySelectorAll('#spectrumModeButtons .preset-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.spectrumMode === mode);
+    });
+    this.update();
+  }
+
+  update() {
+    if (!this.ctx) return;
+
+    const bands = this.mode === 'leq' ? spectrumAnalyzer.getBandLeq() : spectrumAnalyzer.getLevels();
+    const { width, height } = this.canvas;
+    const { min, max } = CONFIG.SPECTRUM.displayRange;
+    const labelHeight = 22;
+    const plotHeight = height - labelHeight;
+    const slot = width / bands.length;
+    const barWidth = Math.max(2, slot * 0.7);
+
+    this.ctx.clearRect(0, 0, width, height);
+    this.ctx.font = '16px sans-serif';
+    this.ctx.textAlign = 'center';
+
+    bands.forEach((band, i) => {
+      const x = i * slot + (slot - barWidth) / 2;
+
+      if (band.level !== null) {
+        const normalized = Math.max(0, Math.min(1, (band.level - min) / (max - min)));
+        const barHeight = normalized * plotHeight;
+
+        // Same colour bands as the waveform
+        if (band.level >= 100) {
+          this.ctx.fillStyle = 'rgba(239, 68, 68, 0.8)'; // Red
+        } else if (band.level >= 85) {
+          this.ctx.fillStyle = 'rgba(245, 158, 11, 0.8)'; // Orange
+        } else {
+          this.ctx.fillStyle = 'rgba(16, 185, 129, 0.8)'; // Green
+        }
+        this.ctx.fillRect(x, plotHeight - barHeight, barWidth, barHeight);
+      }
+
+      // Label every band in octave mode, every third band (the octave centres) in 1/3 mode
+      if (bands.length <= 10 || i % 3 === 0) {
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.fillText(SpectrumDisplay.formatFrequency(band.nominal), x + barWidth / 2, height - 4);
+      }
+    });
+  }
+
+  static formatFrequency(frequency) {
+    return frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`;
+  }
+}
+
+const spectrumDisplay = new SpectrumDisplay();
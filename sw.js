@@ -10,16 +10,37 @@ const STATIC_CACHE_URLS = [
   './index.html',
   './css/styles.css',
   './js/config.js',
+  './js/core/frequency-weighting.js',
+  './js/core/calibration-curve.js',
+  './js/core/frequency-response.js',
   './js/core/audio-engine.js',
+  './js/core/level-meter-worklet.js',
+  './js/core/spectrum-analyzer.js',
+  './js/core/task-exposure.js',
+  './js/core/dose-recompute.js',
+  './js/core/hearing-protection.js',
+  './js/core/storage-migrations.js',
   './js/core/storage-engine.js',
+  './js/core/storage-query.js',
+  './js/core/level-history.js',
+  './js/core/virtual-dosimeter.js',
   './js/core/dosimetry-engine.js',
   './js/sensors/proximity.js',
   './js/sensors/ambient-light.js',
+  './js/sensors/pocket-detector.js',
+  './js/sensors/sensor-fusion.js',
   './js/ui/dose-circle.js',
+  './js/ui/dosimeter-list.js',
   './js/ui/live-meter.js',
+  './js/ui/spectrum-display.js',
   './js/ui/charts.js',
   './js/ui/animations.js',
   './js/features/calibration.js',
+  './js/features/eq-correction.js',
+  './js/features/pocket-profiles.js',
+  './js/features/activity-tags.js',
+  './js/features/task-planner.js',
+  './js/features/history-recompute.js',
   './js/features/warnings.js',
   './js/features/haptics.js',
   './js/features/privacy.js',
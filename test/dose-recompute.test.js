@@ -0,0 +1,140 @@
+/**
+ * Dose Recompute - Stored seconds mapped again through another calibration
+ * Seconds are recorded with LevelHistory as the app records them, then
+ * recomputed with DoseRecompute
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-scripts');
+
+// The level history loads and saves its rows; nothing is stored here
+const storageEngine = {
+  getLevelChunk: async () => null,
+  saveLevelChunk: async () => {}
+};
+
+const scripts = loadScripts([
+  'js/config.js',
+  'js/core/calibration-curve.js',
+  'js/core/audio-engine.js',
+  'js/core/virtual-dosimeter.js',
+  'js/core/dosimetry-engine.js',
+  'js/core/level-history.js',
+  'js/core/dose-recompute.js'
+], { storageEngine, navigator: {}, window: {} });
+
+const LevelHistory = scripts.get('LevelHistory');
+const DoseRecompute = scripts.get('DoseRecompute');
+const AudioEngine = scripts.get('AudioEngine');
+const CalibrationCurve = scripts.get('CalibrationCurve');
+
+const START = Date.UTC(2025, 2, 1, 9);
+const DOSIMETERS = [{ id: 'niosh', profileId: 'NIOSH' }];
+
+// Compresses at the top, as phone microphones do
+const CURVE = {
+  points: [{ dbfs: -50, spl: 50 }, { dbfs: -20, spl: 95 }, { dbfs: -10, spl: 100 }],
+  fit: 'piecewise'
+};
+
+/**
+ * Record `count` seconds of `dbfs` with the corrections in `state`, the way
+ * App.processSecond does with the default map
+ */
+function record(history, from, count, dbfs, state = {}) {
+  const { calibrationOffset = 0, inputDevice = 'mic', pocket = null, weighting = 'A' } = state;
+  const level = AudioEngine.clampLevel(AudioEngine.mapToSPL(dbfs, null) + calibrationOffset + (pocket ? pocket.correction : 0));
+  for (let i = 0; i < count; i++) {
+    history.add(START + (from + i + 1) * 1000, {
+      level,
+      peak: level + 10,
+      protectedLevel: null,
+      dbfs,
+      peakDbfs: dbfs + 10,
+      context: 'office',
+      weighting,
+      timeWeighting: 'S',
+      calibrationOffset,
+      inputDevice,
+      pocket
+    });
+  }
+  return level;
+}
+
+function recompute(history, options = {}) {
+  const seconds = LevelHistory.expand([history.chunk]);
+  return { seconds, days: DoseRecompute.run(seconds, { dosimeters: DOSIMETERS, primaryId: 'niosh', ...options }) };
+}
+
+test('seconds are mapped through the device curve, not shifted by a flat offset', () => {
+  const history = new LevelHistory();
+  const recorded = record(history, 0, 60, -35);
+  const { days } = recompute(history, { calibrations: { mic: { offset: 0, curve: CURVE } } });
+
+  const expected = new CalibrationCurve(CURVE.points, CURVE.fit).toSPL(-35);
+  assert.equal(recorded, 65);
+  assert.ok(Math.abs(days[0].summary.leq - expected) < 0.01);
+  assert.equal(days[0].uncalibrated, 0);
+});
+
+test('an offset entered for the recompute replaces the device offset', () => {
+  const history = new LevelHistory();
+  record(history, 0, 60, -35, { calibrationOffset: 2 });
+  const { days } = recompute(history, { calibrations: { mic: { offset: 4, curve: { points: [] } } }, calibrationOffset: -3 });
+
+  assert.ok(Math.abs(days[0].summary.leq - 62) < 0.01);
+});
+
+test('pocket corrections are kept as recorded or replaced', () => {
+  const history = new LevelHistory();
+  record(history, 0, 30, -35, { pocket: { correction: -10, broadband: null } });
+  record(history, 30, 30, -35, { pocket: { correction: 0, broadband: { A: 8, C: 5, Z: 4 } } });
+  const { seconds } = recompute(history);
+  const curves = new Map();
+  const flat = seconds[0];
+  const learned = seconds[45];
+
+  assert.equal(DoseRecompute.calibrate(flat, {}, curves).level, 55);
+  assert.equal(DoseRecompute.calibrate(flat, { pocketCorrection: 0 }, curves).level, 65);
+  assert.equal(DoseRecompute.calibrate(learned, {}, curves).level, 65);
+  // The learned profile's gain is in the dBFS, so replacing it takes it out
+  assert.equal(DoseRecompute.calibrate(learned, { pocketCorrection: -5 }, curves).level, 52);
+  assert.equal(DoseRecompute.calibrate(learned, { pocketCorrection: -5 }, curves).peak, 80 - 5 - 5);
+});
+
+test('a device or offset change within a minute keeps each second\'s own state', () => {
+  const history = new LevelHistory();
+  record(history, 0, 20, -35, { calibrationOffset: 0, inputDevice: 'mic' });
+  record(history, 20, 40, -35, { calibrationOffset: 5, inputDevice: 'usb', weighting: 'C' });
+  const { seconds } = recompute(history);
+
+  assert.equal(history.chunk.states.length, 2);
+  assert.equal(seconds[0].state.inputDevice, 'mic');
+  assert.equal(seconds[59].state.inputDevice, 'usb');
+  assert.equal(seconds[59].state.weighting, 'C');
+
+  const calibrations = { mic: { offset: 1, curve: { points: [] } }, usb: { offset: 0, curve: CURVE } };
+  const curves = new Map();
+  assert.equal(DoseRecompute.calibrate(seconds[0], { calibrations }, curves).level, 66);
+  assert.equal(DoseRecompute.calibrate(seconds[59], { calibrations }, curves).level, 72.5);
+});
+
+test('rows stored without dBFS can only move by the offset change', () => {
+  const history = new LevelHistory();
+  record(history, 0, 60, -35, { calibrationOffset: 2 });
+  const legacy = { ...history.chunk };
+  delete legacy.dbfs;
+  delete legacy.peakDbfs;
+  delete legacy.states;
+  delete legacy.stateIndexes;
+
+  const seconds = LevelHistory.expand([legacy]);
+  const days = DoseRecompute.run(seconds, { dosimeters: DOSIMETERS, primaryId: 'niosh', calibrations: { mic: { offset: 0, curve: CURVE } }, calibrationOffset: 5 });
+
+  assert.equal(seconds[0].dbfs, null);
+  assert.equal(seconds[0].state.calibrationOffset, 2);
+  assert.equal(days[0].uncalibrated, 60);
+  assert.ok(Math.abs(days[0].summary.leq - 70) < 0.01);
+});
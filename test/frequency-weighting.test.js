@@ -0,0 +1,60 @@
+/**
+ * Frequency Weighting - Digital A and C weighting against IEC 61672-1
+ * Table 3 nominal values, at the sample rates audio devices run at
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-scripts');
+
+const scripts = loadScripts(['js/config.js', 'js/core/frequency-weighting.js']);
+const FrequencyWeighting = scripts.get('FrequencyWeighting');
+
+// One-third-octave bands 10 Hz - 20 kHz (exact base-10 frequencies)
+const BANDS = Array.from({ length: 34 }, (_, i) => 1000 * 10 ** ((i - 20) / 10));
+
+const IEC_TABLE = {
+  A: [
+    -70.4, -63.4, -56.7, -50.5, -44.7, -39.4, -34.6, -30.2, -26.2, -22.5, -19.1, -16.1,
+    -13.4, -10.9, -8.6, -6.6, -4.8, -3.2, -1.9, -0.8, 0.0, 0.6, 1.0, 1.2, 1.3, 1.2,
+    1.0, 0.5, -0.1, -1.1, -2.5, -4.3, -6.6, -9.3
+  ],
+  C: [
+    -14.3, -11.2, -8.5, -6.2, -4.4, -3.0, -2.0, -1.3, -0.8, -0.5, -0.3, -0.2,
+    -0.1, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, -0.1, -0.2, -0.3, -0.5,
+    -0.8, -1.3, -2.0, -3.0, -4.4, -6.2, -8.5, -11.2
+  ]
+};
+
+// Table values are rounded to 0.1 dB
+const TOLERANCE = 0.4;
+
+function digitalDb(type, frequency, sampleRate) {
+  const sections = FrequencyWeighting.designSections(type, sampleRate);
+  return 20 * Math.log10(FrequencyWeighting.getCascadeMagnitude(sections, frequency, sampleRate));
+}
+
+[44100, 48000].forEach(sampleRate => {
+  ['A', 'C'].forEach(type => {
+    test(`${type} weighting at ${sampleRate} Hz follows IEC 61672-1 up to 16 kHz`, () => {
+      BANDS.forEach((frequency, i) => {
+        if (frequency > 16500) return;
+        const error = digitalDb(type, frequency, sampleRate) - IEC_TABLE[type][i];
+        assert.ok(Math.abs(error) <= TOLERANCE,
+          `${frequency.toFixed(0)} Hz: ${error.toFixed(2)} dB from the table`);
+      });
+    });
+  });
+});
+
+test('the weighting is 0 dB at 1 kHz', () => {
+  [44100, 48000, 96000].forEach(sampleRate => {
+    ['A', 'C'].forEach(type => {
+      assert.ok(Math.abs(digitalDb(type, 1000, sampleRate)) < 1e-9);
+    });
+  });
+});
+
+test('Z weighting is a pass-through', () => {
+  assert.equal(FrequencyWeighting.designSections('Z', 48000).length, 0);
+});
@@ -0,0 +1,32 @@
+/**
+ * Browser Scripts - Load the app's global scripts into a Node VM context
+ * The app has no modules: classes and singletons are globals shared by the
+ * script tags in index.html, so tests run them the same way, in order
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Run `files` (paths from the repo root) in a fresh context with `globals`;
+ * returns { context, get(expression) } to reach the scripts' globals
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console, setTimeout, clearTimeout, setInterval, clearInterval, ...globals });
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+
+  // Keep test output to the test results
+  vm.runInContext('if (typeof CONFIG !== "undefined") CONFIG.DEBUG.enabled = false', context);
+
+  return {
+    context,
+    get: expression => vm.runInContext(expression, context)
+  };
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,228 @@
+/**
+ * Storage Migrations - Upgrades of fixture databases from earlier releases
+ * Each test builds an old database in a fresh fake IndexedDB, then opens it
+ * with StorageEngine, which runs the StorageMigrations steps
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers/browser-scripts');
+
+const DB_NAME = 'NoiseDosimeterDB';
+
+function setup() {
+  const indexedDB = new IDBFactory();
+  const scripts = loadScripts([
+    'js/config.js',
+    'js/core/storage-migrations.js',
+    'js/core/storage-engine.js'
+  ], { indexedDB, IDBKeyRange, navigator: {} });
+  return { indexedDB, scripts, engine: scripts.get('storageEngine') };
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Create a database at `version`, with `build(db)` as its upgrade
+ */
+function createFixture(indexedDB, version, build) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(DB_NAME, version);
+    open.onupgradeneeded = () => build(open.result);
+    open.onsuccess = () => {
+      open.result.close();
+      resolve();
+    };
+    open.onerror = () => reject(open.error);
+  });
+}
+
+/**
+ * Legacy StorageManager schema (js/storage.js)
+ */
+function buildVersion1(db) {
+  const records = db.createObjectStore('exposureRecords', { keyPath: 'id', autoIncrement: true });
+  records.createIndex('timestamp', 'timestamp', { unique: false });
+  records.createIndex('date', 'date', { unique: false });
+  const legacy = db.createObjectStore('dailySummary', { keyPath: 'date' });
+  legacy.createIndex('date', 'date', { unique: true });
+  db.createObjectStore('settings', { keyPath: 'key' });
+
+  legacy.put({ date: '2025-03-01', dose: 42, totalDuration: 3600, peakLevel: 101, avgLevel: 81, startTime: Date.UTC(2025, 2, 1, 8) });
+  legacy.put({ date: '2025-03-02', dailyDose: 7 });
+  legacy.put({ date: '2025-03-03', dose: 'corrupt', totalDuration: null });
+  records.add({ timestamp: Date.UTC(2025, 2, 1, 10), level: 80 });
+  records.add({ timestamp: Date.UTC(2025, 2, 2, 10), level: 70, date: '2025-03-02' });
+}
+
+/**
+ * StorageEngine version 2, with the legacy store left behind
+ */
+function buildVersion2(db) {
+  buildVersion1(db);
+  const hourly = db.createObjectStore('hourlySummaries', { keyPath: 'id' });
+  hourly.createIndex('datetime', 'datetime', { unique: true });
+  const daily = db.createObjectStore('dailySummaries', { keyPath: 'date' });
+  daily.createIndex('date', 'date', { unique: true });
+
+  hourly.put({ id: '2025-03-01 10:00', datetime: '2025-03-01 10:00', dose: 3 });
+  daily.put({ date: '2025-03-01', dose: 12, exposureSeconds: 600 });
+}
+
+async function openExisting(indexedDB) {
+  const db = await request(indexedDB.open(DB_NAME));
+  const stores = {};
+  for (const name of db.objectStoreNames) {
+    const store = db.transaction([name], 'readonly').objectStore(name);
+    stores[name] = {
+      indexes: [...store.indexNames].sort(),
+      rows: await request(store.getAll())
+    };
+  }
+  const version = db.version;
+  db.close();
+  return { version, stores };
+}
+
+function assertLatestSchema(result, engine) {
+  assert.equal(result.version, engine.dbVersion);
+  assert.deepEqual(Object.keys(result.stores).sort(), [
+    'dailySummaries', 'events', 'exposureRecords', 'hourlySummaries', 'levelHistory', 'settings'
+  ]);
+  assert.deepEqual(result.stores.exposureRecords.indexes, ['date', 'timestamp']);
+  assert.deepEqual(result.stores.hourlySummaries.indexes, ['datetime']);
+  assert.deepEqual(result.stores.dailySummaries.indexes, ['date']);
+  assert.deepEqual(result.stores.events.indexes, ['timestamp', 'type', 'type_timestamp']);
+  assert.deepEqual(result.stores.levelHistory.indexes, ['date']);
+}
+
+test('fresh install creates every store at the latest version', async () => {
+  const { indexedDB, engine } = setup();
+  await engine.init();
+  engine.db.close();
+
+  const result = await openExisting(indexedDB);
+  assertLatestSchema(result, engine);
+  Object.values(result.stores).forEach(store => assert.equal(store.rows.length, 0));
+});
+
+test('version 1 imports the legacy dailySummary store and fills record dates', async () => {
+  const { indexedDB, engine } = setup();
+  await createFixture(indexedDB, 1, buildVersion1);
+  await engine.init();
+  engine.db.close();
+
+  const result = await openExisting(indexedDB);
+  assertLatestSchema(result, engine);
+
+  const daily = result.stores.dailySummaries.rows;
+  assert.deepEqual(daily.map(row => row.date), ['2025-03-01', '2025-03-02', '2025-03-03']);
+
+  const [first, second, third] = daily;
+  assert.equal(first.dose, 42);
+  assert.equal(first.exposureSeconds, 3600);
+  assert.equal(first.peakLevel, 101);
+  assert.equal(first.twa, 81);
+  assert.equal(first.leq, null);
+  assert.equal(first.standard.id, 'NIOSH');
+  assert.equal(first.standard.exchangeRate, 3);
+  assert.equal(first.timestamp, new Date(Date.UTC(2025, 2, 1, 8)).toISOString());
+  assert.equal(first.migratedFrom, 'dailySummary');
+
+  assert.equal(second.dose, 7);
+  assert.equal(second.exposureSeconds, 0);
+  assert.equal(second.twa, null);
+  assert.equal(second.timestamp, '2025-03-02T00:00:00.000Z');
+
+  // Values that aren't numbers are not carried over
+  assert.equal(third.dose, 0);
+  assert.equal(third.exposureSeconds, 0);
+
+  assert.deepEqual(result.stores.exposureRecords.rows.map(row => row.date), ['2025-03-01', '2025-03-02']);
+});
+
+test('version 2 keeps summaries StorageEngine saved over legacy ones', async () => {
+  const { indexedDB, engine } = setup();
+  await createFixture(indexedDB, 2, buildVersion2);
+  await engine.init();
+  engine.db.close();
+
+  const result = await openExisting(indexedDB);
+  assertLatestSchema(result, engine);
+
+  const daily = result.stores.dailySummaries.rows;
+  assert.deepEqual(daily.map(row => row.date), ['2025-03-01', '2025-03-02', '2025-03-03']);
+  assert.equal(daily[0].dose, 12);
+  assert.equal(daily[0].exposureSeconds, 600);
+  assert.equal(daily[0].migratedFrom, undefined);
+  assert.equal(daily[1].migratedFrom, 'dailySummary');
+  assert.deepEqual(result.stores.hourlySummaries.rows, [{ id: '2025-03-01 10:00', datetime: '2025-03-01 10:00', dose: 3 }]);
+});
+
+test('opening the latest version again runs no migration', async () => {
+  const { indexedDB, scripts, engine } = setup();
+  await createFixture(indexedDB, 1, buildVersion1);
+  await engine.init();
+  engine.db.close();
+
+  const StorageMigrations = scripts.get('StorageMigrations');
+  const run = StorageMigrations.run;
+  let runs = 0;
+  StorageMigrations.run = (...args) => {
+    runs += 1;
+    return run(...args);
+  };
+  await engine.init();
+  engine.db.close();
+
+  assert.equal(runs, 0);
+});
+
+test('a step that throws leaves the database at its old version', async () => {
+  const { indexedDB, scripts, engine } = setup();
+  await engine.init();
+  engine.db.close();
+
+  const latest = engine.dbVersion;
+  const StorageMigrations = scripts.get('StorageMigrations');
+  const getSteps = StorageMigrations.getSteps;
+  StorageMigrations.getSteps = () => [...getSteps(), {
+    version: latest + 1,
+    description: 'Broken step',
+    upgrade(db) {
+      db.createObjectStore('broken');
+      throw new Error('Migration failed');
+    }
+  }];
+  engine.dbVersion = latest + 1;
+
+  await assert.rejects(engine.init());
+
+  const result = await openExisting(indexedDB);
+  assert.equal(result.version, latest);
+  assert.equal(result.stores.broken, undefined);
+});
+
+test('a data transform that fails rolls back the whole upgrade', async () => {
+  const { indexedDB, scripts, engine } = setup();
+  await createFixture(indexedDB, 1, buildVersion1);
+
+  const StorageMigrations = scripts.get('StorageMigrations');
+  StorageMigrations.fromLegacySummary = () => {
+    throw new Error('Unreadable legacy summary');
+  };
+
+  await assert.rejects(engine.init());
+
+  const result = await openExisting(indexedDB);
+  assert.equal(result.version, 1);
+  assert.deepEqual(Object.keys(result.stores).sort(), ['dailySummary', 'exposureRecords', 'settings']);
+  assert.equal(result.stores.dailySummary.rows.length, 3);
+  assert.equal(result.stores.exposureRecords.rows[0].date, undefined);
+});
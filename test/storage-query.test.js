@@ -0,0 +1,60 @@
+/**
+ * Storage Query - Keyset pages and indexed event reads
+ * Rows are written to a fresh fake IndexedDB through StorageEngine and read
+ * back with StorageQuery
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers/browser-scripts');
+
+async function setup() {
+  const indexedDB = new IDBFactory();
+  const scripts = loadScripts([
+    'js/config.js',
+    'js/core/storage-migrations.js',
+    'js/core/storage-engine.js',
+    'js/core/storage-query.js'
+  ], { indexedDB, IDBKeyRange, navigator: {} });
+  const engine = scripts.get('storageEngine');
+  await engine.init();
+  return { engine, query: scripts.get('storageQuery') };
+}
+
+test('pages cover every row once, across rows sharing an index key', async () => {
+  const { engine, query } = await setup();
+  // Three records per timestamp, so pages end inside runs of equal keys
+  for (let i = 0; i < 30; i++) {
+    await engine.saveExposureRecord({ timestamp: 1000 * Math.floor(i / 3), date: '2025-03-01', dose: i });
+  }
+
+  const pages = [];
+  const count = await query.eachPage('exposureRecords', { index: 'timestamp', limit: 4 }, rows => pages.push(rows.map(row => row.dose)));
+
+  assert.equal(count, 30);
+  assert.equal(pages.length, 8);
+  assert.deepEqual(pages.flat(), Array.from({ length: 30 }, (_, i) => i));
+});
+
+test('events of a type come from the type and time index, oldest first', async () => {
+  const { engine, query } = await setup();
+  // Added out of time order, as imported events can be
+  await engine.saveEvent({ type: 'impulse', timestamp: 3000 });
+  await engine.saveEvent({ type: 'pocket', timestamp: 2000 });
+  await engine.saveEvent({ type: 'impulse', timestamp: 1000 });
+  await engine.saveEvent({ type: 'impulse', timestamp: 500 });
+
+  const impulses = await engine.getEvents('impulse', 800);
+  assert.equal(impulses.length, 2);
+  assert.equal(impulses[0].timestamp, 1000);
+  assert.equal(impulses[1].timestamp, 3000);
+  assert.equal((await engine.getEvents()).length, 4);
+
+  // One type's section of the CSV export, a page at a time
+  const pages = [];
+  const count = await query.eachPage('events', { index: 'type_timestamp', from: ['impulse', -Infinity], to: ['impulse', Infinity], includeTo: true, limit: 2 },
+    rows => pages.push(rows.map(row => row.timestamp)));
+  assert.equal(count, 3);
+  assert.deepEqual(pages.flat(), [500, 1000, 3000]);
+});
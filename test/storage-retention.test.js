@@ -0,0 +1,118 @@
+/**
+ * Storage Retention - Old exposure records merged into their summaries
+ * Records are written to a fresh fake IndexedDB next to the summaries the
+ * app saved, then compacted by StorageEngine
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers/browser-scripts');
+
+const DAY = '2025-03-01';
+const HOUR = `${DAY} ${String(new Date(Date.UTC(2025, 2, 1, 10)).getHours()).padStart(2, '0')}:00`;
+
+async function setup() {
+  const scripts = loadScripts([
+    'js/config.js',
+    'js/core/storage-migrations.js',
+    'js/core/storage-engine.js'
+  ], { indexedDB: new IDBFactory(), IDBKeyRange, navigator: {} });
+  const engine = scripts.get('storageEngine');
+  await engine.init();
+  return engine;
+}
+
+function record(minute, values) {
+  const timestamp = Date.UTC(2025, 2, 1, 10, minute);
+  return { timestamp, date: DAY, datetime: new Date(timestamp).toISOString(), ...values };
+}
+
+async function compact(engine, records) {
+  for (const entry of records) await engine.saveExposureRecord(entry);
+  return engine.compactExposureRecords(Date.UTC(2025, 2, 2));
+}
+
+test('records without a summary are rolled up into new ones', async () => {
+  const engine = await setup();
+  const result = await compact(engine, [
+    record(0, { dose: 1, peakLevel: 90, exposureSeconds: 60 }),
+    record(10, { dose: 4, peakLevel: 95, exposureSeconds: 660 })
+  ]);
+
+  assert.equal(result.compactedRecords, 2);
+  assert.equal(result.hourlyRollups, 1);
+  assert.equal(result.dailyRollups, 1);
+
+  const daily = await engine.getDailySummary(DAY);
+  assert.equal(daily.dose, 4);
+  assert.equal(daily.exposureSeconds, 660);
+  assert.equal(daily.rollup, true);
+  assert.equal((await engine.getExposureRecordsByDate(DAY)).length, 0);
+});
+
+test('a later record updates the stored summary and keeps its other fields', async () => {
+  const engine = await setup();
+  await engine.saveDailySummary({
+    date: DAY, dose: 2, peakLevel: 99, exposureSeconds: 300, breakdown: { office: 2 },
+    timestamp: new Date(Date.UTC(2025, 2, 1, 10, 5)).toISOString()
+  });
+  await engine.saveHourlySummary({ id: HOUR, hour: HOUR, datetime: HOUR, dose: 2, timestamp: new Date(Date.UTC(2025, 2, 1, 10, 5)).toISOString() });
+
+  const result = await compact(engine, [record(20, { dose: 6, peakLevel: 92, maxLevel: 88, exposureSeconds: 1200 })]);
+  assert.equal(result.dailyRollups, 1);
+  assert.equal(result.hourlyRollups, 1);
+
+  const daily = await engine.getDailySummary(DAY);
+  assert.equal(daily.dose, 6);
+  assert.equal(daily.exposureSeconds, 1200);
+  assert.equal(daily.peakLevel, 99);
+  assert.equal(daily.maxLevel, 88);
+  assert.deepEqual(Object.keys(daily.breakdown), ['office']);
+});
+
+test('a summary saved after the records keeps its totals', async () => {
+  const engine = await setup();
+  const summary = {
+    date: DAY, dose: 8, peakLevel: 101, maxLevel: 90, exposureSeconds: 2400,
+    timestamp: new Date(Date.UTC(2025, 2, 1, 11)).toISOString()
+  };
+  await engine.saveDailySummary(summary);
+
+  const result = await compact(engine, [record(20, { dose: 6, peakLevel: 92, maxLevel: 88, exposureSeconds: 1200 })]);
+  assert.equal(result.compactedRecords, 1);
+  assert.equal(result.dailyRollups, 0);
+
+  const daily = await engine.getDailySummary(DAY);
+  assert.equal(daily.dose, 8);
+  assert.equal(daily.exposureSeconds, 2400);
+  assert.equal(daily.rollup, undefined);
+});
+
+test('each kind of data is kept for its own number of days', async () => {
+  const engine = await setup();
+  const now = Date.UTC(2025, 5, 1, 12);
+  const daysAgo = days => now - days * 86400000;
+  const hour = time => `${new Date(time).toISOString().split('T')[0]} 10:00`;
+  const date = time => new Date(time).toISOString().split('T')[0];
+
+  await engine.saveExposureRecord({ timestamp: daysAgo(3), date: date(daysAgo(3)), dose: 1 });
+  await engine.saveExposureRecord({ timestamp: daysAgo(10), date: date(daysAgo(10)), dose: 1 });
+  for (const days of [60, 100]) {
+    await engine.saveLevelChunk({ start: daysAgo(days), date: date(daysAgo(days)) });
+  }
+  for (const days of [20, 40]) {
+    await engine.saveHourlySummary({ id: hour(daysAgo(days)), hour: hour(daysAgo(days)), datetime: hour(daysAgo(days)), dose: 1 });
+    await engine.saveDailySummary({ date: date(daysAgo(days)), dose: 1 });
+  }
+
+  const report = await engine.runRetention(now);
+  assert.equal(report.compactedRecords, 1);
+  assert.equal(report.deleted.levelHistory, 1);
+  // The rollup of the 10-day-old record is kept with the 20-day-old hour
+  assert.equal(report.deleted.hourlySummaries, 1);
+  assert.equal(report.deleted.dailySummaries, 0);
+  assert.equal((await engine.getExposureRecordsByDate(date(daysAgo(3)))).length, 1);
+  assert.equal((await engine.getFirstLevelChunk()).start, daysAgo(60));
+  assert.ok(await engine.getDailySummary(date(daysAgo(40))));
+});
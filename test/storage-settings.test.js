@@ -0,0 +1,41 @@
+/**
+ * Storage Settings - Values saved by one session read back by the next
+ * Each session opens its own StorageEngine on the same fake IndexedDB
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { loadScripts } = require('./helpers/browser-scripts');
+
+async function open(indexedDB) {
+  const scripts = loadScripts([
+    'js/config.js',
+    'js/core/storage-migrations.js',
+    'js/core/storage-engine.js'
+  ], { indexedDB, IDBKeyRange, navigator: {} });
+  const engine = scripts.get('storageEngine');
+  await engine.init();
+  return engine;
+}
+
+test('calibration profiles survive a reload', async () => {
+  const indexedDB = new IDBFactory();
+  const profiles = {
+    'usb:1234': { label: 'USB mic', offset: 2.5, curve: { points: [{ dbfs: -40, spl: 60 }], fit: 'piecewise' }, updated: 1 }
+  };
+
+  const first = await open(indexedDB);
+  await first.saveSetting('calibrationProfiles', profiles);
+  first.db.close();
+
+  const second = await open(indexedDB);
+  const loaded = await second.getSetting('calibrationProfiles', null);
+  assert.equal(JSON.stringify(loaded), JSON.stringify(profiles));
+});
+
+test('a missing setting returns the default', async () => {
+  const engine = await open(new IDBFactory());
+  assert.equal(await engine.getSetting('calibrationReminder', 'shift'), 'shift');
+  assert.equal(await engine.getSetting('lastShiftEnd'), null);
+});